@@ -13,6 +13,8 @@ class AudioManager {
     this.sounds = {};                   // Sound effect buffers
     this.isSoundMuted = false;          // Sound effects mute state
     this.isMusicMuted = false;          // Music mute state
+    this.soundVolume = 1;               // Player's sound effects volume (0 to 1)
+    this.musicVolume = 1;               // Player's music volume (0 to 1)
     this.bgMusicSource = null;          // Current music audio source
     this.bgMusicGain = null;            // Volume control for music
     this.bgMusicPlaying = false;        // Whether music is currently playing
@@ -49,7 +51,7 @@ class AudioManager {
       
       // Create main volume control for sound effects
       this.soundEffectsGain = this.audioContext.createGain();
-      this.soundEffectsGain.gain.value = 0.4;
+      this.soundEffectsGain.gain.value = AudioManager.SOUND_GAIN * this.soundVolume;
       this.soundEffectsGain.connect(this.audioContext.destination);
       
       // Set up audio processing effects chain
@@ -123,6 +125,10 @@ class AudioManager {
       { freq: 196.00, type: 'sawtooth', duration: 0.4, attack: 0.01, release: 0.3, delay: 0.3 }
     ], true);
     
+    // Power-up sounds - rising chirp when collected, falling one when it wears off
+    this.sounds.powerUp = this.createToneBuffer(440, 0.01, 'sine', 990, 0.18);
+    this.sounds.powerDown = this.createToneBuffer(660, 0.01, 'triangle', 300, 0.2);
+    
     // Collision sound - sharp impact
     this.sounds.collision = this.createComplexTone([
       { freq: 120, type: 'square', duration: 0.08, attack: 0.005, release: 0.04 },
@@ -697,6 +703,55 @@ class AudioManager {
     return buffer;
   }
 
+  /**
+   * Subscribes to game events to play sounds and manage the music
+   * @param {EventEmitter} events - The game event bus
+   * @param {Object} options - Options
+   * @param {boolean} options.music - Whether the bus starts and stops the music; a versus player's
+   *   bus does not, since one player's game ending does not end the match
+   */
+  subscribe(events, { music = true } = {}) {
+    if (music) {
+      events.on('start', () => this.startBackgroundMusic());
+      events.on('pause', () => this.pauseBackgroundMusic());
+      events.on('resume', () => this.resumeBackgroundMusic());
+    }
+    
+    // Eating has its own sound
+    events.on('move', event => {
+      if (!event.ate) this.play('move');
+    });
+    events.on('collision', () => this.play('collision'));
+    events.on('linesCleared', () => this.play('lineClear'));
+    events.on('bomb', () => this.play('collision'));
+    events.on('hardDrop', () => this.play('collision'));
+    events.on('powerUpCollected', () => this.play('powerUp'));
+    events.on('powerUpEnded', () => this.play('powerDown'));
+    events.on('lineBlasted', () => this.play('lineClear'));
+    
+    events.on('foodEaten', event => {
+      this.play('eat');
+      
+      // Update music speed based on snake length to match gameplay speed
+      // Every ~8 segments = +1 music level, using the higher of game level or length-based level
+      if (!this.isMusicMuted && event.length > 1) {
+        this.changeBackgroundMusic(Math.max(event.level, 1 + (event.length / 8)));
+      }
+    });
+    
+    // Intensify music at higher levels
+    events.on('lock', event => {
+      if (event.level >= 5 && !this.isMusicMuted) {
+        this.changeBackgroundMusic(event.level);
+      }
+    });
+    
+    events.on('gameOver', () => {
+      this.play('gameOver');
+      if (music) this.stopBackgroundMusic();
+    });
+  }
+
   play(soundName) {
     if (this.isSoundMuted || !this.audioContext || !this.sounds[soundName]) return;
     
@@ -732,7 +787,7 @@ class AudioManager {
                           soundName === 'collision' ? 0.1 : 
                           soundName === 'eat' ? 0.03 : // Reduced effect for food sound
                           0.05;
-      effectSend.gain.value = effectAmount;
+      effectSend.gain.value = effectAmount * this.soundVolume; // The echo bypasses the main volume
       
       // Connect main path
       source.connect(gainNode);
@@ -817,7 +872,7 @@ class AudioManager {
     
     // Create a gain node for volume control
     this.bgMusicGain = this.audioContext.createGain();
-    this.bgMusicGain.gain.value = 0.45; 
+    this.bgMusicGain.gain.value = AudioManager.MUSIC_GAIN * this.musicVolume;
     
     // Add EQ for better clarity
     try {
@@ -875,7 +930,7 @@ class AudioManager {
     
     // Start playback with a short fade-in
     this.bgMusicGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-    this.bgMusicGain.gain.linearRampToValueAtTime(0.45, this.audioContext.currentTime + 0.5);
+    this.bgMusicGain.gain.linearRampToValueAtTime(AudioManager.MUSIC_GAIN * this.musicVolume, this.audioContext.currentTime + 0.5);
     
     this.bgMusicSource.start(0);
     this.bgMusicPlaying = true;
@@ -980,7 +1035,7 @@ class AudioManager {
         // Fade back in
         if (this.bgMusicGain) {
           this.bgMusicGain.gain.setValueAtTime(0, this.audioContext.currentTime);
-          this.bgMusicGain.gain.linearRampToValueAtTime(0.45, this.audioContext.currentTime + 0.5);
+          this.bgMusicGain.gain.linearRampToValueAtTime(AudioManager.MUSIC_GAIN * this.musicVolume, this.audioContext.currentTime + 0.5);
         }
       } else {
         // Restart if needed
@@ -1008,6 +1063,30 @@ class AudioManager {
     return this.isMusicMuted;
   }
 
+  /**
+   * Sets the sound effects volume
+   * @param {number} volume - Volume from 0 (silent) to 1 (full)
+   */
+  setSoundVolume(volume) {
+    this.soundVolume = volume;
+    if (this.soundEffectsGain) {
+      this.soundEffectsGain.gain.value = AudioManager.SOUND_GAIN * volume;
+    }
+  }
+
+  /**
+   * Sets the background music volume, applying it to music already playing
+   * @param {number} volume - Volume from 0 (silent) to 1 (full)
+   */
+  setMusicVolume(volume) {
+    this.musicVolume = volume;
+    if (this.bgMusicGain && this.audioContext) {
+      const now = this.audioContext.currentTime;
+      this.bgMusicGain.gain.cancelScheduledValues(now);
+      this.bgMusicGain.gain.setValueAtTime(AudioManager.MUSIC_GAIN * volume, now);
+    }
+  }
+
   setMute(mute) {
     if (mute !== this.isSoundMuted) {
       this.isSoundMuted = mute;
@@ -1025,4 +1104,8 @@ class AudioManager {
       }
     }
   }
-} 
\ No newline at end of file
+}
+
+// Output gain of sound effects and music at full volume
+AudioManager.SOUND_GAIN = 0.4;
+AudioManager.MUSIC_GAIN = 0.45;
@@ -0,0 +1,60 @@
+/**
+ * Autopilot Class
+ * Plays the game with an AutopilotStrategy. In the browser it stands in for
+ * the player's controls: tick() returns the input to hold each tick, tapping
+ * a direction only when the snake should turn, like a player pressing and
+ * releasing a key, so the snake moves at its normal speed. Headless code
+ * can call decide() before each engine.step() instead.
+ */
+class Autopilot {
+  /**
+   * Creates an autopilot
+   * @param {string} strategyId - Registered strategy id (see AutopilotStrategy)
+   * @param {Object} options - Options for the strategy
+   * @throws {Error} If the strategy is unknown
+   */
+  constructor(strategyId = AutopilotStrategy.DEFAULT_ID, options = {}) {
+    this.setStrategy(strategyId, options);
+  }
+
+  /**
+   * Switches to another strategy
+   * @param {string} strategyId - Registered strategy id
+   * @param {Object} options - Options for the strategy
+   * @throws {Error} If the strategy is unknown
+   */
+  setStrategy(strategyId, options = {}) {
+    this.strategy = AutopilotStrategy.create(strategyId, options);
+  }
+
+  /**
+   * Prepares for a new game
+   */
+  reset() {
+    this.strategy.reset();
+  }
+
+  /**
+   * Picks the direction for the snake's next move
+   * @param {Engine} engine - The running engine
+   * @returns {string|null} Direction to steer, or null to keep going straight
+   */
+  decide(engine) {
+    return engine.gameOver ? null : this.strategy.decide(engine);
+  }
+
+  /**
+   * Input to hold on this tick of engine.tick()
+   * A held direction would auto-repeat or soft drop (see Snake.computeDelay()),
+   * so a turn is pressed for a single tick and then released; the engine
+   * keeps it until the snake's next move.
+   * @param {Engine} engine - The running engine
+   * @returns {string|null} Direction to press, or null to press nothing
+   */
+  tick(engine) {
+    if (engine.gameOver || engine.queuedAction !== null) return null;
+
+    const action = this.strategy.decide(engine);
+    return action && action !== AutopilotStrategy.currentAction(engine.snake) ? action : null;
+  }
+}
@@ -0,0 +1,860 @@
+/**
+ * Engine Class
+ * Headless simulation core holding the game rules: snake movement, grid
+ * collision, locking and line clears, scoring and leveling.
+ * It has no knowledge of the DOM, canvas, audio or wall-clock time, so it runs
+ * unchanged in the browser and in Node. Time is a logical clock advanced one
+ * fixed tick at a time; presentation layers and plugins subscribe to the
+ * events it emits on its event bus (see GameEvents).
+ */
+class Engine {
+  /**
+   * Creates a new engine
+   * @param {number|string|null} seed - Seed for the first game (a fresh random seed when omitted)
+   * @param {EventEmitter} events - Bus to emit game events on (a private one when omitted)
+   * @param {string} modeId - Game mode for the first game
+   * @param {Object} rules - Rule options for the first game (see Engine.DEFAULT_RULES)
+   */
+  constructor(seed = null, events = new EventEmitter(Object.values(GameEvents)), modeId = GameMode.DEFAULT_ID,
+              rules = Engine.DEFAULT_RULES) {
+    this.rng = new Random();
+    this.rules = Engine.normalizeRules(rules);
+    this.snake = new Snake(this.rng, this.rules);
+    this.grid = new Grid(this.rng, this.rules);
+    this.events = events;               // Event bus shared with the presentation layer
+    this.pendingEvents = [];            // Events emitted during the current step
+    this.silent = false;                // When true, events are not delivered to listeners (fast-forwarding)
+    this.reset(seed, modeId, rules);
+  }
+
+  /**
+   * Emits an event on the bus and records it for the current step
+   * @param {string} type - Event type (one of GameEvents)
+   * @param {Object} data - Event payload
+   */
+  emit(type, data = {}) {
+    const event = { type, ...data };
+    this.pendingEvents.push(event);
+    if (!this.silent) {
+      this.events.emit(type, event);
+    }
+  }
+
+  /**
+   * Starts a new game
+   * @param {number|string|null} seed - Seed for the game (a fresh random seed when omitted)
+   * @param {string} modeId - Game mode to play (keeps the current mode when omitted)
+   * @param {Object} rules - Rule options (keeps the current rules when omitted)
+   */
+  reset(seed = null, modeId = this.mode ? this.mode.id : GameMode.DEFAULT_ID, rules = this.rules) {
+    this.mode = GameMode.create(modeId);
+    this.rules = Engine.normalizeRules(rules);
+    this.grid.rules = this.rules;
+    this.snake.rules = this.rules;
+    this.scoring = new Scoring(this.mode.scoringTable());
+    this.rng.setSeed(seed === null ? Random.generateSeed() : seed);
+    this.score = 0;
+    this.level = 1;
+    this.linesCleared = 0;              // Total lines cleared this game
+    this.steps = 0;                     // Number of snake moves simulated this game
+    this.ticks = 0;                     // Logical clock: ticks simulated this game
+    this.moveTimer = 0;                 // Time (ms) accumulated towards the next move
+    this.queuedAction = null;           // Latest steering input, applied on the next move
+    this.heldAction = null;             // Direction held during the previous tick
+    this.holdTicks = 0;                 // Consecutive ticks the held direction has been held
+    this.bombArmed = false;             // Whether the snake clears a 3x3 area when it next locks
+    this.slowTicks = 0;                 // Ticks left of the slow food's slowdown
+    this.activePowerUps = {};           // Ticks left of each active power-up, by id
+    this.modeState = this.mode.initialState(this); // Per-game state owned by the mode
+    this.gameOver = false;
+    this.pendingEvents = [];
+    this.grid.reset();
+    this.queue = [];                    // Specs of the upcoming snakes, next one first
+    this.heldSpec = null;               // Spec of the snake in the hold slot
+    this.canHold = true;                // Hold is allowed once per lock
+    this.fillQueue();
+    this.spawnSnake();
+    this.grid.spawnFood(this.snake);
+  }
+
+  /**
+   * Captures the complete game state as plain JSON-safe data
+   * Restoring it continues the game exactly, including the random sequence
+   * @returns {Object} Versioned snapshot of the engine state
+   */
+  serialize() {
+    return {
+      version: Engine.SNAPSHOT_VERSION,
+      mode: this.mode.id,
+      rules: { ...this.rules },
+      seed: this.rng.seed,
+      rngState: this.rng.getState(),
+      score: this.score,
+      scoring: this.scoring.getState(),
+      level: this.level,
+      linesCleared: this.linesCleared,
+      steps: this.steps,
+      ticks: this.ticks,
+      moveTimer: this.moveTimer,
+      queuedAction: this.queuedAction,
+      heldAction: this.heldAction,
+      holdTicks: this.holdTicks,
+      bombArmed: this.bombArmed,
+      slowTicks: this.slowTicks,
+      activePowerUps: { ...this.activePowerUps },
+      modeState: JSON.parse(JSON.stringify(this.modeState)),
+      gameOver: this.gameOver,
+      queue: this.queue.map(spec => ({ ...spec })),
+      heldSpec: this.heldSpec && { ...this.heldSpec },
+      canHold: this.canHold,
+      snake: {
+        body: this.snake.body.map(seg => ({ x: seg.x, y: seg.y })),
+        direction: { x: this.snake.direction.x, y: this.snake.direction.y }
+      },
+      grid: {
+        staticBlocks: [...this.grid.staticBlocks],
+        food: { ...this.grid.food },
+        powerUp: this.grid.powerUp && { ...this.grid.powerUp },
+        landedBlocks: this.grid.landedBlocks
+      }
+    };
+  }
+
+  /**
+   * Replaces the game state with a snapshot from serialize()
+   * The snapshot is fully validated first, so a rejected snapshot leaves the engine untouched
+   * @param {Object} snapshot - Snapshot to restore
+   * @throws {Error} If the snapshot is malformed or from an unsupported version
+   */
+  restore(snapshot) {
+    Engine.validateSnapshot(snapshot);
+    
+    this.mode = GameMode.create(snapshot.mode);
+    this.rules = Engine.normalizeRules(snapshot.rules);
+    this.grid.rules = this.rules;
+    this.snake.rules = this.rules;
+    this.rng.setSeed(snapshot.seed);
+    this.rng.setState(snapshot.rngState);
+    this.score = snapshot.score;
+    this.scoring = new Scoring(this.mode.scoringTable());
+    this.scoring.setState(snapshot.scoring);
+    this.level = snapshot.level;
+    this.linesCleared = snapshot.linesCleared;
+    this.steps = snapshot.steps;
+    this.ticks = snapshot.ticks;
+    this.moveTimer = snapshot.moveTimer;
+    this.queuedAction = snapshot.queuedAction;
+    this.heldAction = snapshot.heldAction;
+    this.holdTicks = snapshot.holdTicks;
+    this.bombArmed = snapshot.bombArmed;
+    this.slowTicks = snapshot.slowTicks;
+    this.activePowerUps = { ...snapshot.activePowerUps };
+    this.modeState = JSON.parse(JSON.stringify(snapshot.modeState));
+    this.gameOver = snapshot.gameOver;
+    this.pendingEvents = [];
+    this.queue = snapshot.queue.map(spec => ({ ...spec }));
+    this.heldSpec = snapshot.heldSpec && { ...snapshot.heldSpec };
+    this.canHold = snapshot.canHold;
+    
+    this.snake.body = snapshot.snake.body.map(seg => ({ x: seg.x, y: seg.y }));
+    this.snake.direction = Object.values(Engine.DIRECTIONS).find(dir =>
+      dir.x === snapshot.snake.direction.x && dir.y === snapshot.snake.direction.y);
+    
+    this.grid.staticBlocks = new Map(snapshot.grid.staticBlocks);
+    this.grid.food = { ...snapshot.grid.food };
+    this.grid.powerUp = snapshot.grid.powerUp && { ...snapshot.grid.powerUp };
+    this.grid.landedBlocks = snapshot.grid.landedBlocks;
+  }
+
+  /**
+   * Checks that a snapshot can be restored by this version of the engine
+   * @param {Object} snapshot - Snapshot to check
+   * @throws {Error} Describing the first problem found
+   */
+  static validateSnapshot(snapshot) {
+    const isCell = cell => cell && Number.isInteger(cell.x) && Number.isInteger(cell.y);
+    
+    if (!snapshot || typeof snapshot !== 'object') {
+      throw new Error('Snapshot is not an object');
+    }
+    if (snapshot.version !== Engine.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    if (!GameMode.modes.has(snapshot.mode)) {
+      throw new Error(`Snapshot has an unknown game mode: ${snapshot.mode}`);
+    }
+    const rules = Engine.normalizeRules(snapshot.rules);
+    // Cells above the top row are allowed: snakes spawn (and can lock) partly off-grid
+    const inBounds = cell => cell.x >= 0 && cell.x < rules.width && cell.y < rules.height;
+    
+    const counters = ['seed', 'rngState', 'score', 'level', 'linesCleared', 'steps', 'ticks', 'holdTicks', 'slowTicks'];
+    for (const name of counters) {
+      if (!Number.isInteger(snapshot[name]) || snapshot[name] < 0) {
+        throw new Error(`Snapshot has an invalid ${name}`);
+      }
+    }
+    const scoring = snapshot.scoring;
+    if (!scoring || !Number.isInteger(scoring.combo) || scoring.combo < -1 || typeof scoring.backToBack !== 'boolean') {
+      throw new Error('Snapshot has an invalid scoring state');
+    }
+    if (typeof snapshot.bombArmed !== 'boolean') {
+      throw new Error('Snapshot has an invalid bomb state');
+    }
+    if (!snapshot.modeState || typeof snapshot.modeState !== 'object' || Array.isArray(snapshot.modeState)) {
+      throw new Error('Snapshot has an invalid mode state');
+    }
+    const active = snapshot.activePowerUps;
+    if (!active || typeof active !== 'object' ||
+        !Object.entries(active).every(([id, ticks]) => PowerUp.types.has(id) && Number.isInteger(ticks) && ticks > 0)) {
+      throw new Error('Snapshot has invalid active power-ups');
+    }
+    if (!Number.isFinite(snapshot.moveTimer) ||
+        !(snapshot.queuedAction === null || Engine.isDirection(snapshot.queuedAction)) ||
+        !Engine.isAction(snapshot.heldAction)) {
+      throw new Error('Snapshot has invalid timing or input state');
+    }
+    
+    const isSpec = spec => Boolean(spec) && Number.isInteger(spec.length) && spec.length > 0;
+    if (!Array.isArray(snapshot.queue) || snapshot.queue.length !== config.PREVIEW.QUEUE_SIZE ||
+        !snapshot.queue.every(isSpec)) {
+      throw new Error('Snapshot has an invalid snake queue');
+    }
+    if ((snapshot.heldSpec !== null && !isSpec(snapshot.heldSpec)) || typeof snapshot.canHold !== 'boolean') {
+      throw new Error('Snapshot has an invalid hold slot');
+    }
+    
+    const snake = snapshot.snake;
+    if (!snake || !Array.isArray(snake.body) || snake.body.length === 0 ||
+        !snake.body.every(seg => isCell(seg) && inBounds(seg))) {
+      throw new Error('Snapshot has an invalid snake body');
+    }
+    if (!isCell(snake.direction) ||
+        !Object.values(Engine.DIRECTIONS).some(dir => dir.x === snake.direction.x && dir.y === snake.direction.y)) {
+      throw new Error('Snapshot has an invalid snake direction');
+    }
+    
+    const grid = snapshot.grid;
+    if (!grid || !Array.isArray(grid.staticBlocks) || !isCell(grid.food) ||
+        !Number.isInteger(grid.landedBlocks) || grid.landedBlocks < 0) {
+      throw new Error('Snapshot has an invalid grid');
+    }
+    if (!FoodTypes[grid.food.kind] || !(grid.food.ttl === null || (Number.isInteger(grid.food.ttl) && grid.food.ttl > 0))) {
+      throw new Error('Snapshot has an invalid food');
+    }
+    const item = grid.powerUp;
+    if (item !== null && (!isCell(item) || !inBounds(item) || !PowerUp.types.has(item.kind) ||
+        !Number.isInteger(item.ttl) || item.ttl <= 0)) {
+      throw new Error('Snapshot has an invalid power-up');
+    }
+    for (const entry of grid.staticBlocks) {
+      const [key, color] = Array.isArray(entry) ? entry : [];
+      const match = /^(\d+),(-?\d+)$/.exec(key);
+      const cell = match && { x: Number(match[1]), y: Number(match[2]) };
+      if (!cell || !inBounds(cell) || !/^#[0-9a-f]{6}$/i.test(color)) {
+        throw new Error(`Snapshot has an invalid block: ${JSON.stringify(entry)}`);
+      }
+    }
+  }
+
+  /**
+   * Fills in defaults for missing rule options and checks the given ones
+   * @param {Object} rules - Rule options, possibly partial
+   * @returns {Object} Complete rule options
+   * @throws {Error} If an option has an unsupported value
+   */
+  static normalizeRules(rules = {}) {
+    const presetId = rules.preset === undefined ? Engine.DEFAULT_RULES.preset : rules.preset;
+    const preset = RulePresets[presetId];
+    if (!preset) {
+      throw new Error(`Unknown rule preset: ${presetId}`);
+    }
+    
+    // The preset supplies the board size and speed; explicit options override it
+    const { width, height, moveDelay } = preset;
+    const normalized = { ...Engine.DEFAULT_RULES, width, height, moveDelay, ...rules };
+    if (!Object.values(Grid.GRAVITY).includes(normalized.gravity)) {
+      throw new Error(`Unknown gravity mode: ${normalized.gravity}`);
+    }
+    for (const name of ['width', 'height']) {
+      const size = normalized[name];
+      if (!Number.isInteger(size) || size < Engine.MIN_BOARD_SIZE || size > Engine.MAX_BOARD_SIZE) {
+        throw new Error(`Board ${name} must be a whole number from ${Engine.MIN_BOARD_SIZE} to ${Engine.MAX_BOARD_SIZE}`);
+      }
+    }
+    if (!Number.isFinite(normalized.moveDelay) || normalized.moveDelay <= 0) {
+      throw new Error(`Invalid moveDelay: ${normalized.moveDelay}`);
+    }
+    for (const [name, { min, max }] of Object.entries(Engine.HANDLING_LIMITS)) {
+      const value = normalized[name];
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${name} must be from ${min} to ${max}`);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Checks a player's handling options, the only rule options each player chooses
+   * @param {Object} handling - Handling options {das, arr, softDropFactor}, possibly partial
+   * @returns {Object} A copy of the handling options
+   * @throws {Error} If handling is not an object, or has an option not in HANDLING_LIMITS or out of its range
+   */
+  static validateHandling(handling = {}) {
+    if (!handling || typeof handling !== 'object' || Array.isArray(handling)) {
+      throw new Error('Handling must be an object');
+    }
+    const validated = {};
+    for (const [name, value] of Object.entries(handling)) {
+      if (!Object.prototype.hasOwnProperty.call(Engine.HANDLING_LIMITS, name)) {
+        throw new Error(`Unknown handling option: ${name}`);
+      }
+      const { min, max } = Engine.HANDLING_LIMITS[name];
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${name} must be from ${min} to ${max}`);
+      }
+      validated[name] = value;
+    }
+    return validated;
+  }
+
+  /**
+   * Checks whether a value is an input the engine accepts
+   * @param {*} action - Value to check
+   * @returns {boolean} True for null, a direction name, 'hold' or 'hardDrop'
+   */
+  static isAction(action) {
+    return action === null || action === 'hold' || action === 'hardDrop' || Engine.isDirection(action);
+  }
+
+  /**
+   * Checks whether a value names one of the four directions
+   * Only DIRECTIONS' own keys count, not inherited ones such as 'toString'.
+   * @param {*} action - Value to check
+   * @returns {boolean} True for 'up', 'down', 'left' or 'right'
+   */
+  static isDirection(action) {
+    return typeof action === 'string' && Object.prototype.hasOwnProperty.call(Engine.DIRECTIONS, action);
+  }
+
+  /**
+   * Advances the logical clock by one tick, moving the snake when its delay has elapsed
+   * Holding a direction speeds the snake up according to the handling rules
+   * (see Snake.computeDelay())
+   * @param {string|null} action - Input currently held ('up', 'down', 'left', 'right', 'hold', 'hardDrop') or null
+   * @returns {Array<Object>} Events emitted during this tick
+   */
+  tick(action = null) {
+    this.pendingEvents = [];
+    if (this.gameOver) return this.pendingEvents;
+
+    this.ticks++;
+    this.tickPowerUps();
+    if (action === 'hold') {
+      // Hold fires once when pressed, not on every tick it stays down
+      if (this.heldAction !== 'hold') this.hold();
+    } else if (action === 'hardDrop') {
+      // Like hold, a hard drop fires once per press
+      if (this.heldAction !== 'hardDrop') this.hardDrop();
+    } else if (action) {
+      // Latch the input so a tap between moves still steers the next move
+      this.queuedAction = action;
+    }
+    // Only a held direction accelerates the snake
+    this.holdTicks = Engine.isDirection(action) && action === this.heldAction ? this.holdTicks + 1 : 0;
+    this.heldAction = action;
+    if (this.gameOver) return this.pendingEvents;
+
+    this.moveTimer += Engine.TICK_MS;
+    const held = Engine.isDirection(action) ? Engine.DIRECTIONS[action] : null;
+    let delay = this.snake.computeDelay(this.level, this.holdTicks, held);
+    if (this.slowTicks > 0) {
+      this.slowTicks--;
+      delay *= FoodTypes.slow.factor;
+    }
+    if (this.moveTimer >= delay) {
+      // Time saved up at a slower speed is dropped, so speeding up (auto-repeat,
+      // soft drop) never releases a burst of moves
+      this.moveTimer = Math.min(this.moveTimer - delay, Engine.TICK_MS);
+      const queued = this.queuedAction;
+      this.queuedAction = null;
+      this.moveSnake(queued);
+    }
+
+    if (!this.gameOver) {
+      this.mode.update(this);
+    }
+    this.checkModeEnd();
+    return this.pendingEvents;
+  }
+
+  /**
+   * Advances the simulation by one snake move
+   * Runs the logical clock tick by tick until the snake moves (or locks), so
+   * the mode, power-up timers and timed effects advance exactly as they would
+   * in real-time play. The action is a tap: pressed on the first tick and
+   * released after, so it steers the move without auto-repeat or soft drop.
+   * 'hold' and 'hardDrop' act on the first tick and return without waiting
+   * for a move. Stops early if the game ends.
+   * @param {string|null} action - Direction to steer before moving ('up', 'down', 'left', 'right'), 'hold', 'hardDrop' or null
+   * @returns {Array<Object>} Events emitted during this step
+   */
+  step(action = null) {
+    const events = [];
+    if (!this.gameOver) {
+      // Every step is a fresh press, even if the previous step used the same action
+      this.heldAction = null;
+      const steps = this.steps;
+      events.push(...this.tick(action));
+      const waitsForMove = action !== 'hold' && action !== 'hardDrop';
+      while (waitsForMove && !this.gameOver && this.steps === steps) {
+        events.push(...this.tick(null));
+      }
+    }
+    this.pendingEvents = events;
+    return events;
+  }
+
+  /**
+   * Steers and moves the snake one cell, handling collisions and food
+   * @param {string|null} action - Direction to steer before moving, or null
+   */
+  moveSnake(action) {
+    if (this.someActivePowerUp(powerUp => powerUp.holdsPosition(this, action))) return;
+
+    if (Engine.isDirection(action)) {
+      this.snake.changeDirection(Engine.DIRECTIONS[action]);
+    }
+    this.steps++;
+
+    const head = this.snake.getHead();
+    const newHead = {
+      x: head.x + this.snake.direction.x,
+      y: head.y + this.snake.direction.y
+    };
+
+    // Walls, placed blocks and the snake's own body (excluding head and tail) all lock the snake,
+    // unless an active power-up lets it into the blocked cell
+    const hitsGrid = this.grid.isCollision(newHead.x, newHead.y) &&
+      !this.someActivePowerUp(powerUp => powerUp.allowsMoveInto(this, newHead));
+    if (hitsGrid || this.snake.isCollidingWith(newHead.x, newHead.y, true)) {
+      this.emit('collision', { x: newHead.x, y: newHead.y });
+      this.lockSnake();
+      return;
+    }
+
+    const isEating = this.grid.isSnakeEatingFood(newHead.x, newHead.y);
+    const kind = this.grid.food.kind;
+    // Shrink food is the one food that does not grow the snake
+    this.snake.move(isEating && kind !== FoodTypes.shrink.id);
+    this.emit('move', { head: newHead, ate: isEating });
+
+    if (isEating) {
+      this.eatFood(kind);
+    } else if (this.grid.ageFood()) {
+      this.emit('foodExpired', { x: this.grid.food.x, y: this.grid.food.y, kind });
+      this.grid.spawnFood(this.snake);
+    }
+
+    if (this.grid.isPowerUpAt(newHead.x, newHead.y)) {
+      this.collectPowerUp();
+    } else if (this.grid.agePowerUp()) {
+      const { x, y, kind: item } = this.grid.powerUp;
+      this.grid.powerUp = null;
+      this.emit('powerUpExpired', { x, y, kind: item });
+    }
+
+    for (const id of Object.keys(this.activePowerUps)) {
+      PowerUp.get(id).afterMove(this);
+    }
+  }
+
+  /**
+   * Picks up the power-up under the snake's head and applies it
+   */
+  collectPowerUp() {
+    const powerUp = PowerUp.get(this.grid.powerUp.kind);
+    this.grid.powerUp = null;
+    this.emit('powerUpCollected', { kind: powerUp.id, duration: powerUp.duration });
+    powerUp.activate(this);
+  }
+
+  /**
+   * Counts down the active power-ups by one tick, ending any that run out
+   */
+  tickPowerUps() {
+    for (const id of Object.keys(this.activePowerUps)) {
+      this.activePowerUps[id]--;
+      if (this.activePowerUps[id] <= 0) {
+        this.endPowerUp(id);
+      }
+    }
+  }
+
+  /**
+   * Ends an active power-up early or when its time runs out
+   * @param {string} id - Power-up id
+   */
+  endPowerUp(id) {
+    if (!(id in this.activePowerUps)) return;
+
+    delete this.activePowerUps[id];
+    this.emit('powerUpEnded', { kind: id });
+  }
+
+  /**
+   * Asks the active power-ups a question, stopping at the first that answers true
+   * @param {Function} predicate - Called with each active PowerUp
+   * @returns {boolean} True if any power-up answered true
+   */
+  someActivePowerUp(predicate) {
+    return Object.keys(this.activePowerUps).some(id => predicate(PowerUp.get(id)));
+  }
+
+  /**
+   * Active power-ups for the HUD
+   * @returns {Array<Object>} Entries {id, name, color, ticksLeft, duration}
+   */
+  getActivePowerUps() {
+    return Object.entries(this.activePowerUps).map(([id, ticksLeft]) => {
+      const { name, color, duration } = PowerUp.get(id);
+      return { id, name, color, ticksLeft, duration };
+    });
+  }
+
+  /**
+   * Scores the food just eaten, applies its effect and spawns the next one
+   * @param {string} kind - Id of the food type eaten
+   */
+  eatFood(kind) {
+    this.score += this.scoring.food(this.level, kind);
+
+    if (kind === FoodTypes.shrink.id && this.snake.body.length > 1) {
+      this.snake.body.pop();
+    } else if (kind === FoodTypes.bomb.id) {
+      this.bombArmed = true;
+    } else if (kind === FoodTypes.slow.id) {
+      this.slowTicks = FoodTypes.slow.duration;
+    }
+
+    this.emit('foodEaten', {
+      kind,
+      score: this.score,
+      level: this.level,
+      length: this.snake.body.length
+    });
+    this.grid.spawnFood(this.snake);
+  }
+
+  /**
+   * Locks the snake into the grid, clears lines, updates the level and spawns the next snake
+   */
+  lockSnake() {
+    this.grid.lockSnake(this.snake);
+    if (this.bombArmed) {
+      this.detonate();
+    }
+    const linesCleared = this.clearLines();
+
+    // Level is based on blocks placed, as defined by the mode
+    const previousLevel = this.level;
+    this.level = this.mode.levelFor(this);
+    this.emit('lock', { linesCleared, level: this.level });
+    if (this.level > previousLevel) {
+      this.emit('levelUp', { level: this.level });
+    }
+
+    this.canHold = true;
+    this.spawnSnake();
+    this.checkTopOut();
+    if (!this.gameOver) {
+      this.maybeSpawnPowerUp();
+    }
+  }
+
+  /**
+   * Occasionally places a power-up on the grid after a lock, if none is waiting
+   */
+  maybeSpawnPowerUp() {
+    if (this.grid.powerUp || this.rng.next() >= config.POWER_UPS.SPAWN_CHANCE) return;
+
+    this.grid.spawnPowerUp(this.snake);
+    const { x, y, kind } = this.grid.powerUp;
+    this.emit('powerUpSpawned', { x, y, kind });
+  }
+
+  /**
+   * Clears the 3x3 area around the locked snake's head, then lets blocks settle
+   */
+  detonate() {
+    const head = this.snake.getHead();
+    const removed = this.grid.explode(head.x, head.y, 1);
+    this.bombArmed = false;
+    this.grid.settle();
+    this.emit('bomb', { x: head.x, y: head.y, removed });
+  }
+
+  /**
+   * Clears full lines, letting blocks settle and re-clearing until the board is stable,
+   * then scores the lock's bonuses
+   * Each further round of a chain reaction scores more
+   * @returns {number} Total lines cleared by the chain
+   */
+  clearLines() {
+    const awards = [];
+    let total = 0;
+    let quadPoints = 0;
+    let chain = 0;
+    let count = this.grid.clearLines();
+
+    while (count > 0) {
+      chain++;
+      total += count;
+      const award = this.scoring.lineClear(count, chain, this.level);
+      awards.push(award);
+      if (count >= 4) quadPoints += award.points;
+      this.linesCleared += count;
+      this.score += award.points;
+      this.emit('linesCleared', { count, chain, points: award.points, score: this.score });
+
+      // Stop when the gravity mode leaves nothing to fall into a new full line
+      if (!this.grid.settle()) break;
+      count = this.grid.clearLines();
+    }
+
+    const perfectClear = total > 0 && this.grid.staticBlocks.size === 0;
+    for (const bonus of this.scoring.lockBonuses({ lines: total, quadPoints, perfectClear }, this.level)) {
+      awards.push(bonus);
+      this.score += bonus.points;
+    }
+    if (awards.length > 0) {
+      this.emit('scored', { awards, score: this.score });
+    }
+
+    return total;
+  }
+
+  /**
+   * Swaps the falling snake into the hold slot
+   * The previously held snake (or the next one from the queue) spawns at the top.
+   * Only allowed once per lock.
+   * @returns {boolean} Whether the swap happened
+   */
+  hold() {
+    if (!this.canHold) return false;
+
+    // The current snake is held at its current length, including any growth
+    const current = { length: this.snake.body.length };
+    const held = this.heldSpec;
+    this.heldSpec = current;
+    this.canHold = false;
+    this.moveTimer = 0;
+    this.emit('hold', { held: { ...current }, swapped: held !== null });
+    this.spawnSnake(held);
+    this.checkTopOut();
+    return true;
+  }
+
+  /**
+   * Drops the snake straight down, keeping its shape, and locks it where it lands
+   * The snake lands where the ghost projection shows; food and power-ups it
+   * passes over are left alone.
+   */
+  hardDrop() {
+    const head = this.snake.getHead();
+    this.snake.body = this.getGhost();
+    this.moveTimer = 0;
+    this.emit('hardDrop', { distance: this.snake.getHead().y - head.y });
+    this.lockSnake();
+  }
+
+  /**
+   * Pushes a garbage row with a single gap up from the bottom of the grid
+   * Blocks pushed out of the top row top the game out. The falling snake, food
+   * and any waiting power-up are kept clear of the new blocks.
+   * @param {number} gap - Column left empty (a random column when omitted)
+   */
+  pushGarbageRow(gap = this.rng.nextInt(this.rules.width)) {
+    const overflow = this.grid.insertGarbageRow(gap);
+
+    // Lift the falling snake out of the rising stack
+    while (this.snake.body.some(seg => this.grid.isStaticBlock(seg.x, seg.y))) {
+      this.snake.body.forEach(seg => seg.y--);
+    }
+    if (this.grid.isStaticBlock(this.grid.food.x, this.grid.food.y)) {
+      this.grid.spawnFood(this.snake);
+    }
+    const item = this.grid.powerUp;
+    if (item && this.grid.isStaticBlock(item.x, item.y)) {
+      this.grid.powerUp = null;
+    }
+
+    this.emit('garbage', { gap });
+    if (overflow) {
+      const outcome = this.mode.handleTopOut(this);
+      if (outcome) this.endGame(outcome);
+    }
+  }
+
+  /**
+   * Pushes garbage rows sent by an opponent, all with the same gap
+   * The gap is chosen by the sender's side, so receiving garbage leaves this
+   * game's own random sequence (food and snakes) untouched.
+   * @param {number} count - Rows to push
+   * @param {number} gap - Column left empty in every row
+   */
+  receiveGarbage(count, gap) {
+    for (let i = 0; i < count && !this.gameOver; i++) {
+      this.pushGarbageRow(gap);
+    }
+  }
+
+  /**
+   * Lets the mode decide what happens when there is no room to spawn
+   */
+  checkTopOut() {
+    if (this.isSpawnBlocked()) {
+      const outcome = this.mode.handleTopOut(this);
+      if (outcome) this.endGame(outcome);
+    }
+  }
+
+  /**
+   * Checks whether the freshly spawned snake overlaps placed blocks
+   * @returns {boolean} True if there is no room for the snake
+   */
+  isSpawnBlocked() {
+    return this.snake.body.some(seg => this.grid.isStaticBlock(seg.x, seg.y));
+  }
+
+  /**
+   * Ends the game if the mode's end condition has been met
+   */
+  checkModeEnd() {
+    if (this.gameOver) return;
+    
+    const outcome = this.mode.checkEnd(this);
+    if (outcome) this.endGame(outcome);
+  }
+
+  /**
+   * Ends the game at the player's request (e.g. finishing a Zen session)
+   */
+  resign() {
+    if (!this.gameOver) {
+      this.endGame(this.mode.resign(this));
+    }
+  }
+
+  /**
+   * Ends the game and announces the results
+   * @param {Object} outcome - Outcome from the mode ({won, title})
+   */
+  endGame(outcome) {
+    this.gameOver = true;
+    this.emit('gameOver', {
+      score: this.score,
+      level: this.level,
+      seed: this.rng.seed,
+      mode: this.mode.id,
+      won: outcome.won,
+      title: outcome.title,
+      results: this.mode.results(this)
+    });
+  }
+
+  /**
+   * Fields the HUD should show for the current mode
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  getHudFields() {
+    return this.mode.hudFields(this);
+  }
+
+  /**
+   * Cells the snake would occupy if its current shape kept falling straight down
+   * until one more row would collide (the ghost projection)
+   * Cells above the top of the grid are ignored when testing for collisions.
+   * @returns {Array<Object>} Projected cells {x, y}, in body order
+   */
+  getGhost() {
+    const body = this.snake.body;
+    const blocked = drop => body.some(seg => {
+      const y = seg.y + drop;
+      return y >= 0 && this.grid.isCollision(seg.x, y);
+    });
+    
+    let drop = 0;
+    while (!blocked(drop + 1)) drop++;
+    return body.map(seg => ({ x: seg.x, y: seg.y + drop }));
+  }
+
+  /**
+   * Upcoming snakes for the preview display
+   * @param {number} count - Number of snakes to return (capped at the queue size)
+   * @returns {Array<Object>} Snake specs, next one first
+   */
+  getPreview(count = config.PREVIEW.COUNT) {
+    return this.queue.slice(0, Math.max(0, count));
+  }
+
+  /**
+   * Tops the upcoming snake queue back up to its full size
+   * The queue length never depends on the preview count, so the random
+   * sequence (and therefore replays) is the same whatever is displayed
+   */
+  fillQueue() {
+    while (this.queue.length < config.PREVIEW.QUEUE_SIZE) {
+      this.queue.push(this.snake.createSpec());
+    }
+  }
+
+  /**
+   * Spawns a snake at the top of the grid, by default the next one from the queue
+   * @param {Object|null} spec - Spec to spawn instead of the queue's next snake
+   */
+  spawnSnake(spec = null) {
+    if (spec) {
+      this.snake.spawn(spec);
+    } else {
+      this.snake.spawn(this.queue.shift());
+      this.fillQueue();
+    }
+    this.emit('spawn', { length: this.snake.body.length, next: this.getPreview(config.PREVIEW.QUEUE_SIZE) });
+  }
+}
+
+// Format version of serialize() snapshots
+Engine.SNAPSHOT_VERSION = 11;
+
+// Rule options a game is played with, recorded in snapshots and replays
+// The board size and speed (width, height, moveDelay) come from the preset
+// unless given explicitly; the handling options come from the player's profile
+Engine.DEFAULT_RULES = {
+  preset: RulePresets.classic.id,       // Board size and speed preset (one of RulePresets)
+  gravity: Grid.GRAVITY.NAIVE,          // Post-clear gravity (one of Grid.GRAVITY)
+  das: 170,                             // Delayed auto shift: ms a direction is held before it auto-repeats
+  arr: 50,                              // Auto-repeat rate: ms between moves while auto-repeating (0 = every tick)
+  softDropFactor: 6                     // How many times faster the snake moves while down is held
+};
+
+// Allowed range of each handling option
+Engine.HANDLING_LIMITS = Object.freeze({
+  das: Object.freeze({ min: 0, max: 500 }),
+  arr: Object.freeze({ min: 0, max: 300 }),
+  softDropFactor: Object.freeze({ min: 1, max: 40 })
+});
+
+// Smallest and largest board dimensions, in cells
+Engine.MIN_BOARD_SIZE = 4;
+Engine.MAX_BOARD_SIZE = 60;
+
+// Length of one logical tick in ms
+Engine.TICK_MS = 1000 / config.TICKS.RATE;
+
+// Direction vectors for each steering action
+Engine.DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
@@ -0,0 +1,106 @@
+/**
+ * EventEmitter Class
+ * Minimal typed publish/subscribe bus. The set of event types is fixed when
+ * the emitter is created, so subscribing to or emitting a misspelled event
+ * fails loudly instead of silently doing nothing.
+ */
+class EventEmitter {
+  /**
+   * Creates an emitter
+   * @param {Array<string>} types - Event types this emitter accepts
+   */
+  constructor(types) {
+    this.types = new Set(types);
+    this.handlers = new Map();          // Event type -> array of handlers
+    this.anyHandlers = [];              // Handlers receiving every event
+  }
+
+  /**
+   * Throws if an event type is not one this emitter was created with
+   * @param {string} type - Event type to check
+   */
+  assertType(type) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+  }
+
+  /**
+   * Subscribes to one event type
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, handler) {
+    this.assertType(type);
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribes to the next occurrence of one event type only
+   * @param {string} type - Event type
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Call to unsubscribe before it fires
+   */
+  once(type, handler) {
+    const off = this.on(type, payload => {
+      off();
+      handler(payload);
+    });
+    return off;
+  }
+
+  /**
+   * Removes a handler added with on()
+   * @param {string} type - Event type
+   * @param {Function} handler - The handler to remove
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      this.handlers.set(type, handlers.filter(h => h !== handler));
+    }
+  }
+
+  /**
+   * Subscribes to every event type (useful for logging and telemetry)
+   * @param {Function} handler - Called with (type, payload)
+   * @returns {Function} Call to unsubscribe
+   */
+  onAny(handler) {
+    this.anyHandlers.push(handler);
+    return () => {
+      this.anyHandlers = this.anyHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Delivers an event to its subscribers
+   * A throwing handler is logged and does not stop the others (or the game)
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data passed to handlers
+   */
+  emit(type, payload = {}) {
+    this.assertType(type);
+    
+    for (const handler of this.handlers.get(type) || []) {
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`Error in "${type}" handler:`, e);
+      }
+    }
+    
+    for (const handler of this.anyHandlers) {
+      try {
+        handler(type, payload);
+      } catch (e) {
+        console.error(`Error in handler for all events (${type}):`, e);
+      }
+    }
+  }
+}
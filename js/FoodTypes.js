@@ -0,0 +1,42 @@
+/**
+ * Food Types
+ * Every kind of food that can spawn, keyed by id, with how often it appears,
+ * how long it stays and its base color. The effects themselves are applied by
+ * the Engine when the food is eaten (see Engine.eatFood()).
+ * Lifetimes are counted in snake moves, so they behave the same in tick-driven
+ * play and in step-driven simulations; null means the food never expires.
+ */
+const FoodTypes = Object.freeze({
+  normal: Object.freeze({
+    id: 'normal',                       // Grows the snake
+    weight: 70,                         // Relative spawn chance
+    lifetime: null,                     // Moves before it disappears (null = never)
+    color: config.COLORS.FOOD           // Base color for rendering
+  }),
+  golden: Object.freeze({
+    id: 'golden',                       // Grows the snake and scores the golden food bonus
+    weight: 10,
+    lifetime: 40,
+    color: '#ffd700'
+  }),
+  shrink: Object.freeze({
+    id: 'shrink',                       // Removes a tail segment instead of growing
+    weight: 8,
+    lifetime: 60,
+    color: '#3fa9f5'
+  }),
+  bomb: Object.freeze({
+    id: 'bomb',                         // Arms the snake: a 3x3 area of blocks is cleared where it locks
+    weight: 6,
+    lifetime: 60,
+    color: '#8a8aa0'
+  }),
+  slow: Object.freeze({
+    id: 'slow',                         // Slows the snake down for a while
+    weight: 6,
+    lifetime: 60,
+    color: '#9b6bff',
+    duration: 300,                      // Ticks the slowdown lasts
+    factor: 1.6                         // Multiplier applied to the move delay
+  })
+});
@@ -1,7 +1,9 @@
 /**
  * Game Class
- * The core game controller that manages game state, logic, and components.
- * Handles the main game loop, input processing, and game event coordination.
+ * The browser game controller that wires the headless Engine to the page.
+ * Handles the main game loop, input processing, menus and pause state, while
+ * the rules themselves live in the Engine. Audio, rendering effects, UI and
+ * plugins all react to the game through its event bus.
  */
 class Game {
   /**
@@ -10,33 +12,166 @@ class Game {
    */
   constructor(canvasId) {
     this.canvas = document.getElementById(canvasId);
-    this.snake = new Snake();
-    this.grid = new Grid();
-    this.renderer = new Renderer(this.canvas);
-    this.inputHandler = new InputHandler();
+    this.events = new EventEmitter(Object.values(GameEvents));
+    this.engine = new Engine(null, this.events);
+    this.renderer = new Renderer(this.canvas, this.engine.rules);
+    this.keyBindings = new KeyBindings();
+    this.gamepadBindings = new GamepadBindings();
+    this.inputHandler = new InputHandler(this.keyBindings.getAll(), this.gamepadBindings.getAll());
     this.audioManager = new AudioManager();
     this.ui = new UI({
       mainMenu: "mainMenu",
       paused: "pausedOverlay",
       gameOver: "gameOverOverlay",
-      finalScore: "finalScore",
-      finalLevel: "finalLevel",
+      resultTitle: "gameOverTitle",
+      resultDetails: "resultDetails",
       startButton: "startButton",
-      restartButton: "restartButton"
+      restartButton: "restartButton",
+      seedInput: "seedInput",
+      modeSelect: "modeSelect",
+      finalSeed: "finalSeed"
     });    // Game state variables
-    this.score = 0;
-    this.level = 1;
-    this.gameOver = false;
     this.paused = false;
     this.lastMoveTime = 0;
-    this.accumulator = 0;
+    this.scheduler = new TickScheduler(); // Turns frame time into fixed logical ticks
+    this.currentAction = null; // Direction held this frame, fed to every tick
     this.gameLoopId = null; // Track the animation frame ID
     
+    // Replay state
+    this.recorder = new ReplayRecorder();
+    this.replayPlayer = null; // Active replay playback (null during normal play)
+    this.lastReplay = null; // Replay of the most recently finished game
+    
+    // Local versus state
+    this.match = null; // Active split-screen match (null otherwise)
+    this.versusInput = null; // Second player's input, created with the first match
+    this.currentActions = []; // Input held by each versus player this frame
+    
+    // Online state
+    this.net = null; // Relay connection while the online screen or an online match is in use
+    this.onlineLobby = null; // Latest lobby state of the room joined (null when not in a room)
+    
+    // Attract mode: the autopilot plays a demo game while the main menu sits idle
+    this.demo = null; // Demo game {engine, autopilot} being shown (null otherwise)
+    this.attractTimer = null; // Countdown to the next demo, restarted by any activity
+    
+    // Saved game for "Continue"
+    this.saveManager = new SaveManager();
+    
+    // Player preferences, applied now and whenever they change
+    this.settings = new Settings();
+    
+    // Handling profiles; the active one's values join the rules of each new game
+    this.handling = new HandlingProfiles();
+    
+    this.plugins = new Map(); // Registered plugin name -> cleanup function (or null)
+    
     this.bindEvents();
+    this.bindGameEvents();
     
     // Set initial UI state
-    this.ui.updateSoundButtonText();
-    this.ui.updateMusicButtonText();
+    this.ui.setContinueAvailable(this.saveManager.hasSave());
+    this.ui.populateModes(GameMode.list(), this.settings.get('mode'));
+    this.ui.populatePresets(Object.values(RulePresets), this.settings.get('preset'));
+    for (const [key, value] of Object.entries(this.settings.getAll())) {
+      this.applySetting(key, value);
+    }
+    this.settings.onChange((key, value) => this.applySetting(key, value));
+    this.ui.populateKeyPresets(KeyBindings.PRESETS);
+    this.applyKeyBindings(this.keyBindings.getAll());
+    this.keyBindings.onChange(bindings => this.applyKeyBindings(bindings));
+    this.applyHandlingProfile(this.handling.getActive());
+    this.handling.onChange(profile => this.applyHandlingProfile(profile));
+    this.applyGamepadBindings(this.gamepadBindings.getAll());
+    this.gamepadBindings.onChange(bindings => this.applyGamepadBindings(bindings));
+    this.ui.updateGamepadStatus(this.inputHandler.getGamepads().map(gamepad => gamepad.id));
+    this.scheduleAttract();
+  }
+
+  /**
+   * Loads key bindings into the input handler and the menus that show them
+   * @param {Object} bindings - Keys bound to each action, by action id
+   */
+  applyKeyBindings(bindings) {
+    this.inputHandler.setBindings(bindings);
+    this.ui.renderKeyBindings(bindings);
+    this.ui.updateKeyHints(bindings);
+  }
+
+  /**
+   * Shows the active handling profile in the settings
+   * @param {Object} profile - Active profile (see HandlingProfiles.getActive())
+   */
+  applyHandlingProfile(profile) {
+    this.ui.populateHandlingProfiles(this.handling.list(), profile.id);
+    this.ui.updateHandlingInputs(profile);
+  }
+
+  /**
+   * Loads gamepad bindings into the input handler and the controller screen
+   * @param {Object} bindings - Button indices bound to each action, by action id
+   */
+  applyGamepadBindings(bindings) {
+    this.inputHandler.setGamepadBindings(bindings);
+    if (this.versusInput) this.versusInput.setGamepadBindings(bindings);
+    this.ui.renderGamepadBindings(bindings);
+  }
+
+  /**
+   * Applies one setting to the component it controls
+   * @param {string} key - Setting name (see Settings.DEFAULTS)
+   * @param {*} value - The setting's value
+   */
+  applySetting(key, value) {
+    switch (key) {
+      case 'sound':
+        this.audioManager.setMute(!value);
+        this.ui.soundEnabled = value;
+        this.ui.updateSoundButtonText();
+        break;
+      case 'music':
+        this.audioManager.setMusicMute(!value);
+        this.ui.musicEnabled = value;
+        this.ui.updateMusicButtonText();
+        break;
+      case 'soundVolume':
+        this.audioManager.setSoundVolume(value);
+        break;
+      case 'musicVolume':
+        this.audioManager.setMusicVolume(value);
+        break;
+      case 'touchControls':
+        this.ui.setTouchControls(value);
+        break;
+      case 'swipe':
+        this.inputHandler.swipeEnabled = value;
+        break;
+      case 'stickDeadZone':
+        this.inputHandler.stickDeadZone = value;
+        break;
+      case 'gridLines':
+        this.renderer.showGrid = value;
+        break;
+      case 'ghost':
+        this.renderer.showGhost = value;
+        this.ui.updateGhostButtonText(value);
+        break;
+      case 'screenShake':
+        this.renderer.screenShake = value;
+        break;
+      case 'animations':
+        this.renderer.animations = value;
+        break;
+      case 'mode':
+        this.ui.selectMenuOption('modeSelect', value);
+        break;
+      case 'preset':
+        this.ui.selectMenuOption('presetSelect', value);
+        break;
+      case 'gravity':
+        this.ui.selectMenuOption('gravitySelect', value);
+        break;
+    }
   }
 
   /**
@@ -49,21 +184,89 @@ class Game {
     this.ui.onStartGame(() => {
       this.ui.hideMainMenu();
       this.ui.showMobileControls();
-      this.start();
+      this.start(this.ui.getSeedInput(), this.ui.getSelectedMode(),
+        { ...this.ui.getSelectedRules(), ...this.handling.getHandling() });
+    });
+    
+    // Local two-player versus
+    this.ui.onStartVersus(() => {
+      this.ui.hideMainMenu();
+      this.startVersus(this.ui.getSeedInput(), this.ui.getSelectedMode(),
+        { ...this.ui.getSelectedRules(), ...this.handling.getHandling() });
+    });
+    
+    // Online play through a relay
+    this.ui.onOpenOnline(() => {
+      this.ui.showOnline(this.onlineLobby, this.net && this.net.playerId);
+    });
+    this.ui.onCloseOnline(() => {
+      this.leaveOnline();
+      this.ui.hideAll();
+      this.ui.showMainMenu();
+    });
+    this.ui.onOnlineCreate((url, name) => {
+      this.connectOnline(url).createRoom(name, this.handling.getHandling());
+    });
+    this.ui.onOnlineJoin((url, name, code) => {
+      this.connectOnline(url).joinRoom(code, name, this.handling.getHandling());
+    });
+    this.ui.onOnlineStart(() => {
+      if (!this.net) return;
+      this.net.send({ type: 'start', seed: this.ui.getSeedInput(), mode: this.ui.getSelectedMode(),
+        rules: this.ui.getSelectedRules() });
+    });
+    
+    // Continue a saved game
+    this.ui.onContinueGame(() => {
+      this.continueGame();
+    });
+    
+    // Any key, click or tap ends the demo (and goes no further); other activity delays the next one
+    for (const type of ["keydown", "click"]) {
+      window.addEventListener(type, event => {
+        if (this.demo) {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+        this.handleActivity();
+      }, true);
+    }
+    for (const type of ["pointermove", "pointerdown", "wheel"]) {
+      window.addEventListener(type, () => {
+        if (!this.demo) this.scheduleAttract();
+      }, { capture: true, passive: true });
+    }
+    
+    // Save and pause when the tab is hidden or closed
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.handleHidden();
     });
       // Game restart handler
     this.ui.onRestartGame(() => {
       this.ui.hideGameOver();
-      this.ui.showMobileControls();
       this.stopGameLoop(); // Stop the existing game loop
-      this.start(); // Start fresh
+      // Start fresh with the same mode and rules, picking up any handling changes
+      if (this.isOnline()) {
+        // Online, the host starts the next match from the lobby
+        this.leaveVersus();
+        this.ui.showOnline(this.onlineLobby, this.net.playerId);
+      } else if (this.match) {
+        const { engine } = this.match.players[0];
+        this.startVersus(null, engine.mode.id, { ...engine.rules, ...this.handling.getHandling() });
+      } else {
+        this.ui.showMobileControls();
+        this.start(null, this.engine.mode.id, { ...this.engine.rules, ...this.handling.getHandling() });
+      }
+    });
+    
+    // Versus results: back to the main menu
+    this.ui.onResultsMenu(() => {
+      this.quitToMainMenu();
     });
     
     // Pause menu resume button handler
     this.ui.onResumeGame(() => {
-      this.paused = false;
-      this.ui.togglePauseMenu(false);
-      this.audioManager.resumeBackgroundMusic();
+      this.setPaused(false);
     });
     
     // Pause menu quit button handler
@@ -71,28 +274,392 @@ class Game {
       this.quitToMainMenu();
     });
     
-    // Audio controls
+    // Pause menu end game button: finish now and show the results
+    this.ui.onEndGame(() => {
+      this.paused = false;
+      this.ui.hidePauseMenu();
+      if (this.match) {
+        this.match.resign();
+      } else {
+        this.engine.resign();
+      }
+    });
+    
+    // Quick audio and ghost toggles, saved as settings
     this.ui.onSoundToggle(() => {
-      const isMuted = this.audioManager.toggleMute();
-      return isMuted;
+      this.settings.set('sound', !this.settings.get('sound'));
+      return !this.settings.get('sound');
     });
     
     this.ui.onMusicToggle(() => {
-      const isMuted = this.audioManager.toggleMusic();
-      return isMuted;
+      this.settings.set('music', !this.settings.get('music'));
+      return !this.settings.get('music');
+    });
+    
+    this.ui.onGhostToggle(() => {
+      this.settings.set('ghost', !this.settings.get('ghost'));
+      return this.settings.get('ghost');
+    });
+    
+    // Settings overlay
+    this.ui.onOpenSettings(() => {
+      this.ui.showSettings(this.settings.getAll());
+    });
+    
+    this.ui.onCloseSettings(() => {
+      this.ui.hideSettings();
+    });
+    
+    this.ui.onSettingChange((key, value) => {
+      this.settings.set(key, value);
+    });
+    
+    this.ui.onResetSettings(() => {
+      this.settings.reset();
+      this.ui.updateSettingsInputs(this.settings.getAll());
+    });
+    
+    // Handling profiles
+    this.ui.onHandlingChange((key, value) => {
+      this.handling.set(key, value);
+    });
+    
+    this.ui.onHandlingProfileSelect(id => {
+      this.handling.select(id);
+    });
+    
+    this.ui.onHandlingProfileCreate(name => {
+      this.handling.create(name.trim() || `Profile ${this.handling.list().length + 1}`);
+    });
+    
+    this.ui.onHandlingProfileDelete(() => {
+      this.handling.removeActive();
+    });
+    
+    // Key bindings: add a key by pressing it, remove one by clicking it, or apply a preset
+    this.ui.onOpenKeyBindings(() => {
+      this.ui.showKeyBindings();
+    });
+    
+    this.ui.onCloseKeyBindings(() => {
+      this.ui.hideKeyBindings();
+    });
+    
+    this.ui.onBindingAdd(action => {
+      this.ui.showKeyBindingsMessage(`Press a key for ${KeyBindings.ACTIONS[action]} (Esc to cancel)`);
+      this.ui.captureKey(key => {
+        const owner = key === null ? null : this.keyBindings.add(action, key);
+        this.ui.showKeyBindingsMessage(owner
+          ? `${KeyBindings.keyLabel(KeyBindings.normalizeKey(key))} is already bound to ${KeyBindings.ACTIONS[owner]}`
+          : "");
+      });
+    });
+    
+    this.ui.onBindingRemove((action, key) => {
+      this.keyBindings.remove(action, key);
+    });
+    
+    this.ui.onKeyPresetApply(presetId => {
+      this.keyBindings.applyPreset(presetId);
+      this.ui.showKeyBindingsMessage("");
+    });
+    
+    // Controller: same as key bindings, but buttons are captured from the gamepad
+    this.ui.onOpenGamepad(() => {
+      this.ui.showGamepad();
+    });
+    
+    this.ui.onCloseGamepad(() => {
+      this.inputHandler.cancelGamepadCapture();
+      this.ui.hideGamepad();
+    });
+    
+    this.ui.onGamepadBindingAdd(action => {
+      this.ui.showGamepadMessage(`Press a controller button for ${GamepadBindings.ACTIONS[action]}`);
+      this.inputHandler.captureGamepadButton(button => {
+        const owner = this.gamepadBindings.add(action, button);
+        this.ui.showGamepadMessage(owner
+          ? `${GamepadBindings.keyLabel(button)} is already bound to ${GamepadBindings.ACTIONS[owner]}`
+          : "");
+      });
+    });
+    
+    this.ui.onGamepadBindingRemove((action, button) => {
+      this.gamepadBindings.remove(action, button);
+    });
+    
+    this.ui.onResetGamepad(() => {
+      this.inputHandler.cancelGamepadCapture();
+      this.gamepadBindings.applyPreset(GamepadBindings.DEFAULT_PRESET);
+      this.ui.showGamepadMessage("");
+    });
+    
+    // Gamepads: hot-plug status and menu navigation
+    this.inputHandler.onGamepadChange(ids => {
+      this.ui.updateGamepadStatus(ids);
+    });
+    
+    this.inputHandler.onMenuCommand(command => {
+      if (this.handleActivity()) return;
+      this.ui.navigateMenu(command);
+    });
+    
+    // Replay controls
+    this.ui.onWatchReplay(() => {
+      if (this.lastReplay) this.startReplay(this.lastReplay);
+    });
+    
+    this.ui.onSaveReplay(() => {
+      if (this.lastReplay) {
+        this.ui.downloadJSON(`tetrisnake-replay-${this.lastReplay.seed}.json`, this.lastReplay);
+      }
+    });
+    
+    this.ui.onLoadReplay(replay => {
+      try {
+        this.startReplay(replay);
+      } catch (e) {
+        this.ui.showMenuMessage(`Could not load replay: ${e.message}`);
+      }
+    });
+    
+    this.ui.onReplayPlayPause(() => {
+      if (this.replayPlayer) this.replayPlayer.togglePause();
+    });
+    
+    this.ui.onReplaySpeed(speed => {
+      if (this.replayPlayer) this.replayPlayer.setSpeed(speed);
+    });
+    
+    this.ui.onReplaySeek(time => {
+      if (this.replayPlayer) this.replayPlayer.seek(time);
+    });
+    
+    this.ui.onReplayExit(() => {
+      this.quitToMainMenu();
     });
   }
+  /**
+   * Subscribes the presentation components to the game event bus
+   */
+  bindGameEvents() {
+    this.audioManager.subscribe(this.events);
+    this.renderer.subscribe(this.events);
+    this.ui.subscribe(this.events);
+    
+    this.events.on('gameOver', () => {
+      this.lastReplay = this.recorder.finish(this.engine);
+      this.saveManager.clear();
+    });
+  }
+
+  /**
+   * Registers a plugin that extends the game through its event bus
+   * Event handlers run synchronously inside the engine tick, so a plugin can
+   * add scoring rules by adjusting game.engine.score, collect telemetry, or
+   * trigger effects without any change to the game itself.
+   * @param {Object} plugin - Plugin with a unique name and an install(game) function;
+   *   install may return a cleanup function called when the plugin is removed
+   * @throws {Error} If the plugin is malformed or already registered
+   */
+  registerPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || typeof plugin.install !== 'function') {
+      throw new Error('A plugin needs a name and an install(game) function');
+    }
+    if (this.plugins.has(plugin.name)) {
+      throw new Error(`Plugin already registered: ${plugin.name}`);
+    }
+    
+    const cleanup = plugin.install(this);
+    this.plugins.set(plugin.name, typeof cleanup === 'function' ? cleanup : null);
+  }
+
+  /**
+   * Removes a registered plugin, running its cleanup function
+   * @param {string} name - Name the plugin was registered with
+   */
+  unregisterPlugin(name) {
+    const cleanup = this.plugins.get(name);
+    if (cleanup) cleanup();
+    this.plugins.delete(name);
+  }
+
   /**
    * Starts a new game session
+   * @param {number|string|null} seed - Seed to play (a fresh random seed when omitted)
+   * @param {string} modeId - Game mode to play (keeps the current mode when omitted)
+   * @param {Object} rules - Rule options (keeps the current rules when omitted)
    */
-  start() {
+  start(seed = null, modeId = undefined, rules = undefined) {
     this.stopGameLoop(); // Ensure any existing loop is stopped
+    this.leaveVersus();
+    this.saveManager.clear(); // A new game replaces any saved one
+    this.reset(seed, modeId, rules);
+    this.recorder.start(this.engine.rng.seed, this.engine.mode.id, this.engine.rules);
+    this.events.emit('start', { seed: this.engine.rng.seed, mode: this.engine.mode.id });
+    this.lastMoveTime = performance.now();
+    this.gameLoop(this.lastMoveTime);
+  }
+
+  /**
+   * Starts a local split-screen match between two players on this keyboard or two gamepads
+   * Player 1 uses the arrow keys and the first gamepad, player 2 WASD and the second.
+   * Matches are not saved or recorded.
+   * @param {number|string|null} seed - Seed both boards play (a fresh random seed when omitted)
+   * @param {string} modeId - Game mode both players play
+   * @param {Object} rules - Rule options both boards are played with
+   */
+  startVersus(seed = null, modeId = undefined, rules = undefined) {
+    this.stopGameLoop();
+    this.recorder.cancel();
     this.reset();
+    this.match = new VersusMatch(seed, modeId, rules);
+    this.match.players.forEach((player, i) => {
+      this.audioManager.subscribe(player.events, { music: false });
+      this.renderer.subscribe(player.events, i);
+    });
+    
+    this.inputHandler.setBindings(KeyBindings.VERSUS_LAYOUTS[0]);
+    this.inputHandler.setGamepadIndex(0);
+    if (!this.versusInput) {
+      this.versusInput = new InputHandler(KeyBindings.VERSUS_LAYOUTS[1], this.gamepadBindings.getAll(), { touch: false });
+    }
+    this.versusInput.setGamepadIndex(1);
+    this.currentActions = [];
+    
+    this.ui.hideMobileControls();
+    this.events.emit('start', { seed: this.match.seed, mode: this.match.players[0].engine.mode.id });
+    this.lastMoveTime = performance.now();
+    this.gameLoop(this.lastMoveTime);
+  }
+
+  /**
+   * Starts an online match from the relay's start message
+   * Only the local board makes sound; every board is drawn.
+   * @param {Object} start - Start message {seed, mode, rules, players}
+   */
+  startOnline(start) {
+    let match;
+    try {
+      match = new OnlineMatch(start, this.net.playerId, message => this.net.send(message));
+    } catch (e) {
+      // Leave so the room is not left waiting for a player who never starts
+      this.leaveOnline();
+      this.ui.showOnline();
+      this.ui.showOnlineMessage(`Could not start the match: ${e.message}`);
+      return;
+    }
+    
+    this.stopGameLoop();
+    this.leaveVersus();
+    this.replayPlayer = null;
+    this.recorder.cancel();
+    this.ui.hideReplayControls();
+    this.reset();
+    this.match = match;
+    match.players.forEach((player, i) => {
+      if (player.local) this.audioManager.subscribe(player.events, { music: false });
+      this.renderer.subscribe(player.events, i);
+    });
+    this.currentAction = null;
+    
+    this.ui.hideAll();
+    this.ui.showMobileControls();
+    this.events.emit('start', { seed: match.seed, mode: match.local.engine.mode.id });
     this.lastMoveTime = performance.now();
-    this.audioManager.startBackgroundMusic();
     this.gameLoop(this.lastMoveTime);
   }
 
+  /**
+   * Opens a relay connection, or reuses the open one if it goes to the same address
+   * @param {string} url - Relay address
+   * @returns {NetClient} The connection
+   */
+  connectOnline(url) {
+    if (this.net && this.net.url === url && this.net.status !== 'closed') return this.net;
+    
+    this.leaveOnline();
+    const net = new NetClient(url);
+    this.net = net;
+    net.onStatus(status => {
+      if (this.net === net && !this.match) this.ui.showOnlineStatus(status);
+    });
+    net.on('joined', () => this.ui.showOnlineMessage(""));
+    net.on('lobby', lobby => {
+      this.onlineLobby = lobby;
+      if (!this.match) this.ui.showOnlineLobby(lobby, net.playerId);
+    });
+    net.on('error', message => {
+      if (message.request === 'rejoin' && this.isOnline()) {
+        // Our place in the match is gone
+        this.quitToMainMenu();
+        this.ui.showMenuMessage(`Disconnected from the match: ${message.message}`);
+        return;
+      }
+      if (message.request === 'rejoin') this.onlineLobby = null;
+      this.ui.showOnline(this.onlineLobby, net.playerId);
+      this.ui.showOnlineMessage(message.message);
+    });
+    net.on('start', start => this.startOnline(start));
+    ['frame', 'attack', 'resync', 'snapshot'].forEach(type => {
+      net.on(type, message => {
+        if (this.isOnline()) this.match.receive(message);
+      });
+    });
+    net.on('left', message => {
+      if (this.isOnline()) this.match.removePlayer(message.id);
+    });
+    net.connect();
+    return net;
+  }
+
+  /**
+   * Leaves the room and closes the relay connection, if any
+   */
+  leaveOnline() {
+    if (!this.net) return;
+    
+    const net = this.net;
+    this.net = null;
+    this.onlineLobby = null;
+    net.close();
+  }
+
+  /**
+   * Checks whether the running match is an online one
+   * @returns {boolean} True during an online match
+   */
+  isOnline() {
+    return this.match instanceof OnlineMatch;
+  }
+
+  /**
+   * Names shown over each board, marking this client's board and players who dropped online
+   * @returns {string[]} One label per board
+   */
+  matchLabels() {
+    if (!this.isOnline()) return this.match.players.map(player => player.name);
+    
+    const connected = new Map((this.onlineLobby ? this.onlineLobby.players : []).map(player => [player.id, player.connected]));
+    return this.match.players.map(player => {
+      if (player.local) return `${player.name} (you)`;
+      return connected.get(player.id) === false ? `${player.name} (offline)` : player.name;
+    });
+  }
+
+  /**
+   * Ends versus play, giving player 1's keys and gamepads back to single-player use
+   */
+  leaveVersus() {
+    if (!this.match) return;
+    
+    this.match = null;
+    this.currentActions = [];
+    this.inputHandler.setBindings(this.keyBindings.getAll());
+    this.inputHandler.setGamepadIndex(null);
+    this.renderer.setBoardCount(1);
+  }
+
   /**
    * Stops the current game loop
    */
@@ -105,15 +672,15 @@ class Game {
 
   /**
    * Resets the game state to initial values
+   * @param {number|string|null} seed - Seed for the new game (a fresh random seed when omitted)
+   * @param {string} modeId - Game mode for the new game (keeps the current mode when omitted)
+   * @param {Object} rules - Rule options for the new game (keeps the current rules when omitted)
    */
-  reset() {
-    this.score = 0;
-    this.level = 1;
-    this.gameOver = false;
+  reset(seed = null, modeId = undefined, rules = undefined) {
     this.paused = false;
-    this.grid.reset();
-    this.snake.spawn();
-    this.grid.spawnFood(this.snake);
+    this.scheduler.reset();
+    this.currentAction = null;
+    this.engine.reset(seed, modeId, rules);
     
     // Clear the canvas to prevent any remnants of the previous game
     this.renderer.clear();
@@ -127,15 +694,36 @@ class Game {
     const delta = timestamp - this.lastMoveTime;
     this.lastMoveTime = timestamp;
 
-    this.handleInput();
+    if (!this.demo) this.handleInput();
 
-    if (!this.paused && !this.gameOver) {
+    if (this.match) {
+      // Online matches cannot wait for one player, so pausing only releases the controls
+      if (!this.paused || this.isOnline()) this.updateMatch(delta);
+      this.renderer.renderBoards(this.match.players.map(player => player.engine), this.matchLabels());
+      
+      if (this.match.over) {
+        this.gameLoopId = null;
+        this.paused = false;
+        // The music plays on until the match is decided, not just one player's game
+        this.audioManager.stopBackgroundMusic();
+        this.ui.hidePauseMenu();
+        this.ui.showVersusResults(this.match.result, this.isOnline());
+        return;
+      }
+    } else if (this.demo) {
+      this.updateDemo(delta);
+      this.renderer.renderBoards([this.demo.engine], [Game.DEMO_LABEL]);
+    } else if (this.replayPlayer) {
+      this.replayPlayer.update(delta);
+      this.ui.updateReplayControls(this.replayPlayer);
+    } else if (!this.paused && !this.engine.gameOver) {
       this.updateGame(delta);
     }
 
-    // Only render the game if not in game over state
-    if (!this.gameOver) {
-      this.renderer.render(this.snake, this.grid, this.score, this.level);
+    // Only render the game if not in game over state (playback always shows the board)
+    const engine = this.replayPlayer ? this.replayPlayer.engine : this.engine;
+    if (!this.match && !this.demo && (!engine.gameOver || this.replayPlayer)) {
+      this.renderer.render(engine);
     }
     
     // Store the animation frame ID and continue the loop
@@ -146,188 +734,292 @@ class Game {
    * Processes player input each frame
    */
   handleInput() {
-    // Handle pause toggle with debouncing
-    if (this.inputHandler.isPausePressed()) {
-      if (!this.pausePressed) {
-        this.paused = !this.paused;
-        this.ui.togglePauseMenu(this.paused);
-        
-        // Update audio state based on pause state
-        if (this.paused) {
-          this.audioManager.pauseBackgroundMusic();
-        } else {
-          this.audioManager.resumeBackgroundMusic();
-        }
-        
+    // Handle pause toggle with debouncing (in local versus, either player's controls can pause)
+    const versusInput = this.match && !this.isOnline() ? this.versusInput : null;
+    if (this.inputHandler.isPausePressed() || (versusInput && versusInput.isPausePressed())) {
+      if (!this.pausePressed && this.ui.isSettingsOpen()) {
+        this.pausePressed = true; // Ignored while the settings are open over the pause menu
+      } else if (!this.pausePressed && this.replayPlayer) {
+        this.replayPlayer.togglePause();
+        this.pausePressed = true;
+      } else if (!this.pausePressed) {
+        this.setPaused(!this.paused);
         this.pausePressed = true;
       }
     } else {
       this.pausePressed = false;
     }
 
-    // Handle quit to main menu (only when paused)
-    if (this.paused && this.inputHandler.isQuitPressed()) {
+    // Handle quit to main menu (only when paused or watching a replay)
+    if ((this.paused || this.replayPlayer) && this.inputHandler.isQuitPressed()) {
       this.quitToMainMenu();
       return;
     }
 
     // Process movement input when game is active
-    if (!this.paused && !this.gameOver) {
-      const directionInput = this.inputHandler.getDirection();
-      if (directionInput) {
-        // Apply direction change and provide immediate visual feedback
-        this.snake.changeDirection(directionInput.direction);
-        this.snake.setActiveDirection(directionInput.key, performance.now());
-      } else {
-        this.snake.clearActiveDirection();
+    if (this.isOnline()) {
+      this.currentAction = this.paused ? null : this.readAction(this.inputHandler);
+    } else if (this.match) {
+      if (!this.paused) {
+        this.currentActions = [this.readAction(this.inputHandler), this.readAction(this.versusInput)];
       }
+    } else if (!this.paused && !this.engine.gameOver && !this.replayPlayer) {
+      this.currentAction = this.readAction(this.inputHandler);
     }
   }
 
   /**
-   * Updates game state based on elapsed time
-   * @param {number} delta - Time elapsed since last frame in ms
+   * Reads the action one set of controls is holding
+   * @param {InputHandler} input - Controls to read
+   * @returns {string|null} Action for the engine, or null if nothing is held
    */
-  updateGame(delta) {
-    this.accumulator += delta;
-    
-    // Calculate the snake's movement delay based on current level and length
-    const delay = this.snake.computeDelay(this.level);
+  readAction(input) {
+    // Hard drop and hold take priority over steering while their key is down
+    const directionInput = input.getDirection();
+    if (input.isHardDropPressed()) return 'hardDrop';
+    if (input.isHoldPressed()) return 'hold';
+    return directionInput ? directionInput.action : null;
+  }
+
+  /**
+   * Pauses or resumes the game, saving it whenever it is paused
+   * @param {boolean} paused - Whether the game should be paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.events.emit(paused ? 'pause' : 'resume');
     
-    // Time-based movement system
-    while (this.accumulator >= delay) {
-      this.accumulator -= delay;
-      this.updateSnake();
+    if (paused) {
+      this.saveGame();
     }
   }
 
   /**
-   * Updates snake position and handles collisions
+   * Checks whether a live game is in progress (not over, not a replay, not a versus match)
+   * @returns {boolean} True if there is a game worth saving
    */
-  updateSnake() {
-    const head = this.snake.getHead();
-    const newHead = { 
-      x: head.x + this.snake.direction.x, 
-      y: head.y + this.snake.direction.y 
-    };
+  isGameActive() {
+    return this.gameLoopId !== null && !this.engine.gameOver && !this.replayPlayer && !this.match;
+  }
 
-    // Check for collisions with walls or placed blocks
-    if (this.grid.isCollision(newHead.x, newHead.y)) {
-      this.audioManager.play('collision');
-      this.handleCollision();
+  /**
+   * Saves the in-progress game so it can be continued later
+   */
+  saveGame() {
+    if (this.isGameActive()) {
+      this.saveManager.save(this.engine, this.recorder.replay);
+    }
+  }
+
+  /**
+   * Pauses and saves the game when the page is hidden
+   */
+  handleHidden() {
+    if (this.match && !this.match.over && !this.paused) {
+      this.setPaused(true);
       return;
     }
+    if (!this.isGameActive()) return;
     
-    // Check for self-collision (excluding head and tail)
-    if (this.snake.isCollidingWith(newHead.x, newHead.y, true)) {
-      this.audioManager.play('collision');
-      this.handleCollision();
-      return;
+    if (this.paused) {
+      this.saveGame();
+    } else {
+      this.setPaused(true);
     }
+  }
 
-    // Check for food collection
-    const isEating = this.grid.isSnakeEatingFood(newHead.x, newHead.y);
+  /**
+   * Restores the saved game and resumes it in the paused state
+   */
+  continueGame() {
+    const save = this.saveManager.load();
     
-    // Play appropriate audio feedback
-    if (!isEating) {
-      this.audioManager.play('move');
+    try {
+      if (!save) throw new Error('no saved game found');
+      this.stopGameLoop();
+      this.leaveVersus();
+      this.reset();
+      this.engine.restore(save.engine);
+    } catch (e) {
+      this.saveManager.clear();
+      this.ui.setContinueAvailable(false);
+      this.ui.showMenuMessage(`Could not continue: ${e.message}`);
+      return;
     }
     
-    this.snake.move(isEating);
-    
-    if (isEating) {
-      this.handleFoodEaten();
+    if (save.replay) {
+      this.recorder.resume(save.replay);
+    } else {
+      this.recorder.cancel();
     }
+    
+    this.ui.hideMainMenu();
+    this.events.emit('start', { seed: this.engine.rng.seed, mode: this.engine.mode.id });
+    this.lastMoveTime = performance.now();
+    this.gameLoop(this.lastMoveTime);
+    this.setPaused(true);
   }
 
   /**
-   * Handles collision between snake and grid/blocks
+   * Updates game state based on elapsed time
+   * @param {number} delta - Time elapsed since last frame in ms
    */
-  handleCollision() {
-    // Play impact sound
-    this.audioManager.play('collision');
-    
-    // Add a brief screen shake effect
-    const gameContainer = document.getElementById('gameContainer');
-    gameContainer.classList.add('shake');
-    setTimeout(() => {
-      gameContainer.classList.remove('shake');
-    }, 300);
-    
-    // Convert snake to static blocks
-    this.grid.lockSnake(this.snake);
+  updateGame(delta) {
+    const ticks = this.scheduler.advance(delta);
     
-    // Check for and clear completed lines
-    const linesCleared = this.grid.clearLines();
+    // Fixed-timestep simulation: the engine moves the snake when its delay has elapsed
+    for (let i = 0; i < ticks && !this.engine.gameOver; i++) {
+      this.recorder.recordTick(this.engine.ticks, this.currentAction);
+      this.engine.tick(this.currentAction);
+    }
+  }
+
+  /**
+   * Advances the versus match based on elapsed time
+   * @param {number} delta - Time elapsed since last frame in ms
+   */
+  updateMatch(delta) {
+    const ticks = this.scheduler.advance(delta);
     
-    if (linesCleared > 0) {
-      this.audioManager.play('lineClear');
-      this.score += linesCleared * 50 * this.level;
+    if (this.isOnline()) {
+      // Only the local board is ticked here; the others follow their owners' streams
+      for (let i = 0; i < ticks && !this.match.over; i++) {
+        this.match.tick(this.currentAction);
+      }
+      this.match.flush();
+      return;
     }
     
-    // Update level based on blocks placed - make it less frequent to prevent bugs
-    // Changed from 50 to 80 blocks per level to slow down progression
-    this.level = 1 + Math.floor(this.grid.landedBlocks / 80);
+    for (let i = 0; i < ticks && !this.match.over; i++) {
+      this.match.tick(this.currentActions);
+    }
+  }
+
+  /**
+   * Handles keyboard, pointer or gamepad activity: ends the demo, or restarts the idle countdown
+   * @returns {boolean} True if the activity ended the demo
+   */
+  handleActivity() {
+    if (this.demo) {
+      this.stopAttract();
+      return true;
+    }
+    this.scheduleAttract();
+    return false;
+  }
+
+  /**
+   * Restarts the countdown to the attract-mode demo
+   */
+  scheduleAttract() {
+    clearTimeout(this.attractTimer);
+    this.attractTimer = setTimeout(() => this.startAttract(), Game.ATTRACT_DELAY);
+  }
+
+  /**
+   * Starts the attract-mode demo: the autopilot plays the mode and rules chosen
+   * on the main menu, silently, on a separate engine
+   * Only an idle main menu starts one; anywhere else the countdown just starts over.
+   */
+  startAttract() {
+    this.attractTimer = null;
+    if (this.gameLoopId !== null || this.ui.getActiveOverlay() !== this.ui.elements.mainMenu) {
+      this.scheduleAttract();
+      return;
+    }
     
-    // Intensify music at higher levels - pass the numeric level instead of 'intense'
-    if (this.level >= 5 && !this.audioManager.isMusicMuted) {
-      // Pass the actual level number instead of a string
-      this.audioManager.changeBackgroundMusic(this.level);
+    const events = new EventEmitter(Object.values(GameEvents));
+    let engine;
+    try {
+      engine = new Engine(null, events, this.ui.getSelectedMode(), this.ui.getSelectedRules());
+    } catch (e) {
+      engine = new Engine(null, events);
     }
+    this.renderer.subscribe(events);
+    this.demo = { engine, autopilot: new Autopilot() };
     
-    // Spawn new snake
-    this.snake.spawn();
+    this.scheduler.reset();
+    this.ui.hideAll();
+    this.lastMoveTime = performance.now();
+    this.gameLoop(this.lastMoveTime);
+  }
+
+  /**
+   * Ends the demo and brings the main menu back
+   */
+  stopAttract() {
+    if (!this.demo) return;
     
-    // End game if no room to spawn
-    if (this.snake.body.some(seg => this.grid.isStaticBlock(seg.x, seg.y))) {
-      this.endGame();
-    }
+    this.stopGameLoop();
+    this.demo = null;
+    this.renderer.clear();
+    this.ui.showMainMenu();
+    this.scheduleAttract();
   }
 
   /**
-   * Handles food collection logic
+   * Advances the demo game, starting a new one when it ends
+   * @param {number} delta - Time elapsed since last frame in ms
    */
-  handleFoodEaten() {
-    this.audioManager.play('eat');
-    this.score += this.level * 10;
+  updateDemo(delta) {
+    const { engine, autopilot } = this.demo;
+    const ticks = this.scheduler.advance(delta);
     
-    // Update music speed based on snake length to match gameplay speed
-    // Only update if music isn't muted
-    if (!this.audioManager.isMusicMuted && this.snake.body.length > 1) {
-      // Calculate effective speed level from snake length
-      // Use snake length directly in a formula that smoothly increases with length
-      // Every ~8 segments = +1 music level
-      const lengthSpeedLevel = 1 + (this.snake.body.length / 8);
-      
-      // Use the higher of game level or length-based level
-      const effectiveLevel = Math.max(this.level, lengthSpeedLevel);
-      
-      // Update the music speed gradually
-      this.audioManager.changeBackgroundMusic(effectiveLevel);
+    for (let i = 0; i < ticks && !engine.gameOver; i++) {
+      engine.tick(autopilot.tick(engine));
+    }
+    if (engine.gameOver) {
+      engine.reset();
+      autopilot.reset();
     }
-    
-    this.grid.spawnFood(this.snake);
   }
 
   /**
-   * Triggers game over state
+   * Starts playback of a recorded replay on a separate engine, leaving the live game untouched
+   * Playback events drive sound and effects but not the game menus or plugins
+   * @param {Object} replay - Replay produced by ReplayRecorder
+   * @throws {Error} If the replay cannot be played
    */
-  endGame() {
-    this.gameOver = true;
-    this.audioManager.play('gameOver');
-    this.audioManager.stopBackgroundMusic();
-    this.ui.showGameOver(this.score, this.level);
+  startReplay(replay) {
+    const events = new EventEmitter(Object.values(GameEvents));
+    const player = new ReplayPlayer(new Engine(null, events), replay);
+    this.audioManager.subscribe(events);
+    this.renderer.subscribe(events);
+    
+    this.stopGameLoop();
+    this.leaveVersus();
+    this.recorder.cancel();
+    this.paused = false;
+    this.replayPlayer = player;
+    this.ui.hideAll();
+    this.ui.hideMobileControls();
+    this.ui.showReplayControls(player);
+    this.lastMoveTime = performance.now();
+    this.gameLoop(this.lastMoveTime);
   }
+
   /**
    * Exits to main menu from the game
    */
   quitToMainMenu() {
     this.stopGameLoop(); // Stop the game loop when quitting to menu
     this.paused = false;
-    this.gameOver = false;
+    this.recorder.cancel();
+    this.replayPlayer = null;
+    this.leaveVersus();
+    this.leaveOnline();
+    this.inputHandler.cancelGamepadCapture();
+    this.ui.hideReplayControls();
     this.ui.hideAll();
     this.ui.showMainMenu();
+    this.ui.setContinueAvailable(this.saveManager.hasSave());
     this.audioManager.stopBackgroundMusic();
     this.reset();
   }
-} 
\ No newline at end of file
+}
+
+// Idle time on the main menu before the attract-mode demo starts, in ms
+Game.ATTRACT_DELAY = 30000;
+
+// Label shown on the demo board
+Game.DEMO_LABEL = 'Demo: press any key';
@@ -0,0 +1,33 @@
+/**
+ * Game Event Types
+ * Every event emitted on a game's event bus, with the payload each carries.
+ * Engine events are emitted synchronously during a tick, so handlers see
+ * (and may adjust) the engine state at that exact moment.
+ */
+const GameEvents = Object.freeze({
+  START: 'start',               // {seed, mode} - a new or continued game began
+  SPAWN: 'spawn',               // {type, length, next} - a new snake appeared at the top; next lists the upcoming snake specs
+  MOVE: 'move',                 // {type, head, ate} - the snake moved one cell
+  COLLISION: 'collision',       // {type, x, y} - the snake hit a wall, block or itself
+  FOOD_EATEN: 'foodEaten',      // {type, kind, score, level, length} - food was eaten; kind is its FoodTypes id
+  FOOD_EXPIRED: 'foodExpired',  // {type, x, y, kind} - timed food ran out before being eaten
+  POWER_UP_SPAWNED: 'powerUpSpawned', // {type, x, y, kind} - a power-up appeared on the grid
+  POWER_UP_EXPIRED: 'powerUpExpired', // {type, x, y, kind} - a power-up disappeared before being collected
+  POWER_UP_COLLECTED: 'powerUpCollected', // {type, kind, duration} - the snake picked up a power-up (duration in ticks, 0 if instant)
+  POWER_UP_ENDED: 'powerUpEnded', // {type, kind} - an active power-up ran out or was used up
+  LINE_BLASTED: 'lineBlasted',  // {type, y} - the line blaster removed a row
+  GARBAGE: 'garbage',           // {type, gap} - a garbage row rose from the bottom with a gap in column gap
+  GARBAGE_SENT: 'garbageSent',  // {type, rows, cancelled} - versus: a lock's clears cancelled incoming rows and sent rows to an opponent
+  GARBAGE_INCOMING: 'garbageIncoming', // {type, incoming} - versus: the rows waiting to rise on this board changed
+  BOMB: 'bomb',                 // {type, x, y, removed} - a bomb-armed snake locked and blew up the blocks around its head
+  HOLD: 'hold',                 // {type, held, swapped} - the snake was stashed; swapped is true if a held snake came out
+  HARD_DROP: 'hardDrop',        // {type, distance} - the snake dropped straight down distance rows and locks next
+  LOCK: 'lock',                 // {type, linesCleared, level} - the snake was locked into blocks
+  LINES_CLEARED: 'linesCleared', // {type, count, chain, points, score} - lines were cleared; chain is 1 for the first round, higher for chain reactions
+  SCORED: 'scored',             // {type, awards, score} - a lock earned points; awards are {label, points} for callouts
+  LEVEL_UP: 'levelUp',          // {type, level} - the level increased
+  STACK_TRIMMED: 'stackTrimmed', // {type, rows} - Zen mode removed rows instead of ending
+  GAME_OVER: 'gameOver',        // {type, score, level, seed, mode, won, title, results} - the game ended
+  PAUSE: 'pause',               // {} - the player paused
+  RESUME: 'resume'              // {} - the player resumed
+});
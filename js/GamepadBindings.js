@@ -0,0 +1,90 @@
+/**
+ * GamepadBindings Class
+ * The controller buttons bound to each input action, persisted to localStorage.
+ * Works like KeyBindings, but keys are button indices in the browser's
+ * standard gamepad layout (0 is the bottom face button, 12 to 15 the D-pad).
+ * The left stick always steers and is not part of the bindings.
+ */
+class GamepadBindings extends KeyBindings {
+  /**
+   * Loads the stored bindings
+   * @param {string} storageKey - localStorage key holding the bindings
+   */
+  constructor(storageKey = GamepadBindings.STORAGE_KEY) {
+    super(storageKey);
+  }
+
+  /**
+   * Buttons are stored as they are reported
+   * @param {number} button - Button index
+   * @returns {number} The same index
+   */
+  static normalizeKey(button) {
+    return button;
+  }
+
+  /**
+   * Checks whether a stored value is a button index
+   * @param {*} button - Value to check
+   * @returns {boolean} True for a non-negative integer
+   */
+  static isKey(button) {
+    return Number.isInteger(button) && button >= 0;
+  }
+
+  /**
+   * Formats a button for display
+   * @param {number} button - Button index
+   * @returns {string} Its name in the standard layout, e.g. "A", "Start" or "D-pad ↑"
+   */
+  static keyLabel(button) {
+    return this.KEY_LABELS[button] || `Button ${button}`;
+  }
+}
+
+// Bindings format version, bumped whenever the stored data changes meaning
+GamepadBindings.VERSION = 1;
+
+// localStorage key for the bindings
+GamepadBindings.STORAGE_KEY = 'tetrisnake.gamepadBindings';
+
+// Ready-made layouts
+GamepadBindings.PRESETS = Object.freeze({
+  default: Object.freeze({
+    name: 'Standard',
+    bindings: {
+      up: [12],
+      down: [13],
+      left: [14],
+      right: [15],
+      hold: [2, 4, 5],
+      hardDrop: [3],
+      pause: [9],
+      quit: [8]
+    }
+  })
+});
+
+// Preset used for new players and when stored bindings are unusable
+GamepadBindings.DEFAULT_PRESET = 'default';
+
+// Button names in the standard layout (Xbox style; A is the bottom face button)
+GamepadBindings.KEY_LABELS = Object.freeze({
+  0: 'A',
+  1: 'B',
+  2: 'X',
+  3: 'Y',
+  4: 'LB',
+  5: 'RB',
+  6: 'LT',
+  7: 'RT',
+  8: 'Back',
+  9: 'Start',
+  10: 'L3',
+  11: 'R3',
+  12: 'D-pad ↑',
+  13: 'D-pad ↓',
+  14: 'D-pad ←',
+  15: 'D-pad →',
+  16: 'Home'
+});
@@ -0,0 +1,37 @@
+/**
+ * GarbageAttack Class
+ * Turns line clears into garbage rows sent to an opponent in versus play,
+ * using an attack table: rows by lines cleared at once plus extra rows for
+ * combos across consecutive clearing locks. Like Scoring, the table can be
+ * replaced in part or in full.
+ */
+class GarbageAttack {
+  /**
+   * Creates an attack calculator
+   * @param {Object} table - Attack table, merged over GarbageAttack.DEFAULT_TABLE
+   */
+  constructor(table = GarbageAttack.DEFAULT_TABLE) {
+    this.table = { ...GarbageAttack.DEFAULT_TABLE, ...table };
+  }
+
+  /**
+   * Rows a lock sends
+   * @param {number} lines - Total lines cleared by the lock
+   * @param {number} combo - Combo step after the lock (see Scoring.combo; 0 for the first clearing lock)
+   * @returns {number} Garbage rows to send
+   */
+  rowsFor(lines, combo) {
+    if (lines <= 0) return 0;
+
+    const { lines: byLines, combo: byCombo } = this.table;
+    const rows = byLines[Math.min(lines, byLines.length - 1)];
+    const bonus = combo > 0 ? byCombo[Math.min(combo, byCombo.length - 1)] : 0;
+    return rows + bonus;
+  }
+}
+
+// Default attack table; matches can override any of these values
+GarbageAttack.DEFAULT_TABLE = {
+  lines: [0, 0, 1, 2, 4],               // By lines cleared at once (larger clears send as the last entry)
+  combo: [0, 0, 1, 1, 2, 2, 3, 3, 4]    // Extra rows by combo step (longer combos send as the last entry)
+};
@@ -6,11 +6,16 @@
 class Grid {
   /**
    * Initializes a new Grid instance
+   * @param {Random} rng - Seeded random generator shared with the game
+   * @param {Object} rules - Rule options of the game (see Engine.normalizeRules())
    */
-  constructor() {
+  constructor(rng, rules) {
+    this.rng = rng;                      // Source of randomness for food and block colors
+    this.rules = rules;                  // Board size and gravity of the current game
     this.staticBlocks = new Map();       // Map of placed blocks with position as key
-    this.food = { x: 0, y: 0 };          // Current food position
+    this.food = { x: 0, y: 0, kind: FoodTypes.normal.id, ttl: null }; // Current food: position, type id and moves left (null = no expiry)
     this.landedBlocks = 0;               // Counter for blocks that have landed
+    this.powerUp = null;                 // Power-up waiting on the grid: {x, y, kind, ttl}, or null
   }
 
   /**
@@ -19,6 +24,7 @@ class Grid {
   reset() {
     this.staticBlocks.clear();
     this.landedBlocks = 0;
+    this.powerUp = null;
     this.spawnFood();
   }
 
@@ -33,20 +39,117 @@ class Grid {
   }
 
   /**
-   * Spawns food at a random empty position, never in the top row
+   * Spawns food of a random type at a random empty position, never in the top row
    * @param {Snake} snake - Snake object to avoid spawning food on
    */
   spawnFood(snake) {
     do {
       this.food = {
-        x: Math.floor(Math.random() * config.GRID_WIDTH),
+        x: this.rng.nextInt(this.rules.width),
         // Start from row 1 (second row) instead of row 0 (top row)
-        y: Math.floor(Math.random() * (config.GRID_HEIGHT - 1)) + 1
+        y: this.rng.nextInt(this.rules.height - 1) + 1
       };
     } while (
       this.isStaticBlock(this.food.x, this.food.y) ||
       (snake && snake.isCollidingWith(this.food.x, this.food.y))
     );
+    
+    const type = this.pickFoodType();
+    this.food.kind = type.id;
+    this.food.ttl = type.lifetime;
+  }
+
+  /**
+   * Rolls a food type according to the spawn weights
+   * @returns {Object} One of FoodTypes
+   */
+  pickFoodType() {
+    return this.pickWeighted(Object.values(FoodTypes));
+  }
+
+  /**
+   * Picks one option at random, in proportion to its weight
+   * @param {Array<Object>} options - Options with a numeric weight property
+   * @returns {Object} The chosen option
+   */
+  pickWeighted(options) {
+    const totalWeight = options.reduce((sum, option) => sum + option.weight, 0);
+    let roll = this.rng.nextInt(totalWeight);
+    
+    for (const option of options) {
+      roll -= option.weight;
+      if (roll < 0) return option;
+    }
+    return options[0];
+  }
+
+  /**
+   * Counts down the food's lifetime by one snake move
+   * @returns {boolean} True if the food has just expired
+   */
+  ageFood() {
+    if (this.food.ttl === null) return false;
+    
+    this.food.ttl--;
+    return this.food.ttl <= 0;
+  }
+
+  /**
+   * Removes every static block in a square area
+   * @param {number} centerX - X coordinate of the center
+   * @param {number} centerY - Y coordinate of the center
+   * @param {number} radius - Cells on each side of the center (1 for a 3x3 area)
+   * @returns {number} Number of blocks removed
+   */
+  explode(centerX, centerY, radius = 1) {
+    let removed = 0;
+    for (let y = centerY - radius; y <= centerY + radius; y++) {
+      for (let x = centerX - radius; x <= centerX + radius; x++) {
+        if (this.staticBlocks.delete(`${x},${y}`)) removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Places a power-up of a random type on a random empty cell, never in the top row
+   * @param {Snake} snake - Snake object to avoid spawning on
+   */
+  spawnPowerUp(snake) {
+    let x;
+    let y;
+    do {
+      x = this.rng.nextInt(this.rules.width);
+      y = this.rng.nextInt(this.rules.height - 1) + 1;
+    } while (
+      this.isStaticBlock(x, y) ||
+      this.isSnakeEatingFood(x, y) ||
+      (snake && snake.isCollidingWith(x, y))
+    );
+    
+    const type = this.pickWeighted(PowerUp.list());
+    this.powerUp = { x, y, kind: type.id, ttl: config.POWER_UPS.LIFETIME };
+  }
+
+  /**
+   * Checks if a position holds the waiting power-up
+   * @param {number} x - X coordinate to check
+   * @param {number} y - Y coordinate to check
+   * @returns {boolean} True if the power-up is at the position
+   */
+  isPowerUpAt(x, y) {
+    return this.powerUp !== null && this.powerUp.x === x && this.powerUp.y === y;
+  }
+
+  /**
+   * Counts down the waiting power-up's lifetime by one snake move
+   * @returns {boolean} True if the power-up has just expired
+   */
+  agePowerUp() {
+    if (this.powerUp === null) return false;
+    
+    this.powerUp.ttl--;
+    return this.powerUp.ttl <= 0;
   }
 
   /**
@@ -67,9 +170,9 @@ class Grid {
    */
   isCollision(x, y) {
     return x < 0 || 
-           x >= config.GRID_WIDTH || 
+           x >= this.rules.width || 
            y < 0 || 
-           y >= config.GRID_HEIGHT || 
+           y >= this.rules.height || 
            this.isStaticBlock(x, y);
   }
 
@@ -84,7 +187,7 @@ class Grid {
       
       // Store original color reference to maintain color scheme,
       // but give a slight color variation to make each block look unique
-      const variance = Math.floor(Math.random() * 30) - 15; // Random value between -15 and 15
+      const variance = this.rng.nextInt(30) - 15; // Random value between -15 and 15
       const blockColor = i === 0 
         ? config.COLORS.BLOCK // Head is always block color
         : this.adjustBlockColor(config.COLORS.BLOCK, variance);
@@ -124,7 +227,7 @@ class Grid {
     let linesCleared = 0;
     
     // Check lines from bottom to top
-    for (let y = config.GRID_HEIGHT - 1; y >= 0; y--) {
+    for (let y = this.rules.height - 1; y >= 0; y--) {
       if (this.isLineFull(y)) {
         linesCleared++;
         this.removeLine(y);
@@ -141,7 +244,7 @@ class Grid {
    * @returns {boolean} True if the line is full
    */
   isLineFull(y) {
-    for (let x = 0; x < config.GRID_WIDTH; x++) {
+    for (let x = 0; x < this.rules.width; x++) {
       if (!this.isStaticBlock(x, y)) return false;
     }
     return true;
@@ -153,7 +256,7 @@ class Grid {
    */
   removeLine(y) {
     // Remove the full line
-    for (let x = 0; x < config.GRID_WIDTH; x++) {
+    for (let x = 0; x < this.rules.width; x++) {
       this.staticBlocks.delete(`${x},${y}`);
     }
     
@@ -166,4 +269,181 @@ class Grid {
     
     this.staticBlocks = newStatic;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Shifts every block up one row and fills the bottom row with garbage, leaving one gap
+   * @param {number} gapX - Column left empty in the new row
+   * @returns {boolean} True if a block was pushed out of the top row
+   */
+  insertGarbageRow(gapX) {
+    let overflow = false;
+    const newStatic = new Map();
+    for (const [pos, col] of this.staticBlocks) {
+      const [px, py] = pos.split(",").map(Number);
+      if (py === 0) overflow = true;
+      newStatic.set(`${px},${py - 1}`, col);
+    }
+    
+    const bottom = this.rules.height - 1;
+    for (let x = 0; x < this.rules.width; x++) {
+      if (x !== gapX) newStatic.set(`${x},${bottom}`, config.COLORS.GARBAGE);
+    }
+    
+    this.staticBlocks = newStatic;
+    return overflow;
+  }
+
+  /**
+   * Hashes the placed blocks (positions and colors), for checking that two copies of a board agree
+   * @returns {string} 32-bit FNV-1a hash as 8 hex digits
+   */
+  hashBlocks() {
+    const text = [...this.staticBlocks].map(([pos, color]) => `${pos}=${color}`).sort().join(";");
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Lets blocks fall after a line clear according to the gravity mode
+   * Naive gravity leaves blocks where removeLine() put them; sticky gravity
+   * drops each connected group of blocks as a unit; cascade gravity drops
+   * every block on its own.
+   * @returns {boolean} True if any block moved
+   */
+  settle() {
+    switch (this.rules.gravity) {
+      case Grid.GRAVITY.STICKY:
+        return this.settleGroups();
+      case Grid.GRAVITY.CASCADE:
+        return this.settleColumns();
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Drops every block straight down until it rests on the floor or another block
+   * @returns {boolean} True if any block moved
+   */
+  settleColumns() {
+    const columns = new Map();
+    for (const [pos, col] of this.staticBlocks) {
+      const [x, y] = pos.split(",").map(Number);
+      if (!columns.has(x)) columns.set(x, []);
+      columns.get(x).push({ y, col });
+    }
+    
+    let moved = false;
+    const newStatic = new Map();
+    for (const [x, blocks] of columns) {
+      // Stack the column's blocks from the floor up, keeping their order
+      blocks.sort((a, b) => b.y - a.y);
+      blocks.forEach((block, i) => {
+        const y = this.rules.height - 1 - i;
+        if (y !== block.y) moved = true;
+        newStatic.set(`${x},${y}`, block.col);
+      });
+    }
+    
+    this.staticBlocks = newStatic;
+    return moved;
+  }
+
+  /**
+   * Drops connected groups of blocks as rigid units until none can fall further
+   * Groups that land against each other merge and keep falling together
+   * @returns {boolean} True if any block moved
+   */
+  settleGroups() {
+    let moved = false;
+    let fell = true;
+    
+    while (fell) {
+      fell = false;
+      // Lowest groups first, so groups resting on them see their final position
+      const groups = this.findGroups().sort((a, b) => b.bottom - a.bottom);
+      for (const group of groups) {
+        const distance = this.dropDistance(group.cells);
+        if (distance > 0) {
+          this.moveCells(group.cells, distance);
+          fell = true;
+          moved = true;
+        }
+      }
+    }
+    
+    return moved;
+  }
+
+  /**
+   * Splits the static blocks into 4-connected groups
+   * @returns {Array<Object>} Groups as {cells: [{x, y}], bottom}
+   */
+  findGroups() {
+    const seen = new Set();
+    const groups = [];
+    
+    for (const pos of this.staticBlocks.keys()) {
+      if (seen.has(pos)) continue;
+      
+      const cells = [];
+      const stack = [pos];
+      seen.add(pos);
+      while (stack.length > 0) {
+        const [x, y] = stack.pop().split(",").map(Number);
+        cells.push({ x, y });
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const key = `${x + dx},${y + dy}`;
+          if (this.staticBlocks.has(key) && !seen.has(key)) {
+            seen.add(key);
+            stack.push(key);
+          }
+        }
+      }
+      groups.push({ cells, bottom: Math.max(...cells.map(cell => cell.y)) });
+    }
+    
+    return groups;
+  }
+
+  /**
+   * Measures how far a group of cells can fall before hitting the floor or another block
+   * @param {Array<Object>} cells - Cells of the group {x, y}
+   * @returns {number} Rows the group can fall
+   */
+  dropDistance(cells) {
+    const own = new Set(cells.map(cell => `${cell.x},${cell.y}`));
+    const blocked = distance => cells.some(cell => {
+      const y = cell.y + distance;
+      return y >= this.rules.height || (!own.has(`${cell.x},${y}`) && this.isStaticBlock(cell.x, y));
+    });
+    
+    let distance = 0;
+    while (!blocked(distance + 1)) distance++;
+    return distance;
+  }
+
+  /**
+   * Moves a group of blocks down, keeping their colors
+   * @param {Array<Object>} cells - Cells of the group {x, y}
+   * @param {number} distance - Rows to move down
+   */
+  moveCells(cells, distance) {
+    const colors = cells.map(cell => this.staticBlocks.get(`${cell.x},${cell.y}`));
+    cells.forEach(cell => this.staticBlocks.delete(`${cell.x},${cell.y}`));
+    cells.forEach((cell, i) => {
+      this.staticBlocks.set(`${cell.x},${cell.y + distance}`, colors[i]);
+    });
+  }
+}
+
+// Post-clear gravity modes
+Grid.GRAVITY = {
+  NAIVE: 'naive',                        // Blocks above a cleared line shift down one row and stay put
+  STICKY: 'sticky',                      // Connected groups fall as units until they land
+  CASCADE: 'cascade'                     // Every block falls independently
+}; 
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * HandlingProfiles Class
+ * Named sets of handling options (DAS, ARR and soft drop factor), persisted
+ * to localStorage, with one profile active at a time. Players can keep a
+ * profile per person or per play style and switch between them. The active
+ * profile's values are added to the rules of each new game, so they are
+ * recorded in saves and replays like the rest of the rules.
+ */
+class HandlingProfiles {
+  /**
+   * Loads the stored profiles
+   * @param {string} storageKey - localStorage key holding the profiles
+   */
+  constructor(storageKey = HandlingProfiles.STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.listeners = [];                // Called with the active profile whenever the profiles change
+    const data = this.load();
+    this.profiles = data.profiles;      // Profiles {name, das, arr, softDropFactor}, by id
+    this.activeId = data.activeId;      // Id of the profile new games use
+  }
+
+  /**
+   * Reads the stored profiles, falling back to a single default profile if they are unusable
+   * @returns {Object} Data {activeId, profiles}
+   */
+  load() {
+    const defaults = {
+      activeId: HandlingProfiles.DEFAULT_ID,
+      profiles: { [HandlingProfiles.DEFAULT_ID]: HandlingProfiles.defaultProfile('Default') }
+    };
+    const data = LocalStore.read(this.storageKey);
+    if (data === null) return defaults;
+
+    try {
+      HandlingProfiles.validate(data);
+    } catch (e) {
+      console.warn('Discarding unusable handling profiles:', e.message);
+      return defaults;
+    }
+    const profiles = Object.fromEntries(Object.entries(data.profiles).map(([id, profile]) => [id, { ...profile }]));
+    return { activeId: data.activeId, profiles };
+  }
+
+  /**
+   * Writes the profiles to storage
+   * @returns {boolean} True if the profiles were written
+   */
+  save() {
+    return LocalStore.write(this.storageKey, {
+      version: HandlingProfiles.VERSION,
+      activeId: this.activeId,
+      profiles: this.profiles
+    });
+  }
+
+  /**
+   * Returns a copy of the active profile
+   * @returns {Object} Profile {id, name, das, arr, softDropFactor}
+   */
+  getActive() {
+    return { id: this.activeId, ...this.profiles[this.activeId] };
+  }
+
+  /**
+   * The active profile's handling options, in the form the Engine's rules take
+   * @returns {Object} Options {das, arr, softDropFactor}
+   */
+  getHandling() {
+    const { das, arr, softDropFactor } = this.profiles[this.activeId];
+    return { das, arr, softDropFactor };
+  }
+
+  /**
+   * Lists the profiles for a selector
+   * @returns {Array<Object>} Entries {id, name}, in creation order
+   */
+  list() {
+    return Object.entries(this.profiles).map(([id, profile]) => ({ id, name: profile.name }));
+  }
+
+  /**
+   * Makes a profile the active one
+   * @param {string} id - Profile id
+   * @throws {Error} If there is no such profile
+   */
+  select(id) {
+    if (!this.profiles[id]) {
+      throw new Error(`Unknown handling profile: ${id}`);
+    }
+    if (id === this.activeId) return;
+
+    this.activeId = id;
+    this.changed();
+  }
+
+  /**
+   * Creates a profile with the active profile's values and makes it active
+   * @param {string} name - Name to show for the profile
+   * @returns {string} Id of the new profile
+   * @throws {Error} If the name is empty
+   */
+  create(name) {
+    const trimmed = String(name).trim();
+    if (trimmed === '') {
+      throw new Error('A profile needs a name');
+    }
+
+    let number = 1;
+    while (this.profiles[`profile${number}`]) number++;
+    const id = `profile${number}`;
+    this.profiles[id] = { ...this.profiles[this.activeId], name: trimmed };
+    this.activeId = id;
+    this.changed();
+    return id;
+  }
+
+  /**
+   * Changes one handling option of the active profile
+   * @param {string} key - Option name ('das', 'arr' or 'softDropFactor')
+   * @param {number} value - New value, within Engine.HANDLING_LIMITS
+   * @throws {Error} If the option is unknown or the value is out of range
+   */
+  set(key, value) {
+    if (!HandlingProfiles.isValid(key, value)) {
+      throw new Error(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+    }
+    if (this.profiles[this.activeId][key] === value) return;
+
+    this.profiles[this.activeId][key] = value;
+    this.changed();
+  }
+
+  /**
+   * Deletes the active profile and activates the first remaining one
+   * The last profile cannot be deleted.
+   * @returns {boolean} True if the profile was deleted
+   */
+  removeActive() {
+    const ids = Object.keys(this.profiles);
+    if (ids.length <= 1) return false;
+
+    delete this.profiles[this.activeId];
+    this.activeId = Object.keys(this.profiles)[0];
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Registers a listener for profile changes
+   * @param {Function} listener - Called with the active profile (see getActive()) after any change
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Saves the profiles and notifies the listeners
+   */
+  changed() {
+    this.save();
+    const profile = this.getActive();
+    this.listeners.forEach(listener => listener(profile));
+  }
+
+  /**
+   * Creates a profile with the default handling
+   * @param {string} name - Name to show for the profile
+   * @returns {Object} Profile {name, das, arr, softDropFactor}
+   */
+  static defaultProfile(name) {
+    const profile = { name };
+    for (const key of Object.keys(Engine.HANDLING_LIMITS)) {
+      profile[key] = Engine.DEFAULT_RULES[key];
+    }
+    return profile;
+  }
+
+  /**
+   * Checks whether a value is allowed for a handling option
+   * @param {string} key - Option name
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the option exists and the value is in its range
+   */
+  static isValid(key, value) {
+    const limits = Engine.HANDLING_LIMITS[key];
+    return Boolean(limits) && Number.isFinite(value) && value >= limits.min && value <= limits.max;
+  }
+
+  /**
+   * Checks that stored profile data can be loaded
+   * @param {Object} data - Parsed profile data
+   * @throws {Error} Describing the first problem found
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Profiles are not an object');
+    }
+    if (data.version !== HandlingProfiles.VERSION) {
+      throw new Error(`Unsupported profiles version: ${data.version}`);
+    }
+    if (!data.profiles || typeof data.profiles !== 'object' || !data.profiles[data.activeId]) {
+      throw new Error('The active profile is missing');
+    }
+    for (const [id, profile] of Object.entries(data.profiles)) {
+      if (!profile || typeof profile.name !== 'string' || profile.name.trim() === '') {
+        throw new Error(`Profile ${id} has no name`);
+      }
+      for (const key of Object.keys(Engine.HANDLING_LIMITS)) {
+        if (!HandlingProfiles.isValid(key, profile[key])) {
+          throw new Error(`Profile ${id} has an invalid ${key}`);
+        }
+      }
+    }
+  }
+}
+
+// Profiles format version, bumped whenever the stored data changes meaning
+HandlingProfiles.VERSION = 1;
+
+// localStorage key for the profiles
+HandlingProfiles.STORAGE_KEY = 'tetrisnake.handling';
+
+// Id of the profile created for new players
+HandlingProfiles.DEFAULT_ID = 'default';
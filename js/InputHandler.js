@@ -1,43 +1,50 @@
 /**
  * InputHandler Class
- * Manages keyboard and touch input for game controls.
- * Handles direction changes, buffering inputs, and special actions (pause/quit).
+ * Manages keyboard, touch and gamepad input for game controls.
+ * Keys are mapped to input actions (directions, hold, hard drop, pause, quit) through
+ * rebindable key bindings (see KeyBindings); touch controls press actions
+ * directly. Connected gamepads are polled every frame, their buttons mapped
+ * through GamepadBindings and the left stick steering. Handles direction
+ * changes, buffering inputs, and special actions.
  */
 class InputHandler {
   /**
    * Initializes a new InputHandler instance
+   * @param {Object} bindings - Keys bound to each action, by action id (see KeyBindings)
+   * @param {Object} gamepadBindings - Gamepad buttons bound to each action, by action id (see GamepadBindings)
+   * @param {Object} options - {touch: false to ignore the on-screen controls and swipes}
    */
-  constructor() {
+  constructor(bindings = KeyBindings.presetBindings(KeyBindings.DEFAULT_PRESET),
+              gamepadBindings = GamepadBindings.presetBindings(GamepadBindings.DEFAULT_PRESET),
+              options = {}) {
     this.keyState = new Map();          // Tracks currently pressed keys
-    this.lastProcessedKey = null;       // Last key that was processed
-    this.inputBuffer = [];              // Buffer to store recent direction inputs
+    this.simulatedActions = new Map();  // Actions pressed by touch controls and swipes
+    this.inputBuffer = [];              // Buffer to store recent direction actions
     this.maxBufferSize = 2;             // Buffer size limit
     this.touchStartPos = null;          // Track touch start position for swipe detection
     this.swipeThreshold = 50;           // Minimum distance for swipe detection
+    this.swipeEnabled = true;           // Whether swipes on the board steer the snake
     this.isMobile = this.detectMobile(); // Detect if on mobile device
+    this.gamepadActions = new Map();    // Actions pressed on a gamepad
+    this.gamepadButtons = new Set();    // Button indices held on any gamepad last poll
+    this.stickDeadZone = 0.35;          // Stick deflection (0 to 1) ignored as drift
+    this.gamepadLoopId = null;          // Animation frame of the gamepad poll, while any is connected
+    this.gamepadIndex = null;           // Only this connected gamepad is read (null reads them all)
+    this.gamepadCapture = null;         // Receives the next button pressed instead of the game
+    this.menuCallback = null;           // Called with gamepad menu commands
+    this.gamepadChangeCallback = null;  // Called with the connected gamepads on hot-plug
+    this.setBindings(bindings);
+    this.setGamepadBindings(gamepadBindings);
     
     this.setupEventListeners();
-    this.setupTouchControls();
-    
-    // Map arrow keys to direction vectors
-    this.directionMapping = {
-      "ArrowUp": { x: 0, y: -1 },
-      "ArrowDown": { x: 0, y: 1 },
-      "ArrowLeft": { x: -1, y: 0 },
-      "ArrowRight": { x: 1, y: 0 }
-    };
-    
-    // Map of opposite directions to prevent 180° turns
-    this.oppositeDirections = {
-      "ArrowUp": "ArrowDown",
-      "ArrowDown": "ArrowUp",
-      "ArrowLeft": "ArrowRight",
-      "ArrowRight": "ArrowLeft"
-    };
+    if (options.touch !== false) {
+      this.setupTouchControls();
+    }
+    this.setupGamepads();
     
-    // Prevent spacebar from triggering buttons
+    // Prevent spacebar from triggering buttons (text fields still accept it)
     window.addEventListener("keydown", (e) => {
-      if (e.code === "Space") {
+      if (e.code === "Space" && e.target.tagName !== "INPUT") {
         e.preventDefault();
       }
     }, { capture: true });
@@ -53,47 +60,45 @@ class InputHandler {
            (window.matchMedia && window.matchMedia("(pointer: coarse)").matches);
   }
 
+  /**
+   * Replaces the key bindings, releasing any keys currently held
+   * @param {Object} bindings - Keys bound to each action, by action id
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.keyActions = new Map();        // Action each bound key drives, by key
+    for (const [action, keys] of Object.entries(bindings)) {
+      keys.forEach(key => this.keyActions.set(key, action));
+    }
+    this.keyState.clear();
+    this.inputBuffer = [];
+  }
+
   /**
    * Sets up event listeners for keyboard input
    */
   setupEventListeners() {
     // Handle key press events
     document.addEventListener("keydown", (e) => {
-      // Only process game control keys
-      if (this.directionMapping[e.key] || e.key.toLowerCase() === "p" || e.key.toLowerCase() === "q") {
-        // Update key state
-        this.keyState.set(e.key, true);
-        
-        // Process direction keys for buffering
-        if (this.directionMapping[e.key]) {
-          const lastKey = this.inputBuffer.length > 0 ? this.inputBuffer[this.inputBuffer.length - 1] : null;
-          
-          // Avoid buffering moves that would cause immediate reversal
-          const currentOppKey = lastKey ? this.oppositeDirections[lastKey] : null;
-          if (e.key !== lastKey && e.key !== currentOppKey) {
-            // Remove duplicates of this key from buffer
-            this.inputBuffer = this.inputBuffer.filter(key => key !== e.key);
-            
-            // Add key to end of buffer (most recent)
-            this.inputBuffer.push(e.key);
-            
-            // Maintain buffer size limit
-            if (this.inputBuffer.length > this.maxBufferSize) {
-              this.inputBuffer.shift();
-            }
-          }
-        }
+      // Only process keys bound to an action
+      const key = KeyBindings.normalizeKey(e.key);
+      const action = this.keyActions.get(key);
+      if (!action) return;
+      
+      this.keyState.set(key, true);
+      if (InputHandler.OPPOSITES[action]) {
+        this.bufferDirection(action);
       }
     });
 
     // Handle key release events
     document.addEventListener("keyup", (e) => {
-      this.keyState.set(e.key, false);
+      const key = KeyBindings.normalizeKey(e.key);
+      this.keyState.set(key, false);
       
-      // Update input buffer when direction keys are released
-      if (this.directionMapping[e.key]) {
-        this.inputBuffer = this.inputBuffer.filter(key => key !== e.key);
-      }
+      // Update input buffer when a direction is no longer held by any key
+      const action = this.keyActions.get(key);
+      if (action) this.releaseDirection(action);
     });
     
     // Clear input state when window loses focus
@@ -113,40 +118,41 @@ class InputHandler {
     const leftBtn = document.getElementById('leftBtn');
     const rightBtn = document.getElementById('rightBtn');
     const pauseBtn = document.getElementById('pauseBtn');
+    const holdBtn = document.getElementById('holdBtn');
 
-    // Button mapping to keys
-    const buttonToKey = {
-      upBtn: 'ArrowUp',
-      downBtn: 'ArrowDown',
-      leftBtn: 'ArrowLeft',
-      rightBtn: 'ArrowRight'
+    // Button mapping to actions
+    const buttonToAction = {
+      upBtn: 'up',
+      downBtn: 'down',
+      leftBtn: 'left',
+      rightBtn: 'right'
     };
 
     // Add touch event listeners for direction buttons
-    Object.entries(buttonToKey).forEach(([btnId, key]) => {
+    Object.entries(buttonToAction).forEach(([btnId, action]) => {
       const btn = document.getElementById(btnId);
       if (btn) {
         // Handle touch start
         btn.addEventListener('touchstart', (e) => {
           e.preventDefault();
-          this.simulateKeyPress(key, true);
+          this.simulateAction(action, true);
         }, { passive: false });
 
         // Handle touch end
         btn.addEventListener('touchend', (e) => {
           e.preventDefault();
-          this.simulateKeyPress(key, false);
+          this.simulateAction(action, false);
         }, { passive: false });
 
         // Handle mouse events for desktop testing
         btn.addEventListener('mousedown', (e) => {
           e.preventDefault();
-          this.simulateKeyPress(key, true);
+          this.simulateAction(action, true);
         });
 
         btn.addEventListener('mouseup', (e) => {
           e.preventDefault();
-          this.simulateKeyPress(key, false);
+          this.simulateAction(action, false);
         });
 
         // Prevent context menu on long press
@@ -158,15 +164,38 @@ class InputHandler {
     if (pauseBtn) {
       pauseBtn.addEventListener('touchstart', (e) => {
         e.preventDefault();
-        this.simulateKeyPress('p', true);
+        this.simulateAction('pause', true);
         // Immediately release for pause toggle
-        setTimeout(() => this.simulateKeyPress('p', false), 100);
+        setTimeout(() => this.simulateAction('pause', false), 100);
       }, { passive: false });
 
       pauseBtn.addEventListener('click', (e) => {
         e.preventDefault();
-        this.simulateKeyPress('p', true);
-        setTimeout(() => this.simulateKeyPress('p', false), 100);
+        this.simulateAction('pause', true);
+        setTimeout(() => this.simulateAction('pause', false), 100);
+      });
+    }
+
+    // Handle hold button (held while touched, like a key)
+    if (holdBtn) {
+      holdBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        this.simulateAction('hold', true);
+      }, { passive: false });
+
+      holdBtn.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        this.simulateAction('hold', false);
+      }, { passive: false });
+
+      holdBtn.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.simulateAction('hold', true);
+      });
+
+      holdBtn.addEventListener('mouseup', (e) => {
+        e.preventDefault();
+        this.simulateAction('hold', false);
       });
     }
 
@@ -199,20 +228,20 @@ class InputHandler {
           const deltaY = touchEndPos.y - this.touchStartPos.y;
           const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
 
-          if (distance > this.swipeThreshold) {
-            let swipeKey = null;
+          if (this.swipeEnabled && distance > this.swipeThreshold) {
+            let swipeAction = null;
             
             if (Math.abs(deltaX) > Math.abs(deltaY)) {
               // Horizontal swipe
-              swipeKey = deltaX > 0 ? 'ArrowRight' : 'ArrowLeft';
+              swipeAction = deltaX > 0 ? 'right' : 'left';
             } else {
               // Vertical swipe
-              swipeKey = deltaY > 0 ? 'ArrowDown' : 'ArrowUp';
+              swipeAction = deltaY > 0 ? 'down' : 'up';
             }
 
-            if (swipeKey) {
-              this.simulateKeyPress(swipeKey, true);
-              setTimeout(() => this.simulateKeyPress(swipeKey, false), 100);
+            if (swipeAction) {
+              this.simulateAction(swipeAction, true);
+              setTimeout(() => this.simulateAction(swipeAction, false), 100);
             }
           }
 
@@ -223,44 +252,221 @@ class InputHandler {
   }
 
   /**
-   * Simulates a key press or release
-   * @param {string} key - The key to simulate
-   * @param {boolean} pressed - Whether the key is pressed or released
+   * Simulates pressing or releasing an action (touch controls and swipes)
+   * @param {string} action - The action to simulate
+   * @param {boolean} pressed - Whether the action is pressed or released
    */
-  simulateKeyPress(key, pressed) {
-    // Update key state
-    this.keyState.set(key, pressed);
+  simulateAction(action, pressed) {
+    // Update action state
+    this.simulatedActions.set(action, pressed);
     
     // Add haptic feedback for mobile devices
     if (pressed && this.isMobile && 'vibrate' in navigator) {
       // Light vibration for direction changes, stronger for pause
-      const vibrationPattern = key === 'p' ? [50] : [20];
+      const vibrationPattern = action === 'pause' ? [50] : [20];
       navigator.vibrate(vibrationPattern);
     }
     
-    // Process direction keys for buffering when pressed
-    if (pressed && this.directionMapping[key]) {
-      const lastKey = this.inputBuffer.length > 0 ? this.inputBuffer[this.inputBuffer.length - 1] : null;
-      
-      // Avoid buffering moves that would cause immediate reversal
-      const currentOppKey = lastKey ? this.oppositeDirections[lastKey] : null;
-      if (key !== lastKey && key !== currentOppKey) {
-        // Remove duplicates of this key from buffer
-        this.inputBuffer = this.inputBuffer.filter(k => k !== key);
-        
-        // Add key to end of buffer (most recent)
-        this.inputBuffer.push(key);
-        
-        // Maintain buffer size limit
-        if (this.inputBuffer.length > this.maxBufferSize) {
-          this.inputBuffer.shift();
-        }
+    if (pressed && InputHandler.OPPOSITES[action]) {
+      this.bufferDirection(action);
+    } else if (!pressed) {
+      this.releaseDirection(action);
+    }
+  }
+
+  /**
+   * Replaces the gamepad bindings, releasing any actions currently held on a gamepad
+   * @param {Object} bindings - Button indices bound to each action, by action id
+   */
+  setGamepadBindings(bindings) {
+    this.gamepadBindings = bindings;
+    this.gamepadActions.clear();
+    this.inputBuffer = [];
+  }
+
+  /**
+   * Listens for gamepads being connected and disconnected
+   * Polling only runs while at least one gamepad is connected
+   */
+  setupGamepads() {
+    if (!navigator.getGamepads) return;
+    
+    window.addEventListener("gamepadconnected", () => this.handleGamepadChange());
+    window.addEventListener("gamepaddisconnected", () => this.handleGamepadChange());
+    
+    // A gamepad used before a page reload can already be connected
+    if (this.getGamepads().length > 0) this.handleGamepadChange();
+  }
+
+  /**
+   * Starts or stops polling after a gamepad is connected or disconnected
+   */
+  handleGamepadChange() {
+    const gamepads = this.getGamepads();
+    
+    if (gamepads.length > 0 && this.gamepadLoopId === null) {
+      const poll = () => {
+        this.pollGamepads();
+        this.gamepadLoopId = requestAnimationFrame(poll);
+      };
+      this.gamepadLoopId = requestAnimationFrame(poll);
+    } else if (gamepads.length === 0 && this.gamepadLoopId !== null) {
+      cancelAnimationFrame(this.gamepadLoopId);
+      this.gamepadLoopId = null;
+    }
+    
+    // Release everything the disconnected gamepad was holding
+    this.pollGamepads();
+    
+    if (this.gamepadChangeCallback) {
+      this.gamepadChangeCallback(gamepads.map(gamepad => gamepad.id));
+    }
+  }
+
+  /**
+   * Restricts the handler to one connected gamepad, e.g. one per player in split-screen play
+   * @param {number|null} index - Position among the connected gamepads, or null to read them all
+   */
+  setGamepadIndex(index) {
+    this.gamepadIndex = index;
+    this.pollGamepads();
+  }
+
+  /**
+   * Lists the connected gamepads
+   * @returns {Array<Gamepad>} Connected gamepads (empty if the browser has no Gamepad API)
+   */
+  getGamepads() {
+    if (!navigator.getGamepads) return [];
+    return [...navigator.getGamepads()].filter(gamepad => gamepad && gamepad.connected);
+  }
+
+  /**
+   * Reads every connected gamepad and updates the actions they press
+   * Newly pressed directions are buffered exactly like key presses; new
+   * presses also drive menu navigation or a pending button capture.
+   */
+  pollGamepads() {
+    const buttons = new Set();
+    const actions = new Set();
+    
+    const gamepads = this.getGamepads();
+    const read = this.gamepadIndex === null ? gamepads : gamepads.slice(this.gamepadIndex, this.gamepadIndex + 1);
+    for (const gamepad of read) {
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) buttons.add(index);
+      });
+      const stick = this.stickDirection(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+      if (stick) actions.add(stick);
+    }
+    for (const [action, bound] of Object.entries(this.gamepadBindings)) {
+      if (bound.some(button => buttons.has(button))) actions.add(action);
+    }
+    
+    const newButtons = [...buttons].filter(button => !this.gamepadButtons.has(button));
+    const newActions = [...actions].filter(action => !this.gamepadActions.get(action));
+    this.gamepadButtons = buttons;
+    
+    for (const action of this.gamepadActions.keys()) {
+      if (!actions.has(action)) {
+        this.gamepadActions.delete(action);
+        this.releaseDirection(action);
+      }
+    }
+    for (const action of newActions) {
+      this.gamepadActions.set(action, true);
+      if (InputHandler.OPPOSITES[action]) this.bufferDirection(action);
+    }
+    
+    if (this.gamepadCapture) {
+      if (newButtons.length > 0) {
+        const capture = this.gamepadCapture;
+        this.gamepadCapture = null;
+        capture(newButtons[0]);
       }
+      return;
     }
     
-    // Update input buffer when direction keys are released
-    if (!pressed && this.directionMapping[key]) {
-      this.inputBuffer = this.inputBuffer.filter(k => k !== key);
+    if (this.menuCallback) {
+      newActions.filter(action => InputHandler.OPPOSITES[action]).forEach(action => this.menuCallback(action));
+      if (newButtons.includes(InputHandler.MENU_BUTTONS.confirm)) this.menuCallback('confirm');
+      if (newButtons.includes(InputHandler.MENU_BUTTONS.back)) this.menuCallback('back');
+    }
+  }
+
+  /**
+   * Converts a stick position to a direction along its dominant axis
+   * @param {number} x - Horizontal axis (-1 left to 1 right)
+   * @param {number} y - Vertical axis (-1 up to 1 down)
+   * @returns {string|null} Direction action, or null inside the dead zone
+   */
+  stickDirection(x, y) {
+    if (Math.max(Math.abs(x), Math.abs(y)) <= this.stickDeadZone) return null;
+    if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+    return y > 0 ? 'down' : 'up';
+  }
+
+  /**
+   * Waits for the next gamepad button press and reports it instead of letting the game see it
+   * @param {Function} callback - Called with the button index
+   */
+  captureGamepadButton(callback) {
+    this.gamepadCapture = callback;
+  }
+
+  /**
+   * Cancels a pending gamepad button capture
+   */
+  cancelGamepadCapture() {
+    this.gamepadCapture = null;
+  }
+
+  /**
+   * Registers the handler for gamepad menu navigation
+   * @param {Function} callback - Called with 'up', 'down', 'left', 'right', 'confirm' or 'back'
+   */
+  onMenuCommand(callback) {
+    this.menuCallback = callback;
+  }
+
+  /**
+   * Registers the handler for gamepads being connected or disconnected
+   * @param {Function} callback - Called with the ids of the connected gamepads
+   */
+  onGamepadChange(callback) {
+    this.gamepadChangeCallback = callback;
+  }
+
+  /**
+   * Records a newly pressed direction as the most recent input
+   * @param {string} action - Direction action ('up', 'down', 'left' or 'right')
+   */
+  bufferDirection(action) {
+    const last = this.inputBuffer.length > 0 ? this.inputBuffer[this.inputBuffer.length - 1] : null;
+    
+    // Avoid buffering moves that would cause immediate reversal
+    const lastOpposite = last ? InputHandler.OPPOSITES[last] : null;
+    if (action !== last && action !== lastOpposite) {
+      // Remove duplicates of this direction from buffer
+      this.inputBuffer = this.inputBuffer.filter(buffered => buffered !== action);
+      
+      // Add direction to end of buffer (most recent)
+      this.inputBuffer.push(action);
+      
+      // Maintain buffer size limit
+      if (this.inputBuffer.length > this.maxBufferSize) {
+        this.inputBuffer.shift();
+      }
+    }
+  }
+
+  /**
+   * Drops a released direction from the buffer once no key, button or stick still presses it
+   * @param {string} action - Released action
+   */
+  releaseDirection(action) {
+    if (InputHandler.OPPOSITES[action] && !this.isActionPressed(action)) {
+      this.inputBuffer = this.inputBuffer.filter(buffered => buffered !== action);
     }
   }
 
@@ -274,30 +480,41 @@ class InputHandler {
   }
 
   /**
-   * Gets the current direction input based on pressed keys
-   * @returns {Object|null} Object with key and direction vector, or null if no direction keys pressed
+   * Checks if an action is pressed by any of its keys, a touch control or a gamepad
+   * @param {string} action - Action id (see KeyBindings.ACTIONS)
+   * @returns {boolean} True if the action is pressed
+   */
+  isActionPressed(action) {
+    return (this.bindings[action] || []).some(key => this.isKeyPressed(key)) ||
+           this.simulatedActions.get(action) === true ||
+           this.gamepadActions.get(action) === true;
+  }
+
+  /**
+   * Gets the current direction input based on pressed actions
+   * @returns {Object|null} Object with direction vector and engine action, or null if no direction is pressed
    */
   getDirection() {
-    // First check the buffered keys (prioritize most recent)
+    // First check the buffered directions (prioritize most recent)
     for (let i = this.inputBuffer.length - 1; i >= 0; i--) {
-      const key = this.inputBuffer[i];
-      if (this.isKeyPressed(key)) {
-        return { key, direction: this.directionMapping[key] };
+      const action = this.inputBuffer[i];
+      if (this.isActionPressed(action)) {
+        return { action, direction: Engine.DIRECTIONS[action] };
       }
     }
     
-    // Fallback: check all direction keys if buffer is empty or no buffered keys are pressed
-    for (const [key, direction] of Object.entries(this.directionMapping)) {
-      if (this.isKeyPressed(key)) {
+    // Fallback: check all directions if buffer is empty or no buffered direction is pressed
+    for (const action of Object.keys(InputHandler.OPPOSITES)) {
+      if (this.isActionPressed(action)) {
         // Add to buffer for consistency
-        if (!this.inputBuffer.includes(key)) {
-          this.inputBuffer.push(key);
+        if (!this.inputBuffer.includes(action)) {
+          this.inputBuffer.push(action);
           // Maintain buffer size limit
           if (this.inputBuffer.length > this.maxBufferSize) {
             this.inputBuffer.shift();
           }
         }
-        return { key, direction };
+        return { action, direction: Engine.DIRECTIONS[action] };
       }
     }
     
@@ -305,18 +522,48 @@ class InputHandler {
   }
 
   /**
-   * Checks if pause key is pressed
-   * @returns {boolean} True if pause key (P) is pressed
+   * Checks if the hold action is pressed
+   * @returns {boolean} True if a hold key or button is pressed
+   */
+  isHoldPressed() {
+    return this.isActionPressed('hold');
+  }
+
+  /**
+   * Checks if the hard drop action is pressed
+   * @returns {boolean} True if a hard drop key or button is pressed
+   */
+  isHardDropPressed() {
+    return this.isActionPressed('hardDrop');
+  }
+
+  /**
+   * Checks if the pause action is pressed
+   * @returns {boolean} True if a pause key or button is pressed
    */
   isPausePressed() {
-    return this.isKeyPressed("p") || this.isKeyPressed("P");
+    return this.isActionPressed('pause');
   }
 
   /**
-   * Checks if quit key is pressed
-   * @returns {boolean} True if quit key (Q) is pressed
+   * Checks if the quit action is pressed
+   * @returns {boolean} True if a quit key or button is pressed
    */
   isQuitPressed() {
-    return this.isKeyPressed("q") || this.isKeyPressed("Q");
+    return this.isActionPressed('quit');
   }
-}
\ No newline at end of file
+}
+
+// Opposite of each direction action, to prevent 180° turns
+InputHandler.OPPOSITES = {
+  up: 'down',
+  down: 'up',
+  left: 'right',
+  right: 'left'
+};
+
+// Fixed gamepad buttons for menus (standard layout): A selects, B goes back
+InputHandler.MENU_BUTTONS = Object.freeze({
+  confirm: 0,
+  back: 1
+});
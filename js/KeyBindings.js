@@ -0,0 +1,315 @@
+/**
+ * KeyBindings Class
+ * The keyboard keys bound to each input action, persisted to localStorage.
+ * An action can have several keys, but a key drives only one action: adding
+ * a key that is already in use reports the conflict instead of binding it.
+ * Keys are KeyboardEvent.key values, with letters stored in lower case so a
+ * binding works with or without Shift or Caps Lock. Subclasses bind other
+ * inputs the same way by overriding the statics (see GamepadBindings).
+ */
+class KeyBindings {
+  /**
+   * Loads the stored bindings
+   * @param {string} storageKey - localStorage key holding the bindings
+   */
+  constructor(storageKey = KeyBindings.STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.listeners = [];                // Called with the bindings whenever they change
+    this.bindings = this.load();        // Keys bound to each action, by action id
+  }
+
+  /**
+   * Reads the stored bindings, falling back to the default preset if they are unusable
+   * Actions added since the bindings were saved get their default keys
+   * @returns {Object} Keys by action id
+   */
+  load() {
+    const defaults = this.constructor.presetBindings(this.constructor.DEFAULT_PRESET);
+    const data = LocalStore.read(this.storageKey);
+    if (data === null) return defaults;
+
+    try {
+      this.constructor.validate(data);
+    } catch (e) {
+      console.warn('Discarding unusable key bindings:', e.message);
+      return defaults;
+    }
+
+    const bindings = {};
+    for (const action of Object.keys(this.constructor.ACTIONS)) {
+      const stored = data.bindings[action];
+      bindings[action] = stored ? [...stored] : defaults[action].filter(key => !this.constructor.findIn(data.bindings, key));
+    }
+    return bindings;
+  }
+
+  /**
+   * Writes the current bindings to storage
+   * @returns {boolean} True if the bindings were written
+   */
+  save() {
+    return LocalStore.write(this.storageKey, { version: this.constructor.VERSION, bindings: this.bindings });
+  }
+
+  /**
+   * Returns a copy of every action's keys
+   * @returns {Object} Keys by action id
+   */
+  getAll() {
+    return Object.fromEntries(Object.entries(this.bindings).map(([action, keys]) => [action, [...keys]]));
+  }
+
+  /**
+   * Finds the action a key is bound to
+   * @param {string} key - Key to look up
+   * @returns {string|null} Action id, or null if the key is free
+   */
+  findAction(key) {
+    return this.constructor.findIn(this.bindings, this.constructor.normalizeKey(key));
+  }
+
+  /**
+   * Binds a key to an action, unless another action already uses it
+   * @param {string} action - Action id (a key of KeyBindings.ACTIONS)
+   * @param {string} key - KeyboardEvent.key value
+   * @returns {string|null} Id of the action the key is already bound to, or null if it was bound
+   * @throws {Error} If the action is unknown
+   */
+  add(action, key) {
+    if (!this.constructor.ACTIONS[action]) {
+      throw new Error(`Unknown input action: ${action}`);
+    }
+    const normalized = this.constructor.normalizeKey(key);
+    const owner = this.findAction(normalized);
+    if (owner === action) return null;
+    if (owner) return owner;
+
+    this.bindings[action].push(normalized);
+    this.changed();
+    return null;
+  }
+
+  /**
+   * Unbinds a key from an action
+   * @param {string} action - Action id
+   * @param {string} key - Bound key to remove
+   */
+  remove(action, key) {
+    const keys = this.bindings[action];
+    if (!keys || !keys.includes(key)) return;
+
+    this.bindings[action] = keys.filter(bound => bound !== key);
+    this.changed();
+  }
+
+  /**
+   * Replaces every binding with a preset's
+   * @param {string} presetId - Preset id (a key of KeyBindings.PRESETS)
+   * @throws {Error} If the preset is unknown
+   */
+  applyPreset(presetId) {
+    if (!this.constructor.PRESETS[presetId]) {
+      throw new Error(`Unknown key binding preset: ${presetId}`);
+    }
+    this.bindings = this.constructor.presetBindings(presetId);
+    this.changed();
+  }
+
+  /**
+   * Registers a listener for binding changes
+   * @param {Function} listener - Called with a copy of the bindings after they change
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Saves the bindings and notifies the listeners
+   */
+  changed() {
+    this.save();
+    const bindings = this.getAll();
+    this.listeners.forEach(listener => listener(bindings));
+  }
+
+  /**
+   * Copies a preset's bindings
+   * @param {string} presetId - Preset id
+   * @returns {Object} Keys by action id
+   */
+  static presetBindings(presetId) {
+    const preset = this.PRESETS[presetId];
+    return Object.fromEntries(Object.keys(this.ACTIONS).map(action => [action, [...(preset.bindings[action] || [])]]));
+  }
+
+  /**
+   * Finds the action a normalized key is bound to in a bindings object
+   * @param {Object} bindings - Keys by action id
+   * @param {string} key - Normalized key
+   * @returns {string|null} Action id, or null if no action uses the key
+   */
+  static findIn(bindings, key) {
+    const entry = Object.entries(bindings).find(([, keys]) => keys.includes(key));
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Puts a key in the form bindings are stored in (single letters in lower case)
+   * @param {string} key - KeyboardEvent.key value
+   * @returns {string} Normalized key
+   */
+  static normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Checks whether a stored value is a key in normalized form
+   * @param {*} key - Value to check
+   * @returns {boolean} True for a non-empty normalized KeyboardEvent.key value
+   */
+  static isKey(key) {
+    return typeof key === 'string' && key !== '' && key === this.normalizeKey(key);
+  }
+
+  /**
+   * Formats a key for display
+   * @param {string} key - Normalized key
+   * @returns {string} Short readable name, e.g. "A", "Space" or "↑"
+   */
+  static keyLabel(key) {
+    if (this.KEY_LABELS[key]) return this.KEY_LABELS[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
+
+  /**
+   * Checks that stored binding data can be loaded
+   * @param {Object} data - Parsed binding data
+   * @throws {Error} Describing the first problem found
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Bindings are not an object');
+    }
+    if (data.version !== this.VERSION) {
+      throw new Error(`Unsupported bindings version: ${data.version}`);
+    }
+    if (!data.bindings || typeof data.bindings !== 'object') {
+      throw new Error('Bindings are missing');
+    }
+
+    const seen = new Set();
+    for (const [action, keys] of Object.entries(data.bindings)) {
+      if (!this.ACTIONS[action]) {
+        throw new Error(`Unknown input action: ${action}`);
+      }
+      if (!Array.isArray(keys) || !keys.every(key => this.isKey(key))) {
+        throw new Error(`Invalid keys for ${action}`);
+      }
+      for (const key of keys) {
+        if (seen.has(key)) {
+          throw new Error(`Key bound twice: ${key}`);
+        }
+        seen.add(key);
+      }
+    }
+  }
+}
+
+// Bindings format version, bumped whenever the stored data changes meaning
+KeyBindings.VERSION = 1;
+
+// localStorage key for the bindings
+KeyBindings.STORAGE_KEY = 'tetrisnake.keyBindings';
+
+// Input actions that can be bound, with their display names, in menu order
+KeyBindings.ACTIONS = Object.freeze({
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  hold: 'Hold',
+  hardDrop: 'Hard Drop',
+  pause: 'Pause',
+  quit: 'Quit (when paused)'
+});
+
+// Ready-made layouts; the arrow keys stay bound in all of them
+KeyBindings.PRESETS = Object.freeze({
+  default: Object.freeze({
+    name: 'Arrows',
+    bindings: {
+      up: ['ArrowUp'],
+      down: ['ArrowDown'],
+      left: ['ArrowLeft'],
+      right: ['ArrowRight'],
+      hold: ['c', 'Shift'],
+      hardDrop: [' '],
+      pause: ['p'],
+      quit: ['q']
+    }
+  }),
+  wasd: Object.freeze({
+    name: 'WASD',
+    bindings: {
+      up: ['w', 'ArrowUp'],
+      down: ['s', 'ArrowDown'],
+      left: ['a', 'ArrowLeft'],
+      right: ['d', 'ArrowRight'],
+      hold: ['Shift', 'c'],
+      hardDrop: [' '],
+      pause: ['p'],
+      quit: ['q']
+    }
+  }),
+  vim: Object.freeze({
+    name: 'Vim (HJKL)',
+    bindings: {
+      up: ['k', 'ArrowUp'],
+      down: ['j', 'ArrowDown'],
+      left: ['h', 'ArrowLeft'],
+      right: ['l', 'ArrowRight'],
+      hold: ['c', 'Shift'],
+      hardDrop: [' '],
+      pause: ['p'],
+      quit: ['q']
+    }
+  })
+});
+
+// Preset used for new players and when stored bindings are unusable
+KeyBindings.DEFAULT_PRESET = 'default';
+
+// Fixed key sets for local split-screen play, by player: arrows on the right
+// of the keyboard, WASD on the left. Player 1 also pauses and quits.
+KeyBindings.VERSUS_LAYOUTS = Object.freeze([
+  Object.freeze({
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+    hold: ['.'],
+    hardDrop: ['/'],
+    pause: ['p', 'Escape'],
+    quit: ['q']
+  }),
+  Object.freeze({
+    up: ['w'],
+    down: ['s'],
+    left: ['a'],
+    right: ['d'],
+    hold: ['e'],
+    hardDrop: [' '],
+    pause: [],
+    quit: []
+  })
+]);
+
+// Display names for keys whose KeyboardEvent.key value is unclear or long
+KeyBindings.KEY_LABELS = Object.freeze({
+  ' ': 'Space',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc'
+});
@@ -0,0 +1,50 @@
+/**
+ * LocalStore Class
+ * Thin wrapper around localStorage for JSON values.
+ * Storage can be unavailable (private browsing, disabled cookies, quota), so
+ * every operation fails soft instead of throwing into the game.
+ */
+class LocalStore {
+  /**
+   * Reads and parses a JSON value
+   * @param {string} key - Storage key
+   * @returns {*} The parsed value, or null if missing or unreadable
+   */
+  static read(key) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw === null ? null : JSON.parse(raw);
+    } catch (e) {
+      console.warn(`Could not read "${key}" from storage:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Serializes and writes a JSON value
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-safe value to store
+   * @returns {boolean} True if the value was written
+   */
+  static write(key, value) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.warn(`Could not write "${key}" to storage:`, e);
+      return false;
+    }
+  }
+
+  /**
+   * Removes a stored value
+   * @param {string} key - Storage key
+   */
+  static remove(key) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (e) {
+      console.warn(`Could not remove "${key}" from storage:`, e);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * NetClient Class
+ * The browser's connection to an online relay (see node/relay.js). Sends and
+ * receives the JSON protocol messages described in the README, and keeps a
+ * room membership alive across dropped connections: it reconnects with
+ * growing delays, rejoins with the token the relay handed out, and holds
+ * outgoing messages until the room is rejoined.
+ */
+class NetClient {
+  /**
+   * Creates a client; nothing is opened until connect()
+   * @param {string} url - Relay address, e.g. "ws://localhost:8787"
+   */
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.handlers = new Map();          // Message type -> listeners
+    this.statusListeners = [];          // Called with the connection status when it changes
+    this.status = 'closed';             // 'connecting', 'open', 'reconnecting' or 'closed'
+    this.room = null;                   // Code of the room joined, if any
+    this.playerId = null;               // Our id in that room
+    this.token = null;                  // Secret for rejoining the room after a drop
+    this.ready = false;                 // Whether messages can go straight out
+    this.outbox = [];                   // Messages held while not ready
+    this.attempts = 0;                  // Reconnects tried since the connection dropped
+    this.retryTimer = null;
+
+    this.on('joined', message => {
+      this.room = message.room;
+      this.playerId = message.playerId;
+      this.token = message.token;
+      this.attempts = 0;
+      this.markReady();
+    });
+    this.on('error', message => {
+      if (message.request !== 'rejoin') return;
+      // Our place in the room is gone; start over as a fresh connection
+      this.room = null;
+      this.playerId = null;
+      this.token = null;
+      this.outbox = [];
+      this.markReady();
+    });
+  }
+
+  /**
+   * Opens the connection to the relay
+   */
+  connect() {
+    if (this.socket) return;
+
+    this.setStatus(this.token ? 'reconnecting' : 'connecting');
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    socket.addEventListener('open', () => {
+      this.setStatus('open');
+      if (this.token) {
+        // Messages wait until the relay confirms we are back in the room
+        socket.send(JSON.stringify({ type: 'rejoin', room: this.room, token: this.token }));
+      } else {
+        this.markReady();
+      }
+    });
+    socket.addEventListener('message', event => this.receive(event.data));
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.ready = false;
+      if (this.status === 'closed') return;
+
+      // Only a room membership is worth reconnecting for
+      if (this.token) {
+        this.scheduleReconnect();
+      } else {
+        this.outbox = [];
+        this.setStatus('closed');
+      }
+    });
+  }
+
+  /**
+   * Tries the connection again after a delay that doubles with each failure
+   */
+  scheduleReconnect() {
+    const delays = NetClient.RECONNECT_DELAYS;
+    const delay = delays[Math.min(this.attempts, delays.length - 1)];
+    this.attempts++;
+    this.setStatus('reconnecting');
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Sends everything held back, now that the relay will take it
+   */
+  markReady() {
+    this.ready = true;
+    const held = this.outbox;
+    this.outbox = [];
+    held.forEach(message => this.send(message));
+  }
+
+  /**
+   * Sends a protocol message, holding it if the connection is not ready
+   * @param {Object} message - Message with a type
+   */
+  send(message) {
+    if (this.ready && this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    } else {
+      this.outbox.push(message);
+    }
+  }
+
+  /**
+   * Creates a room and joins it as host
+   * @param {string} name - Name shown to the other players
+   * @param {Object} handling - Our handling options {das, arr, softDropFactor}
+   */
+  createRoom(name, handling) {
+    this.send({ type: 'create', version: NetClient.PROTOCOL_VERSION, name, handling });
+  }
+
+  /**
+   * Joins a room by its code
+   * @param {string} room - Room code
+   * @param {string} name - Name shown to the other players
+   * @param {Object} handling - Our handling options {das, arr, softDropFactor}
+   */
+  joinRoom(room, name, handling) {
+    this.send({ type: 'join', version: NetClient.PROTOCOL_VERSION, room: room.trim().toUpperCase(), name, handling });
+  }
+
+  /**
+   * Leaves the room (if any) and closes the connection for good
+   */
+  close() {
+    if (this.room && this.ready) this.send({ type: 'leave' });
+    this.setStatus('closed');
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.room = null;
+    this.playerId = null;
+    this.token = null;
+    this.ready = false;
+    this.outbox = [];
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+  }
+
+  /**
+   * Dispatches a message from the relay to its listeners
+   * @param {string} text - Raw JSON message
+   */
+  receive(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      console.warn('Ignoring malformed relay message');
+      return;
+    }
+    for (const handler of this.handlers.get(message.type) || []) {
+      handler(message);
+    }
+  }
+
+  /**
+   * Registers a listener for one message type
+   * @param {string} type - Message type, e.g. 'lobby' or 'start'
+   * @param {Function} handler - Called with the message
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(handler);
+  }
+
+  /**
+   * Registers a listener for connection status changes
+   * @param {Function} listener - Called with the new status
+   */
+  onStatus(listener) {
+    this.statusListeners.push(listener);
+  }
+
+  /**
+   * Records the connection status and notifies the listeners
+   * @param {string} status - New status
+   */
+  setStatus(status) {
+    if (status === this.status) return;
+
+    this.status = status;
+    this.statusListeners.forEach(listener => listener(status));
+  }
+}
+
+// Protocol version sent when creating or joining a room; must match the relay's
+NetClient.PROTOCOL_VERSION = 1;
+
+// Delays before successive reconnect attempts, in ms (the last one repeats)
+NetClient.RECONNECT_DELAYS = Object.freeze([500, 1000, 2000, 4000, 8000]);
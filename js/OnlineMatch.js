@@ -0,0 +1,366 @@
+/**
+ * OnlineMatch Class
+ * A versus match played over the network (see NetClient), where each player's
+ * browser owns one board. The local board is played as usual; every other
+ * board is a copy simulated from the inputs its owner streams, which works
+ * because all boards share the seed and the engine is deterministic.
+ *
+ * Each client is the authority for its own board: it decides when incoming
+ * garbage rises (and with which gap) and streams that along with its inputs,
+ * so the copies stay in step. Attacks are sent to their target as messages.
+ * Every HASH_INTERVAL ticks the owner also streams a hash of its placed
+ * blocks; a copy that hashes differently asks the owner for a snapshot and
+ * restores it.
+ */
+class OnlineMatch extends VersusMatch {
+  /**
+   * Creates the match from the relay's start message
+   * @param {Object} start - Start message {seed, mode, rules, players: [{id, name, handling}]}
+   * @param {string} localId - Id of the player on this client
+   * @param {Function} send - Sends a protocol message to the relay
+   * @throws {Error} If the rules or a player's handling are invalid, or the local player is not in the match
+   */
+  constructor(start, localId, send) {
+    super(start.seed, start.mode, start.rules, start.players.length);
+    this.send = send;
+    this.lastAction = null;             // Input held on the local board, as last streamed
+    this.sentTo = 0;                    // Local tick the stream has been sent up to
+    this.sentFinished = false;          // Whether the stream has said this client is done playing
+    this.resignedAt = null;             // Local tick the local player resigned at, if they did
+    this.outbox = OnlineMatch.emptyOutbox();
+    this.desyncs = 0;                   // Copies found out of step and resynced
+
+    this.players.forEach((player, i) => {
+      const entry = start.players[i];
+      player.id = entry.id;
+      player.name = entry.name;
+      player.local = entry.id === localId;
+      player.stream = {
+        changes: [],                    // Input changes not yet simulated, as [tick, action]
+        garbage: [],                    // Garbage rises not yet simulated, as [tick, rows, gap]
+        hashes: new Map(),              // Owner's block hashes by tick, not yet checked
+        action: null,                   // Input held on the copy
+        known: 0,                       // Owner's tick the stream has arrived up to
+        resignedAt: null,               // Owner's tick they resigned at, if they did
+        resyncing: false                // Whether a snapshot has been requested and not yet received
+      };
+      // Every player plays with their own handling, which may not change the shared rules
+      player.engine.reset(this.seed, start.mode, { ...start.rules, ...Engine.validateHandling(entry.handling) });
+    });
+
+    this.local = this.players.find(player => player.local);
+    if (!this.local) {
+      throw new Error('The local player is not in the match');
+    }
+  }
+
+  /**
+   * Advances the local board by one tick and resolves its locks
+   * The other boards advance as their streams arrive (see receive()).
+   * @param {string|null} action - Input held on the local board this tick
+   */
+  tick(action = null) {
+    const { engine } = this.local;
+    if (this.over) return;
+
+    // The match clock runs on after the local game ends; it bounds how far other boards may run ahead
+    this.ticks++;
+    if (engine.gameOver) return;
+    if (action !== this.lastAction) {
+      this.outbox.changes.push([engine.ticks, action]);
+      this.lastAction = action;
+    }
+    engine.tick(action);
+    this.resolveLocks(this.local);
+    if (engine.ticks % OnlineMatch.HASH_INTERVAL === 0) {
+      this.outbox.hashes.push([engine.ticks, engine.grid.hashBlocks()]);
+    }
+    this.checkEnd();
+  }
+
+  /**
+   * Sends the local board's stream since the last flush, if it has moved on
+   * The frame is marked finished once the local game or the match is over.
+   */
+  flush() {
+    const { engine } = this.local;
+    const finished = this.over || engine.gameOver;
+    if (engine.ticks === this.sentTo && this.outbox.resigned === null && finished === this.sentFinished) return;
+
+    this.send({
+      type: 'frame',
+      tick: engine.ticks,
+      ...this.outbox,
+      incoming: this.local.incoming,
+      sent: this.local.sent,
+      finished
+    });
+    this.sentTo = engine.ticks;
+    this.sentFinished = finished;
+    this.outbox = OnlineMatch.emptyOutbox();
+  }
+
+  /**
+   * Resigns the local player; the others play on
+   */
+  resign() {
+    const { engine } = this.local;
+    if (this.over || engine.gameOver) return;
+
+    this.resignedAt = engine.ticks;
+    this.outbox.resigned = engine.ticks;
+    this.forfeit(this.local);
+    this.flush();
+    this.checkEnd();
+  }
+
+  /**
+   * Sends attacking rows to their target's client
+   * @param {Object} target - Player under attack
+   * @param {number} rows - Rows sent
+   */
+  sendGarbage(target, rows) {
+    this.send({ type: 'attack', to: target.id, rows });
+  }
+
+  /**
+   * Raises the local board's incoming garbage and streams the rise so the copies match
+   * @param {Object} player - The local player
+   */
+  raiseGarbage(player) {
+    const gap = this.rng.nextInt(player.engine.rules.width);
+    this.outbox.garbage.push([player.engine.ticks, player.incoming, gap]);
+    super.raiseGarbage(player, gap);
+  }
+
+  /**
+   * Handles a match message relayed from another player
+   * @param {Object} message - Message with the sender's id in from
+   */
+  receive(message) {
+    const player = this.players.find(other => other.id === message.from);
+    if (!player || player.local) return;
+
+    switch (message.type) {
+      case 'frame':
+        if (this.isFrame(player, message)) this.receiveFrame(player, message);
+        break;
+      case 'attack':
+        if (Number.isInteger(message.rows) && message.rows > 0 && !this.local.engine.gameOver) {
+          this.setIncoming(this.local, Math.min(this.local.incoming + message.rows, OnlineMatch.MAX_INCOMING));
+        }
+        break;
+      case 'resync':
+        this.sendSnapshot(player);
+        break;
+      case 'snapshot':
+        this.receiveSnapshot(player, message);
+        break;
+    }
+    this.checkEnd();
+  }
+
+  /**
+   * Queues a stream frame for a board's copy and simulates the copy up to it
+   * @param {Object} player - Owner of the board
+   * @param {Object} frame - Frame message {tick, changes, garbage, hashes, resigned, incoming, sent, finished}
+   */
+  receiveFrame(player, frame) {
+    const { stream } = player;
+    stream.changes.push(...frame.changes);
+    stream.garbage.push(...frame.garbage);
+    frame.hashes.forEach(([tick, hash]) => stream.hashes.set(tick, hash));
+    if (frame.resigned !== null) stream.resignedAt = frame.resigned;
+    stream.known = Math.max(stream.known, frame.tick);
+    player.sent = frame.sent;
+    if (frame.incoming !== player.incoming) this.setIncoming(player, frame.incoming);
+
+    this.catchUp(player);
+  }
+
+  /**
+   * Simulates a board's copy as far as its stream has arrived, checking the owner's hashes on the way
+   * @param {Object} player - Owner of the board
+   */
+  catchUp(player) {
+    const { engine, stream } = player;
+
+    while (!stream.resyncing && !engine.gameOver && engine.ticks < stream.known) {
+      if (stream.resignedAt !== null && engine.ticks >= stream.resignedAt) break;
+      while (stream.changes.length > 0 && stream.changes[0][0] <= engine.ticks) {
+        stream.action = stream.changes.shift()[1];
+      }
+      engine.tick(stream.action);
+      while (stream.garbage.length > 0 && stream.garbage[0][0] <= engine.ticks) {
+        const [, rows, gap] = stream.garbage.shift();
+        engine.receiveGarbage(rows, gap);
+      }
+
+      const expected = stream.hashes.get(engine.ticks);
+      stream.hashes.delete(engine.ticks);
+      if (expected !== undefined && expected !== engine.grid.hashBlocks()) {
+        this.requestResync(player);
+      }
+    }
+
+    if (!stream.resyncing && stream.resignedAt !== null && engine.ticks >= stream.resignedAt) {
+      this.forfeit(player);
+    }
+    // Only the owner resolves a board's attacks
+    player.locks = [];
+  }
+
+  /**
+   * Asks the owner of a board whose copy went out of step for a snapshot
+   * @param {Object} player - Owner of the board
+   */
+  requestResync(player) {
+    this.desyncs++;
+    player.stream.resyncing = true;
+    console.warn(`Board of ${player.name} is out of step; requesting a snapshot`);
+    this.send({ type: 'resync', to: player.id });
+  }
+
+  /**
+   * Sends the local board's full state to a player whose copy went out of step
+   * @param {Object} player - Player who asked
+   */
+  sendSnapshot(player) {
+    // Flush first so the snapshot picks up exactly where the stream leaves off
+    this.flush();
+    this.send({
+      type: 'snapshot',
+      to: player.id,
+      tick: this.local.engine.ticks,
+      engine: this.local.engine.serialize(),
+      action: this.lastAction
+    });
+  }
+
+  /**
+   * Replaces a board's copy with its owner's snapshot and carries on from there
+   * @param {Object} player - Owner of the board
+   * @param {Object} message - Snapshot message {tick, engine, action}
+   */
+  receiveSnapshot(player, message) {
+    const { engine, stream } = player;
+    if (!this.isTickInReach(message.tick) || !Engine.isAction(message.action)) {
+      console.warn(`Ignoring a malformed snapshot of the board of ${player.name}`);
+      return;
+    }
+    try {
+      engine.restore(message.engine);
+    } catch (e) {
+      console.warn(`Could not restore the board of ${player.name}:`, e.message);
+      return;
+    }
+
+    stream.changes = stream.changes.filter(([tick]) => tick >= message.tick);
+    stream.garbage = stream.garbage.filter(([tick]) => tick > message.tick);
+    for (const tick of stream.hashes.keys()) {
+      if (tick <= message.tick) stream.hashes.delete(tick);
+    }
+    stream.action = message.action;
+    stream.known = Math.max(stream.known, message.tick);
+    stream.resyncing = false;
+    this.catchUp(player);
+  }
+
+  /**
+   * Treats a player who left the room as resigned
+   * @param {string} id - Id of the player who left
+   */
+  removePlayer(id) {
+    const player = this.players.find(other => other.id === id);
+    if (!player || player.local) return;
+
+    player.stream.resyncing = true;     // Nothing more will arrive
+    this.forfeit(player);
+    this.checkEnd();
+  }
+
+  /**
+   * Ends a player's game as a loss, even in modes where ending a session counts as finishing it
+   * @param {Object} player - Player who resigned or left
+   */
+  forfeit(player) {
+    if (player.engine.gameOver) return;
+
+    player.engine.resign();
+    if (player.outcome) player.outcome.won = false;
+  }
+
+  /**
+   * Ends the match once it is decided on every board
+   * Boards run at their owners' pace, so a goal only wins once every board
+   * still in play has been simulated at least that far without reaching it.
+   */
+  checkEnd() {
+    if (this.over) return;
+
+    const standing = this.players.filter(player => !player.engine.gameOver);
+    const horizon = Math.min(...standing.map(player => player.engine.ticks));
+    const winners = this.players.filter(player => player.outcome && player.outcome.won && player.engine.ticks <= horizon);
+
+    if (winners.length > 0) {
+      const first = Math.min(...winners.map(player => player.engine.ticks));
+      this.finish(winners.filter(player => player.engine.ticks === first));
+    } else if (standing.length === 1 && this.players.length > 1) {
+      this.finish(standing);
+    } else if (standing.length === 0) {
+      // Whoever lasted longest
+      const last = Math.max(...this.players.map(player => player.engine.ticks));
+      this.finish(this.players.filter(player => player.engine.ticks === last));
+    }
+  }
+
+  /**
+   * Checks that a relayed frame has the expected shape and can be simulated
+   * Inputs must be engine actions and garbage rises must fit the owner's board,
+   * so a bad frame cannot corrupt the copy, and the frame may not run further
+   * ahead than the copy can be caught up in one go (see isTickInReach()).
+   * @param {Object} player - Owner of the board
+   * @param {Object} frame - Frame message
+   * @returns {boolean} True if the frame can be queued
+   */
+  isFrame(player, frame) {
+    const isTick = value => Number.isInteger(value) && value >= 0;
+    const isRows = value => Number.isInteger(value) && value >= 0 && value <= OnlineMatch.MAX_INCOMING;
+    const isGap = value => Number.isInteger(value) && value >= 0 && value < player.engine.rules.width;
+    const isChange = entry => Array.isArray(entry) && entry.length === 2 && isTick(entry[0]) && Engine.isAction(entry[1]);
+    const isRise = entry => Array.isArray(entry) && entry.length === 3 &&
+      isTick(entry[0]) && isRows(entry[1]) && entry[1] > 0 && isGap(entry[2]);
+    return this.isTickInReach(frame.tick) &&
+      Array.isArray(frame.changes) && frame.changes.every(isChange) &&
+      Array.isArray(frame.garbage) && frame.garbage.every(isRise) &&
+      Array.isArray(frame.hashes) && frame.hashes.every(entry => Array.isArray(entry) && isTick(entry[0])) &&
+      (frame.resigned === null || isTick(frame.resigned)) &&
+      isRows(frame.incoming) && isTick(frame.sent);
+  }
+
+  /**
+   * Checks that another board's tick is no further than MAX_LEAD ahead of the match clock
+   * @param {*} tick - Tick a frame or snapshot brings a board up to
+   * @returns {boolean} True for a tick the board's copy may be simulated up to
+   */
+  isTickInReach(tick) {
+    return Number.isInteger(tick) && tick >= 0 && tick <= this.ticks + OnlineMatch.MAX_LEAD;
+  }
+
+  /**
+   * Creates an empty batch of local stream entries
+   * @returns {Object} Batch {changes, garbage, hashes, resigned}
+   */
+  static emptyOutbox() {
+    return { changes: [], garbage: [], hashes: [], resigned: null };
+  }
+}
+
+// Ticks between block hashes in each board's stream (5 seconds)
+OnlineMatch.HASH_INTERVAL = 300;
+
+// Most garbage rows that can wait on a board
+OnlineMatch.MAX_INCOMING = 40;
+
+// Most ticks another board may run ahead of the local match clock (one minute)
+OnlineMatch.MAX_LEAD = 3600;
@@ -0,0 +1,96 @@
+/**
+ * Random Class
+ * Seedable pseudo-random number generator (mulberry32).
+ * A single instance is owned by each game and shared by every component that
+ * needs randomness, so a game can be reproduced exactly from its seed.
+ */
+class Random {
+  /**
+   * Creates a new generator
+   * @param {number|string} seed - Initial seed (a fresh random seed when omitted)
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.seed = 0;                      // Seed the generator was last reset with
+    this.state = 0;                     // Internal 32-bit generator state
+    this.setSeed(seed);
+  }
+
+  /**
+   * Produces a fresh seed for a new game
+   * The only place game logic is allowed to touch Math.random
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Converts user-supplied seed input into an unsigned 32-bit integer
+   * Numeric input is used as-is, any other text is hashed (FNV-1a)
+   * @param {number|string} value - Seed as a number or text
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return Math.floor(value) >>> 0;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Restarts the sequence from a new seed
+   * @param {number|string} seed - The seed to use
+   */
+  setSeed(seed) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns the next value in the sequence
+   * @returns {number} Float in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns a random integer in the range [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Returns the internal state so the sequence can be resumed later
+   * @returns {number} Current generator state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restores a state previously returned by getState()
+   * @param {number} state - Generator state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
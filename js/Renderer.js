@@ -2,16 +2,27 @@
  * Renderer Class
  * Handles all game rendering operations using the HTML5 Canvas API.
  * Responsible for drawing the grid, snake, food, static blocks, and HUD.
+ * Several boards (split-screen play) are laid out side by side on the one
+ * canvas, each with its own HUD, separated by a gap one cell wide.
  */
 class Renderer {
   /**
    * Creates a renderer for the game
    * @param {HTMLCanvasElement} canvas - The canvas element to render on
+   * @param {Object} rules - Rule options of the game to draw, for the board size
    */
-  constructor(canvas) {
+  constructor(canvas, rules = Engine.normalizeRules()) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.cellSize = config.CELL_SIZE;
+    this.rules = rules;                 // Rules the canvas is currently sized for
+    this.boardCount = 1;                // Number of boards laid out side by side
+    this.showGhost = true;              // Whether to draw the ghost projection under the snake
+    this.showGrid = true;               // Whether to draw the grid lines
+    this.screenShake = true;            // Whether collisions and explosions shake the board
+    this.animations = true;             // Whether glow and pulse effects animate
+    this.callouts = [];                 // Score callouts on screen per board: lists of {text, points, age}
+    this.incoming = [];                 // Versus garbage rows waiting to rise, per board
     this.resizeCanvas();
     
     // Create gradient patterns for game elements
@@ -75,10 +86,46 @@ class Renderer {
            ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
   }
   /**
-   * Resizes the canvas based on window dimensions
+   * Switches to the rules of another game, resizing the canvas if the board size changed
+   * @param {Object} rules - Rule options of the game to draw
+   */
+  setRules(rules) {
+    const resized = rules.width !== this.rules.width || rules.height !== this.rules.height;
+    this.rules = rules;
+    if (resized) {
+      this.resizeCanvas();
+    }
+  }
+
+  /**
+   * Sets how many boards are laid out side by side, resizing the canvas if it changed
+   * @param {number} count - Number of boards
+   */
+  setBoardCount(count) {
+    if (count === this.boardCount) return;
+    
+    this.boardCount = count;
+    this.callouts = [];
+    this.incoming = [];
+    this.resizeCanvas();
+  }
+
+  /**
+   * Width of one board (and its HUD) in pixels
+   * @returns {number} Board width
+   */
+  boardPixelWidth() {
+    return this.rules.width * this.cellSize;
+  }
+
+  /**
+   * Resizes the canvas based on window dimensions and the board size
    * Adjusts cell size for responsive layout
    */
   resizeCanvas() {
+    // All boards share the rules' size; the layout is measured in cells, gaps included
+    const width = this.boardCount * this.rules.width + (this.boardCount - 1) * Renderer.BOARD_GAP;
+    const { height } = this.rules;
     const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
                      ('ontouchstart' in window) ||
                      (window.matchMedia && window.matchMedia("(pointer: coarse)").matches);
@@ -92,18 +139,29 @@ class Renderer {
       const availableHeight = screenHeight - 160; // Account for mobile controls
       
       // Calculate optimal scale based on screen dimensions
-      const scaleByWidth = Math.floor(screenWidth / config.GRID_WIDTH);
-      const scaleByHeight = Math.floor(availableHeight / (config.GRID_HEIGHT + config.HUD_HEIGHT / config.CELL_SIZE));
+      const scaleByWidth = Math.floor(screenWidth / width);
+      const scaleByHeight = Math.floor(availableHeight / (height + config.HUD_HEIGHT / config.CELL_SIZE));
       scale = Math.max(12, Math.min(scaleByWidth, scaleByHeight));
     } else {
-      // Desktop scaling
-      scale = window.innerWidth < 600 ? 20 : config.CELL_SIZE;
+      // Desktop scaling, shrinking the cells of large boards to fit the window
+      const preferred = window.innerWidth < 600 ? 20 : config.CELL_SIZE;
+      const scaleByWidth = Math.floor(window.innerWidth * 0.95 / width);
+      const scaleByHeight = Math.floor((window.innerHeight - config.HUD_HEIGHT - 40) / height);
+      scale = Math.max(12, Math.min(preferred, scaleByWidth, scaleByHeight));
     }
     
-    this.canvas.width = scale * config.GRID_WIDTH;
-    this.canvas.height = scale * config.GRID_HEIGHT + config.HUD_HEIGHT;
+    this.canvas.width = scale * width;
+    this.canvas.height = scale * height + config.HUD_HEIGHT;
     this.cellSize = scale;
     
+    // Size the container to the board (the stylesheet's variables default to the classic board)
+    const container = this.canvas.parentElement;
+    if (container) {
+      container.style.setProperty('--cell-size', `${scale}px`);
+      container.style.setProperty('--grid-width', width);
+      container.style.setProperty('--grid-height', height);
+    }
+    
     // Apply CSS to ensure proper display on mobile
     if (isMobile) {
       this.canvas.style.width = '100%';
@@ -118,26 +176,181 @@ class Renderer {
 
   /**
    * Main render function that draws the complete game state
-   * @param {Snake} snake - The snake object
-   * @param {Grid} grid - The grid object containing static blocks and food
-   * @param {number} score - Current game score
-   * @param {number} level - Current game level
+   * @param {Engine} engine - The engine whose game should be drawn
+   */
+  render(engine) {
+    this.renderBoards([engine]);
+  }
+
+  /**
+   * Draws several games side by side, e.g. the players of a split-screen match
+   * The boards are sized for the first engine's rules; all must share its board size.
+   * @param {Array<Engine>} engines - Engines to draw, left to right
+   * @param {Array<string>} labels - Name shown on each board (none when omitted)
    */
-  render(snake, grid, score, level) {
+  renderBoards(engines, labels = []) {
+    if (engines[0].rules !== this.rules) {
+      this.setRules(engines[0].rules);
+    }
+    this.setBoardCount(engines.length);
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     
-    // Update animation values
+    // Update animation values (the frame counter keeps running for blinking, which carries information)
     this.animationFrame = (this.animationFrame + 1) % 60;
-    this.glowIntensity += 0.05 * this.glowDirection;
-    if (this.glowIntensity > 1 || this.glowIntensity < 0) {
-      this.glowDirection *= -1;
+    if (this.animations) {
+      this.glowIntensity += 0.05 * this.glowDirection;
+      if (this.glowIntensity > 1 || this.glowIntensity < 0) {
+        this.glowDirection *= -1;
+      }
+    } else {
+      this.glowIntensity = 0.5;
     }
     
-    this.drawGrid();
+    const offset = (this.rules.width + Renderer.BOARD_GAP) * this.cellSize;
+    engines.forEach((engine, i) => {
+      this.ctx.save();
+      this.ctx.translate(i * offset, 0);
+      this.drawBoard(engine, i, labels[i]);
+      this.ctx.restore();
+    });
+    
+    // Fill the gaps between boards
+    this.ctx.fillStyle = "#2a2a45";
+    for (let i = 1; i < engines.length; i++) {
+      this.ctx.fillRect(i * offset - Renderer.BOARD_GAP * this.cellSize, 0, Renderer.BOARD_GAP * this.cellSize, this.canvas.height);
+    }
+  }
+
+  /**
+   * Draws one game at the origin of the current transform
+   * @param {Engine} engine - The engine whose game should be drawn
+   * @param {number} board - Index of the board, for its callouts
+   * @param {string} label - Name to show on the board, if any
+   */
+  drawBoard(engine, board, label) {
+    const { snake, grid } = engine;
+    if (this.showGrid) {
+      this.drawGrid();
+    }
     this.drawStaticBlocks(grid.staticBlocks);
+    if (this.showGhost && !engine.gameOver) {
+      this.drawGhost(engine.getGhost());
+    }
     this.drawSnake(snake.body);
     this.drawFood(grid.food);
-    this.drawHUD(score, level);
+    this.drawPowerUp(grid.powerUp);
+    this.drawCallouts(board);
+    this.drawGarbageMeter(this.incoming[board] || 0);
+    this.drawPowerUpIndicators(engine.getActivePowerUps());
+    if (label) {
+      this.drawBoardLabel(label);
+    }
+    this.drawHUD(engine.getHudFields(), engine.getPreview(), { spec: engine.heldSpec, available: engine.canHold });
+  }
+
+  /**
+   * Draws a board's name in its top right corner
+   * @param {string} label - Name to show
+   */
+  drawBoardLabel(label) {
+    this.ctx.save();
+    this.ctx.font = "bold 14px Poppins, sans-serif";
+    this.ctx.textAlign = "right";
+    this.ctx.textBaseline = "top";
+    this.ctx.globalAlpha = 0.7;
+    this.ctx.fillStyle = "#f0f0f0";
+    this.ctx.fillText(label, this.boardPixelWidth() - 8, 8);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the versus incoming-garbage meter: a bar up the board's left edge, one cell per waiting row
+   * @param {number} rows - Garbage rows waiting to rise
+   */
+  drawGarbageMeter(rows) {
+    if (rows <= 0) return;
+    
+    const boardHeight = this.rules.height * this.cellSize;
+    const height = Math.min(rows * this.cellSize, boardHeight);
+    const width = Math.max(3, this.cellSize / 5);
+    
+    this.ctx.save();
+    this.ctx.fillStyle = "#ff3355";
+    this.ctx.shadowColor = "#ff3355";
+    this.ctx.shadowBlur = 8 * this.glowIntensity;
+    this.ctx.fillRect(0, boardHeight - height, width, height);
+    this.ctx.restore();
+  }
+
+  /**
+   * Subscribes to game events that trigger visual effects
+   * @param {EventEmitter} events - The game event bus
+   * @param {number} board - Index of the board the game is drawn on
+   */
+  subscribe(events, board = 0) {
+    events.on('collision', () => this.shake());
+    events.on('bomb', () => this.shake());
+    events.on('hardDrop', () => this.shake());
+    events.on('lineBlasted', () => this.shake());
+    events.on('scored', event => this.addCallouts(event.awards, board));
+    events.on('garbageIncoming', event => { this.incoming[board] = event.incoming; });
+    events.on('start', () => {
+      this.callouts = [];
+      this.incoming = [];
+    });
+  }
+
+  /**
+   * Queues callouts for score awards, replacing any still on the board
+   * @param {Array<Object>} awards - Awards as {label, points}
+   * @param {number} board - Index of the board that scored
+   */
+  addCallouts(awards, board = 0) {
+    this.callouts[board] = awards.map(award => ({ text: award.label, points: award.points, age: 0 }));
+  }
+
+  /**
+   * Draws a board's score callouts stacked over its middle, drifting up and fading out
+   * @param {number} board - Index of the board
+   */
+  drawCallouts(board = 0) {
+    const callouts = this.callouts[board] || [];
+    if (callouts.length === 0) return;
+    
+    const centerX = this.rules.width * this.cellSize / 2;
+    const baseY = this.rules.height * this.cellSize * 0.4;
+    const fontSize = Math.max(16, this.cellSize * 0.9);
+    
+    this.ctx.save();
+    this.ctx.textAlign = "center";
+    this.ctx.font = `bold ${fontSize}px Poppins, sans-serif`;
+    this.ctx.shadowBlur = 10;
+    
+    callouts.forEach((callout, i) => {
+      const progress = callout.age / Renderer.CALLOUT_FRAMES;
+      const y = baseY + i * fontSize * 1.3 - progress * this.cellSize * 2;
+      this.ctx.globalAlpha = 1 - progress * progress;
+      this.ctx.shadowColor = i % 2 === 0 ? "#4d61fc" : config.COLORS.SNAKE;
+      this.ctx.fillStyle = "#f0f0f0";
+      this.ctx.fillText(`${callout.text} +${callout.points}`, centerX, y);
+      callout.age++;
+    });
+    
+    this.ctx.restore();
+    this.callouts[board] = callouts.filter(callout => callout.age < Renderer.CALLOUT_FRAMES);
+  }
+
+  /**
+   * Adds a brief screen shake effect to the canvas container
+   */
+  shake() {
+    const container = this.canvas.parentElement;
+    if (!container || !this.screenShake) return;
+    
+    container.classList.add('shake');
+    setTimeout(() => {
+      container.classList.remove('shake');
+    }, 300);
   }
 
   /**
@@ -156,18 +369,18 @@ class Renderer {
     this.ctx.globalAlpha = 0.5;
     
     // Draw vertical lines
-    for (let x = 0; x <= config.GRID_WIDTH; x++) {
+    for (let x = 0; x <= this.rules.width; x++) {
       this.ctx.beginPath();
       this.ctx.moveTo(x * this.cellSize, 0);
-      this.ctx.lineTo(x * this.cellSize, config.GRID_HEIGHT * this.cellSize);
+      this.ctx.lineTo(x * this.cellSize, this.rules.height * this.cellSize);
       this.ctx.stroke();
     }
     
     // Draw horizontal lines
-    for (let y = 0; y <= config.GRID_HEIGHT; y++) {
+    for (let y = 0; y <= this.rules.height; y++) {
       this.ctx.beginPath();
       this.ctx.moveTo(0, y * this.cellSize);
-      this.ctx.lineTo(config.GRID_WIDTH * this.cellSize, y * this.cellSize);
+      this.ctx.lineTo(this.rules.width * this.cellSize, y * this.cellSize);
       this.ctx.stroke();
     }
     
@@ -183,6 +396,11 @@ class Renderer {
     for (const [pos, color] of staticBlocks) {
       const [x, y] = pos.split(",").map(Number);
       
+      if (color === config.COLORS.GARBAGE) {
+        this.drawGarbageBlock(x, y);
+        continue;
+      }
+      
       // Create block gradient for each static block
       const blockGradient = this.ctx.createLinearGradient(
         x * this.cellSize, y * this.cellSize,
@@ -196,6 +414,38 @@ class Renderer {
     }
   }
   
+  /**
+   * Draws a garbage block: flat grey with diagonal hatching, so it stands apart from locked snakes
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  drawGarbageBlock(x, y) {
+    const cellX = x * this.cellSize;
+    const cellY = y * this.cellSize;
+    const size = this.cellSize;
+    
+    this.ctx.save();
+    this.drawRoundedCell(x, y, config.COLORS.GARBAGE, 1);
+    
+    // Clip the hatching to the cell
+    this.ctx.beginPath();
+    this.ctx.rect(cellX, cellY, size, size);
+    this.ctx.clip();
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+    this.ctx.lineWidth = 2;
+    this.ctx.beginPath();
+    for (let offset = -size; offset < size; offset += size / 3) {
+      this.ctx.moveTo(cellX + offset, cellY + size);
+      this.ctx.lineTo(cellX + offset + size, cellY);
+    }
+    this.ctx.stroke();
+    
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(cellX + 0.5, cellY + 0.5, size - 1, size - 1);
+    this.ctx.restore();
+  }
+
   /**
    * Draws a textured block at the specified position
    * @param {number} x - X coordinate
@@ -271,6 +521,30 @@ class Renderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draws the ghost projection as faint outlined cells
+   * @param {Array} cells - Projected cell positions {x, y}
+   */
+  drawGhost(cells) {
+    this.ctx.save();
+    this.ctx.globalAlpha = 0.25;
+    this.ctx.fillStyle = config.COLORS.SNAKE;
+    this.ctx.strokeStyle = this.snakePattern.lighterColor;
+    this.ctx.lineWidth = 2;
+    
+    for (const cell of cells) {
+      if (cell.y < 0) continue;
+      const inset = 3;
+      const x = cell.x * this.cellSize + inset;
+      const y = cell.y * this.cellSize + inset;
+      const size = this.cellSize - inset * 2;
+      this.ctx.fillRect(x, y, size, size);
+      this.ctx.strokeRect(x, y, size, size);
+    }
+    
+    this.ctx.restore();
+  }
+
   /**
    * Draws the snake on the grid
    * @param {Array} snakeBody - Array of snake segment positions
@@ -414,35 +688,174 @@ class Renderer {
   drawFood(food) {
     if (!food) return;
     
+    // Timed food blinks during its last few moves
+    if (food.ttl !== null && food.ttl <= Renderer.FOOD_BLINK_MOVES && this.animationFrame % 20 < 8) {
+      return;
+    }
+    
+    const type = FoodTypes[food.kind] || FoodTypes.normal;
+    
+    this.ctx.save();
+    
     // Draw glow effect
-    this.ctx.shadowColor = config.COLORS.FOOD;
+    this.ctx.shadowColor = type.color;
     this.ctx.shadowBlur = 15 * this.glowIntensity;
     
     // Pulsating size based on animation frame
-    const pulseSize = 0.15 * Math.sin(this.animationFrame * 0.1) + 0.85;
+    const pulseSize = this.animations ? 0.15 * Math.sin(this.animationFrame * 0.1) + 0.85 : 1;
     
     // Calculate center and size
     const centerX = (food.x + 0.5) * this.cellSize;
     const centerY = (food.y + 0.5) * this.cellSize;
     const radius = (this.cellSize / 2) * pulseSize;
     
-    // Draw circular food
-    this.ctx.beginPath();
-    this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-    
     // Create dynamic food gradient
     const foodGradient = this.ctx.createRadialGradient(
       centerX, centerY, radius * 0.2,
       centerX, centerY, radius
     );
-    foodGradient.addColorStop(0, this.adjustColor(config.COLORS.FOOD, 30));
-    foodGradient.addColorStop(1, config.COLORS.FOOD);
-    
+    foodGradient.addColorStop(0, this.adjustColor(type.color, 30));
+    foodGradient.addColorStop(1, type.color);
     this.ctx.fillStyle = foodGradient;
-    this.ctx.fill();
     
-    // Reset shadow
+    // Each special food gets its own shape or marking
+    this.ctx.beginPath();
+    switch (food.kind) {
+      case FoodTypes.golden.id:
+        this.traceStar(centerX, centerY, radius, radius * 0.45, 5);
+        this.ctx.fill();
+        break;
+      case FoodTypes.shrink.id:
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.drawFoodMark(centerX, centerY, radius, [[-0.5, 0, 0.5, 0]]);
+        break;
+      case FoodTypes.bomb.id:
+        this.ctx.arc(centerX, centerY + radius * 0.1, radius * 0.85, 0, Math.PI * 2);
+        this.ctx.fill();
+        // Fuse with a flickering spark
+        this.ctx.shadowBlur = 0;
+        this.drawFoodMark(centerX, centerY, radius, [[0.3, -0.6, 0.6, -0.95]]);
+        this.ctx.fillStyle = this.animationFrame % 10 < 5 ? "#ffcc00" : "#ff5500";
+        this.ctx.beginPath();
+        this.ctx.arc(centerX + radius * 0.6, centerY - radius * 0.95, radius * 0.18, 0, Math.PI * 2);
+        this.ctx.fill();
+        break;
+      case FoodTypes.slow.id:
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        // Clock hands
+        this.drawFoodMark(centerX, centerY, radius, [[0, 0, 0, -0.55], [0, 0, 0.4, 0]]);
+        break;
+      default:
+        this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+    
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws the power-up waiting on the grid as a glowing tile with its symbol
+   * @param {Object|null} item - Power-up on the grid {x, y, kind, ttl}, or null
+   */
+  drawPowerUp(item) {
+    if (!item) return;
+    
+    // Blinks during its last few moves, like timed food
+    if (item.ttl <= Renderer.FOOD_BLINK_MOVES && this.animationFrame % 20 < 8) return;
+    
+    const powerUp = PowerUp.get(item.kind);
+    const size = this.cellSize;
+    
+    this.ctx.save();
+    this.ctx.shadowColor = powerUp.color;
+    this.ctx.shadowBlur = 8 + 10 * this.glowIntensity;
+    this.drawRoundedCell(item.x, item.y, powerUp.color, size * 0.25);
+    
     this.ctx.shadowBlur = 0;
+    this.ctx.fillStyle = "#0f0f1a";
+    this.ctx.font = `bold ${Math.floor(size * 0.6)}px Poppins, sans-serif`;
+    this.ctx.textAlign = "center";
+    this.ctx.textBaseline = "middle";
+    this.ctx.fillText(powerUp.symbol, (item.x + 0.5) * size, (item.y + 0.5) * size + 1);
+    this.ctx.restore();
+  }
+
+  /**
+   * Draws a labelled countdown bar for each active power-up in the top-left corner of the board
+   * @param {Array<Object>} active - Entries {name, color, ticksLeft, duration}
+   */
+  drawPowerUpIndicators(active) {
+    if (active.length === 0) return;
+    
+    const width = Math.min(150, this.rules.width * this.cellSize * 0.4);
+    const height = 18;
+    
+    this.ctx.save();
+    this.ctx.font = "bold 12px Poppins, sans-serif";
+    this.ctx.textBaseline = "middle";
+    
+    active.forEach((entry, i) => {
+      const x = 8;
+      const y = 8 + i * (height + 6);
+      const remaining = entry.ticksLeft / entry.duration;
+      
+      this.ctx.fillStyle = "rgba(15, 15, 26, 0.75)";
+      this.ctx.fillRect(x, y, width, height);
+      this.ctx.fillStyle = entry.color;
+      this.ctx.globalAlpha = 0.6;
+      this.ctx.fillRect(x, y, width * remaining, height);
+      this.ctx.globalAlpha = 1;
+      
+      const seconds = (entry.ticksLeft / config.TICKS.RATE).toFixed(1);
+      this.ctx.fillStyle = "#f0f0f0";
+      this.ctx.fillText(`${entry.name} ${seconds}s`, x + 6, y + height / 2);
+    });
+    
+    this.ctx.restore();
+  }
+
+  /**
+   * Traces a star path centered on a point
+   * @param {number} cx - Center X in pixels
+   * @param {number} cy - Center Y in pixels
+   * @param {number} outer - Radius of the points
+   * @param {number} inner - Radius of the notches
+   * @param {number} points - Number of points
+   */
+  traceStar(cx, cy, outer, inner, points) {
+    for (let i = 0; i < points * 2; i++) {
+      const angle = (Math.PI * i) / points - Math.PI / 2;
+      const r = i % 2 === 0 ? outer : inner;
+      const x = cx + Math.cos(angle) * r;
+      const y = cy + Math.sin(angle) * r;
+      if (i === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
+    }
+    this.ctx.closePath();
+  }
+
+  /**
+   * Draws light line markings on a food item
+   * @param {number} cx - Center X in pixels
+   * @param {number} cy - Center Y in pixels
+   * @param {number} radius - Food radius in pixels
+   * @param {Array<Array<number>>} lines - Lines as [x1, y1, x2, y2] in units of the radius
+   */
+  drawFoodMark(cx, cy, radius, lines) {
+    this.ctx.strokeStyle = "#f0f0f0";
+    this.ctx.lineWidth = Math.max(2, radius * 0.2);
+    this.ctx.lineCap = "round";
+    this.ctx.beginPath();
+    for (const [x1, y1, x2, y2] of lines) {
+      this.ctx.moveTo(cx + x1 * radius, cy + y1 * radius);
+      this.ctx.lineTo(cx + x2 * radius, cy + y2 * radius);
+    }
+    this.ctx.stroke();
   }
 
   /**
@@ -492,13 +905,14 @@ class Renderer {
   }
 
   /**
-   * Draws the heads-up display with score and level
-   * @param {number} score - Current score
-   * @param {number} level - Current level
+   * Draws the heads-up display with the current mode's fields
+   * @param {Array<Object>} fields - Fields to show as {label, value}
+   * @param {Array<Object>} preview - Upcoming snake specs, next one first
+   * @param {Object|null} hold - Hold slot as {spec, available}, or null to hide it
    */
-  drawHUD(score, level) {
+  drawHUD(fields, preview = [], hold = null) {
     // Draw HUD background
-    const hudY = config.GRID_HEIGHT * this.cellSize;
+    const hudY = this.rules.height * this.cellSize;
     
     // Create gradient for HUD
     const hudGradient = this.ctx.createLinearGradient(0, hudY, 0, this.canvas.height);
@@ -506,28 +920,123 @@ class Renderer {
     hudGradient.addColorStop(1, "#1a1a2e");
     
     this.ctx.fillStyle = hudGradient;
-    this.ctx.fillRect(0, hudY, this.canvas.width, config.HUD_HEIGHT);
+    this.ctx.fillRect(0, hudY, this.boardPixelWidth(), config.HUD_HEIGHT);
     
     // Add a subtle divider line
     this.ctx.strokeStyle = "#2a2a45";
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
     this.ctx.moveTo(0, hudY);
-    this.ctx.lineTo(this.canvas.width, hudY);
+    this.ctx.lineTo(this.boardPixelWidth(), hudY);
     this.ctx.stroke();
     
-    // Draw score and level text with glow
-    this.ctx.shadowColor = "#4d61fc";
-    this.ctx.shadowBlur = 5;
+    // Draw the fields as stacked lines, shrinking the text when there are more than two
+    const fontSize = Math.min(this.cellSize * 0.8, (config.HUD_HEIGHT - 10) / fields.length * 0.7);
+    const lineHeight = fontSize * 1.15;
     this.ctx.fillStyle = "#f0f0f0";
-    this.ctx.font = `bold ${this.cellSize * 0.8}px Poppins, sans-serif`;
-    this.ctx.fillText(`Score: ${score}`, 10, hudY + this.cellSize * 0.9);
+    this.ctx.font = `bold ${fontSize}px Poppins, sans-serif`;
+    this.ctx.shadowBlur = 5;
     
-    // Draw level with a different glow
-    this.ctx.shadowColor = config.COLORS.SNAKE;
-    this.ctx.fillText(`Level: ${level}`, 10, hudY + this.cellSize * 1.8);
+    fields.forEach(({ label, value }, i) => {
+      // Alternate the glow between the accent blue and the snake green
+      this.ctx.shadowColor = i % 2 === 0 ? "#4d61fc" : config.COLORS.SNAKE;
+      this.ctx.fillText(`${label}: ${value}`, 10, hudY + lineHeight * (i + 1));
+    });
     
     // Reset shadow
     this.ctx.shadowBlur = 0;
+    
+    const previewLeft = this.drawPreview(preview, hudY);
+    if (hold) {
+      this.drawHoldBox(hold, hudY, previewLeft - 20);
+    }
+  }
+
+  /**
+   * Draws the upcoming snakes as small vertical columns in the right of the HUD
+   * @param {Array<Object>} preview - Upcoming snake specs, next one first
+   * @param {number} hudY - Top of the HUD area
+   * @returns {number} Left edge of the preview area
+   */
+  drawPreview(preview, hudY) {
+    const right = this.boardPixelWidth() - 15;
+    if (preview.length === 0) return right;
+    
+    const labelSize = 14;
+    const maxLength = Math.max(...preview.map(spec => spec.length));
+    const cell = Math.min(this.cellSize * 0.5, (config.HUD_HEIGHT - labelSize - 20) / maxLength);
+    const gap = cell * 0.8;
+    const width = preview.length * cell + (preview.length - 1) * gap;
+    const left = right - width;
+    const top = hudY + labelSize + 12;
+    
+    this.ctx.save();
+    this.ctx.fillStyle = "#f0f0f0";
+    this.ctx.font = `bold ${labelSize}px Poppins, sans-serif`;
+    this.ctx.textAlign = "right";
+    this.ctx.fillText("Next", right, hudY + labelSize + 4);
+    const labelLeft = right - this.ctx.measureText("Next").width;
+    
+    preview.forEach((spec, i) => {
+      const x = left + i * (cell + gap);
+      // The very next snake is drawn at full strength, later ones fade out
+      this.ctx.globalAlpha = i === 0 ? 1 : 0.6 - i * 0.08;
+      for (let j = 0; j < spec.length; j++) {
+        this.ctx.fillStyle = j === 0 ? this.snakePattern.lighterColor : this.snakePattern.bodyColor;
+        this.ctx.fillRect(x, top + j * cell, cell - 1, cell - 1);
+      }
+    });
+    
+    this.ctx.restore();
+    return Math.min(left, labelLeft);
+  }
+
+  /**
+   * Draws the hold slot as a framed box in the HUD
+   * The box is dimmed while hold is unavailable (until the next lock)
+   * @param {Object} hold - Hold slot as {spec, available}
+   * @param {number} hudY - Top of the HUD area
+   * @param {number} right - Right edge of the box
+   */
+  drawHoldBox(hold, hudY, right) {
+    const labelSize = 14;
+    const cell = Math.min(this.cellSize * 0.5, (config.HUD_HEIGHT - labelSize - 20) / 4);
+    const boxWidth = cell * 2.5;
+    const boxHeight = config.HUD_HEIGHT - labelSize - 18;
+    const left = right - boxWidth;
+    const top = hudY + labelSize + 10;
+    
+    this.ctx.save();
+    this.ctx.globalAlpha = hold.available ? 1 : 0.4;
+    this.ctx.fillStyle = "#f0f0f0";
+    this.ctx.font = `bold ${labelSize}px Poppins, sans-serif`;
+    this.ctx.textAlign = "center";
+    this.ctx.fillText("Hold", left + boxWidth / 2, hudY + labelSize + 4);
+    
+    this.ctx.strokeStyle = "#2a2a45";
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeRect(left, top, boxWidth, boxHeight);
+    
+    if (hold.spec) {
+      // Long held snakes are squeezed to fit the box
+      const segment = Math.min(cell, (boxHeight - 8) / hold.spec.length);
+      const x = left + (boxWidth - segment) / 2;
+      const y = top + (boxHeight - segment * hold.spec.length) / 2;
+      for (let j = 0; j < hold.spec.length; j++) {
+        this.ctx.fillStyle = j === 0 ? this.snakePattern.lighterColor : this.snakePattern.bodyColor;
+        this.ctx.fillRect(x, y + j * segment, segment - 1, segment - 1);
+      }
+    }
+    
+    this.ctx.restore();
   }
-} 
\ No newline at end of file
+}
+
+// Gap between side-by-side boards, in cells
+Renderer.BOARD_GAP = 1;
+
+// Frames a score callout stays on screen
+Renderer.CALLOUT_FRAMES = 90;
+
+// Timed food starts blinking when this many moves are left
+Renderer.FOOD_BLINK_MOVES = 10;
@@ -0,0 +1,139 @@
+/**
+ * ReplayPlayer Class
+ * Plays a recorded replay back through an Engine, feeding the recorded
+ * inputs on the exact ticks they were consumed. Supports pause, seeking and
+ * playback speeds from 0.25x to 4x.
+ */
+class ReplayPlayer {
+  /**
+   * Prepares a replay for playback
+   * @param {Engine} engine - Engine to drive (reset to the replay's seed)
+   * @param {Object} replay - Replay produced by ReplayRecorder
+   */
+  constructor(engine, replay) {
+    ReplayRecorder.validate(replay);
+    this.engine = engine;
+    this.replay = replay;
+    this.speed = 1;                     // Playback speed multiplier
+    this.paused = false;                // Whether playback is paused
+    this.scheduler = new TickScheduler(
+      config.TICKS.RATE,
+      config.TICKS.MAX_CATCH_UP * ReplayPlayer.MAX_SPEED
+    );
+    this.rewind();
+  }
+
+  /**
+   * Total length of the replay in ms of game time
+   * @returns {number} Duration in ms
+   */
+  get duration() {
+    return this.replay.ticks * Engine.TICK_MS;
+  }
+
+  /**
+   * Current playback position in ms of game time
+   * @returns {number} Position in ms
+   */
+  get time() {
+    return this.tickIndex * Engine.TICK_MS;
+  }
+
+  /**
+   * Restarts the replay from the beginning
+   */
+  rewind() {
+    this.engine.reset(this.replay.seed, this.replay.mode, this.replay.rules);
+    this.scheduler.reset();
+    this.tickIndex = 0;                 // Next recorded tick to simulate
+    this.inputIndex = 0;                // Next recorded input change to apply
+    this.action = null;                 // Input in effect for the current tick
+  }
+
+  /**
+   * Advances playback by a slice of real time
+   * @param {number} delta - Real time elapsed in ms
+   */
+  update(delta) {
+    if (this.paused || this.isFinished()) return;
+    
+    const ticks = this.scheduler.advance(delta * this.speed);
+    this.advanceTo(this.tickIndex + ticks);
+  }
+
+  /**
+   * Simulates every recorded tick up to a tick index
+   * @param {number} targetTick - Tick index to stop before
+   */
+  advanceTo(targetTick) {
+    const end = Math.min(targetTick, this.replay.ticks);
+    while (this.tickIndex < end) {
+      this.playTick();
+    }
+  }
+
+  /**
+   * Simulates the next recorded tick with its recorded input
+   */
+  playTick() {
+    const inputs = this.replay.inputs;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= this.tickIndex) {
+      this.action = inputs[this.inputIndex].action;
+      this.inputIndex++;
+    }
+    
+    this.engine.tick(this.action);
+    this.tickIndex++;
+  }
+
+  /**
+   * Jumps to a point in the replay
+   * Seeking backwards re-simulates from the seed; no events reach listeners while seeking
+   * @param {number} time - Target game time in ms
+   */
+  seek(time) {
+    const targetTick = Math.round(Math.max(0, Math.min(this.duration, time)) / Engine.TICK_MS);
+    
+    this.engine.silent = true;
+    if (targetTick < this.tickIndex) {
+      this.rewind();
+    }
+    this.advanceTo(targetTick);
+    this.engine.silent = false;
+  }
+
+  /**
+   * Sets the playback speed
+   * @param {number} speed - Speed multiplier, clamped to 0.25x–4x
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(ReplayPlayer.MIN_SPEED, Math.min(ReplayPlayer.MAX_SPEED, Number(speed) || 1));
+  }
+
+  /**
+   * Pauses or resumes playback
+   * @returns {boolean} Whether playback is now paused
+   */
+  togglePause() {
+    // Resuming a finished replay restarts it from the beginning
+    if (this.isFinished()) {
+      this.seek(0);
+      this.paused = false;
+    } else {
+      this.paused = !this.paused;
+    }
+    return this.paused;
+  }
+
+  /**
+   * Checks whether every recorded tick has been played
+   * @returns {boolean} True if playback reached the end
+   */
+  isFinished() {
+    return this.tickIndex >= this.replay.ticks;
+  }
+}
+
+// Supported playback speed range
+ReplayPlayer.MIN_SPEED = 0.25;
+ReplayPlayer.MAX_SPEED = 4;
@@ -0,0 +1,114 @@
+/**
+ * ReplayRecorder Class
+ * Records a game as its seed plus the stream of direction inputs fed to the
+ * engine, timestamped with the logical tick they were consumed on. Since the
+ * engine is deterministic per tick, this is enough to reproduce the game exactly.
+ */
+class ReplayRecorder {
+  /**
+   * Initializes an idle recorder
+   */
+  constructor() {
+    this.replay = null;                 // Replay being recorded (null when idle)
+    this.lastAction = null;             // Input recorded most recently
+  }
+
+  /**
+   * Begins recording a new game
+   * @param {number} seed - Seed the game is played with
+   * @param {string} mode - Id of the game mode
+   * @param {Object} rules - Rule options the game is played with
+   */
+  start(seed, mode, rules = Engine.DEFAULT_RULES) {
+    this.replay = {
+      version: ReplayRecorder.VERSION,
+      seed,
+      mode,
+      rules: { ...rules },
+      tickRate: config.TICKS.RATE,
+      recordedAt: new Date().toISOString(),
+      inputs: [],                       // Input changes: {tick, action}
+      ticks: 0,                         // Length of the game in ticks
+      result: null                      // Final score/level once the game ends
+    };
+    this.lastAction = null;
+  }
+
+  /**
+   * Continues a recording that was saved mid-game
+   * @param {Object} replay - The partial replay to keep appending to
+   */
+  resume(replay) {
+    this.replay = replay;
+    const inputs = replay.inputs;
+    this.lastAction = inputs.length > 0 ? inputs[inputs.length - 1].action : null;
+  }
+
+  /**
+   * Records the input consumed by one engine tick
+   * Only changes are stored; the input stays in effect until the next entry
+   * @param {number} tick - Index of the tick (engine.ticks before ticking)
+   * @param {string|null} action - Direction held during the tick, or null
+   */
+  recordTick(tick, action) {
+    if (!this.replay) return;
+    
+    if (action !== this.lastAction) {
+      this.replay.inputs.push({ tick, action });
+      this.lastAction = action;
+    }
+    this.replay.ticks = tick + 1;
+  }
+
+  /**
+   * Stops recording and returns the finished replay
+   * @param {Engine} engine - Engine the game was played on
+   * @returns {Object|null} The recorded replay, or null if nothing was recording
+   */
+  finish(engine) {
+    const replay = this.replay;
+    if (replay) {
+      replay.ticks = engine.ticks;
+      replay.result = { score: engine.score, level: engine.level, lines: engine.linesCleared };
+    }
+    this.replay = null;
+    return replay;
+  }
+
+  /**
+   * Discards the current recording
+   */
+  cancel() {
+    this.replay = null;
+  }
+
+  /**
+   * Checks that an object is a replay this version can play back
+   * @param {Object} data - Parsed replay data
+   * @throws {Error} If the replay is malformed or from an unsupported version
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Replay file is empty or not an object');
+    }
+    if (data.version !== ReplayRecorder.VERSION) {
+      throw new Error(`Unsupported replay version: ${data.version}`);
+    }
+    if (data.tickRate !== config.TICKS.RATE) {
+      throw new Error(`Replay was recorded at ${data.tickRate} ticks per second`);
+    }
+    if (!Number.isInteger(data.seed) || !Number.isInteger(data.ticks) || !Array.isArray(data.inputs)) {
+      throw new Error('Replay is missing its seed, length or inputs');
+    }
+    if (!GameMode.modes.has(data.mode)) {
+      throw new Error(`Replay uses an unknown game mode: ${data.mode}`);
+    }
+    Engine.normalizeRules(data.rules);
+    if (data.inputs.some(input => !Number.isInteger(input.tick) || !Engine.isAction(input.action))) {
+      throw new Error('Replay contains an invalid input');
+    }
+  }
+}
+
+// Replay format version, bumped whenever the recorded data changes meaning
+ReplayRecorder.VERSION = 9;
@@ -0,0 +1,38 @@
+/**
+ * Rule Presets
+ * Board sizes and movement speeds a game can be played with, keyed by id.
+ * A preset fills in the size and speed options of the Engine's rules object
+ * (see Engine.normalizeRules()); options given explicitly override it.
+ * Speeds are in milliseconds, like the snake's movement delay. How holding a
+ * direction speeds the snake up is the player's handling, not the preset's.
+ */
+const RulePresets = Object.freeze({
+  classic: Object.freeze({
+    id: 'classic',
+    name: 'Classic',
+    width: 20,                          // Number of cells horizontally
+    height: 30,                         // Number of cells vertically
+    moveDelay: 350                      // Base falling speed
+  }),
+  narrow: Object.freeze({
+    id: 'narrow',
+    name: 'Narrow',
+    width: 10,
+    height: 20,
+    moveDelay: 350
+  }),
+  wide: Object.freeze({
+    id: 'wide',
+    name: 'Wide',
+    width: 30,
+    height: 20,
+    moveDelay: 350
+  }),
+  huge: Object.freeze({
+    id: 'huge',
+    name: 'Huge',
+    width: 40,
+    height: 40,
+    moveDelay: 300                      // Slightly faster so crossing the board doesn't drag
+  })
+});
@@ -0,0 +1,91 @@
+/**
+ * SaveManager Class
+ * Persists an in-progress game to localStorage so it can be continued after
+ * the tab is closed. Saves are versioned and validated on load; anything
+ * corrupt or from an incompatible version is discarded rather than restored.
+ */
+class SaveManager {
+  /**
+   * Creates a save manager
+   * @param {string} storageKey - localStorage key holding the save
+   */
+  constructor(storageKey = SaveManager.STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Writes the current game to storage
+   * @param {Engine} engine - Engine holding the game state
+   * @param {Object|null} replay - Replay recorded so far, so recording can continue
+   * @returns {boolean} True if the save was written
+   */
+  save(engine, replay = null) {
+    return LocalStore.write(this.storageKey, {
+      version: SaveManager.VERSION,
+      savedAt: new Date().toISOString(),
+      engine: engine.serialize(),
+      replay
+    });
+  }
+
+  /**
+   * Reads and validates the stored save
+   * A save that fails validation is removed so it is not offered again
+   * @returns {Object|null} The save data, or null if there is no usable save
+   */
+  load() {
+    const data = LocalStore.read(this.storageKey);
+    if (data === null) return null;
+    
+    try {
+      SaveManager.validate(data);
+      return data;
+    } catch (e) {
+      console.warn('Discarding unusable saved game:', e.message);
+      this.clear();
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a usable save exists
+   * @returns {boolean} True if a game can be continued
+   */
+  hasSave() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Deletes the stored save
+   */
+  clear() {
+    LocalStore.remove(this.storageKey);
+  }
+
+  /**
+   * Checks that save data can be restored
+   * @param {Object} data - Parsed save data
+   * @throws {Error} Describing the first problem found
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Save is not an object');
+    }
+    if (data.version !== SaveManager.VERSION) {
+      throw new Error(`Unsupported save version: ${data.version}`);
+    }
+    Engine.validateSnapshot(data.engine);
+    if (data.engine.gameOver) {
+      throw new Error('Save holds a finished game');
+    }
+    if (data.replay !== null) {
+      ReplayRecorder.validate(data.replay);
+    }
+  }
+}
+
+// Save format version, bumped whenever the stored data changes meaning
+SaveManager.VERSION = 1;
+
+// localStorage key for the in-progress game
+SaveManager.STORAGE_KEY = 'tetrisnake.savedGame';
@@ -0,0 +1,123 @@
+/**
+ * Scoring Class
+ * Turns game actions into points using a scoring table: food, line clears
+ * by size (single to quad), chain reactions, combos across consecutive
+ * clearing locks, back-to-back quads and perfect clears.
+ * Each mode supplies its own table (see GameMode.scoringTable()), and every
+ * award carries a label so the presentation layer can show a callout.
+ */
+class Scoring {
+  /**
+   * Creates a scorer
+   * @param {Object} table - Scoring table, merged over Scoring.DEFAULT_TABLE
+   */
+  constructor(table = Scoring.DEFAULT_TABLE) {
+    this.table = { ...Scoring.DEFAULT_TABLE, ...table };
+    this.combo = -1;                    // Consecutive clearing locks minus one (-1 when broken)
+    this.backToBack = false;            // Whether the last clearing lock was a quad
+  }
+
+  /**
+   * Clears the combo and back-to-back streaks for a new game
+   */
+  reset() {
+    this.combo = -1;
+    this.backToBack = false;
+  }
+
+  /**
+   * Captures the streaks so a restored game continues them
+   * @returns {Object} Streak state {combo, backToBack}
+   */
+  getState() {
+    return { combo: this.combo, backToBack: this.backToBack };
+  }
+
+  /**
+   * Restores streaks previously returned by getState()
+   * @param {Object} state - Streak state {combo, backToBack}
+   */
+  setState(state) {
+    this.combo = state.combo;
+    this.backToBack = state.backToBack;
+  }
+
+  /**
+   * Points for eating one food item
+   * @param {number} level - Current level
+   * @param {string} kind - Food type id
+   * @returns {number} Points awarded
+   */
+  food(level, kind = FoodTypes.normal.id) {
+    return (kind === FoodTypes.golden.id ? this.table.goldenFood : this.table.food) * level;
+  }
+
+  /**
+   * Scores one round of line clears; rounds after the first in a chain reaction score more
+   * @param {number} count - Lines cleared together in this round
+   * @param {number} chain - Round of the chain reaction (1 for the initial clear)
+   * @param {number} level - Current level
+   * @returns {Object} Award {label, points}
+   */
+  lineClear(count, chain, level) {
+    const lines = this.table.lines;
+    const size = Math.min(count, lines.length - 1);
+    const name = Scoring.CLEAR_NAMES[count] || `${count}-Line Clear`;
+    const multiplier = 1 + (chain - 1) * this.table.chain;
+
+    return {
+      label: chain > 1 ? `${name} (Chain x${chain})` : name,
+      points: Math.round(lines[size] * level * multiplier)
+    };
+  }
+
+  /**
+   * Scores the bonuses earned by a lock once its clears have settled, and updates the streaks
+   * @param {Object} lock - What the lock achieved
+   * @param {number} lock.lines - Total lines cleared by the lock (0 if none)
+   * @param {number} lock.quadPoints - Points of the lock's clears of four or more lines (0 if it made none)
+   * @param {boolean} lock.perfectClear - Whether the board ended up empty
+   * @param {number} level - Current level
+   * @returns {Array<Object>} Bonus awards {label, points}
+   */
+  lockBonuses({ lines, quadPoints, perfectClear }, level) {
+    const awards = [];
+
+    if (lines === 0) {
+      // Only a lock that clears nothing breaks a combo; back-to-back survives it
+      this.combo = -1;
+      return awards;
+    }
+
+    this.combo++;
+    if (this.combo > 0) {
+      awards.push({ label: `Combo x${this.combo}`, points: this.table.combo * this.combo * level });
+    }
+
+    const isQuad = quadPoints > 0;
+    if (isQuad && this.backToBack) {
+      awards.push({ label: 'Back-to-Back', points: Math.round(quadPoints * this.table.backToBack) });
+    }
+    this.backToBack = isQuad;
+
+    if (perfectClear) {
+      awards.push({ label: 'Perfect Clear!', points: this.table.perfectClear * level });
+    }
+
+    return awards;
+  }
+}
+
+// Default scoring table; modes override any of these values
+Scoring.DEFAULT_TABLE = {
+  food: 10,                             // Per food item, times level
+  goldenFood: 50,                       // Per golden food item, times level
+  lines: [0, 50, 150, 300, 600],        // By lines cleared at once (larger clears score as the last entry), times level
+  chain: 1,                             // Extra multiplier per chain reaction round after the first
+  combo: 25,                            // Per combo step, times level
+  backToBack: 0.5,                      // Fraction of a quad's points added when it follows another quad
+  perfectClear: 1000                    // For emptying the board, times level
+};
+
+// Callout names by lines cleared at once
+Scoring.CLEAR_NAMES = ['', 'Single', 'Double', 'Triple', 'Quad'];
@@ -0,0 +1,183 @@
+/**
+ * Settings Class
+ * The player's preferences (audio, controls, visuals and gameplay defaults),
+ * persisted to localStorage. The stored data carries a schema version; data
+ * from another version is discarded, and any single value that is missing or
+ * invalid falls back to its default without losing the others.
+ */
+class Settings {
+  /**
+   * Loads the stored settings
+   * @param {string} storageKey - localStorage key holding the settings
+   */
+  constructor(storageKey = Settings.STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.listeners = [];                // Called with (key, value) whenever a setting changes
+    this.values = this.load();          // Current value of every setting, by key
+  }
+
+  /**
+   * Reads the stored settings, filling in defaults for anything unusable
+   * @returns {Object} Complete settings values
+   */
+  load() {
+    const values = { ...Settings.DEFAULTS };
+    const data = LocalStore.read(this.storageKey);
+
+    if (data === null) {
+      // Carry over the ghost preference stored before there was a settings menu
+      const ghost = LocalStore.read(Settings.LEGACY_GHOST_KEY);
+      if (typeof ghost === 'boolean') values.ghost = ghost;
+      return values;
+    }
+    if (!data || typeof data !== 'object' || data.version !== Settings.VERSION ||
+        !data.values || typeof data.values !== 'object') {
+      console.warn('Discarding unusable settings');
+      return values;
+    }
+
+    for (const key of Object.keys(Settings.DEFAULTS)) {
+      if (Settings.isValid(key, data.values[key])) {
+        values[key] = data.values[key];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Writes the current settings to storage
+   * @returns {boolean} True if the settings were written
+   */
+  save() {
+    return LocalStore.write(this.storageKey, { version: Settings.VERSION, values: this.values });
+  }
+
+  /**
+   * Reads one setting
+   * @param {string} key - Setting name (a key of Settings.DEFAULTS)
+   * @returns {*} Its current value
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Returns a copy of every setting
+   * @returns {Object} Settings values by key
+   */
+  getAll() {
+    return { ...this.values };
+  }
+
+  /**
+   * Changes one setting, saves it and notifies the listeners
+   * @param {string} key - Setting name (a key of Settings.DEFAULTS)
+   * @param {*} value - New value
+   * @throws {Error} If the setting is unknown or the value is not allowed for it
+   */
+  set(key, value) {
+    if (!Settings.isValid(key, value)) {
+      throw new Error(`Invalid value for setting "${key}": ${JSON.stringify(value)}`);
+    }
+    if (this.values[key] === value) return;
+
+    this.values[key] = value;
+    this.save();
+    this.listeners.forEach(listener => listener(key, value));
+  }
+
+  /**
+   * Restores every setting to its default, notifying the listeners of each change
+   */
+  reset() {
+    const previous = this.values;
+    this.values = { ...Settings.DEFAULTS };
+    this.save();
+
+    for (const [key, value] of Object.entries(this.values)) {
+      if (previous[key] !== value) {
+        this.listeners.forEach(listener => listener(key, value));
+      }
+    }
+  }
+
+  /**
+   * Registers a listener for setting changes
+   * @param {Function} listener - Called with (key, value) after a setting changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Lists the allowed values of a setting with a fixed set of choices
+   * @param {string} key - Setting name
+   * @returns {Array|null} Allowed values, or null if the setting is not a choice
+   */
+  static choicesFor(key) {
+    switch (key) {
+      case 'touchControls':
+        return ['auto', 'on', 'off'];
+      case 'mode':
+        return GameMode.list().map(mode => mode.id);
+      case 'preset':
+        return Object.keys(RulePresets);
+      case 'gravity':
+        return Object.values(Grid.GRAVITY);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Checks whether a value is allowed for a setting
+   * Numeric settings are fractions from 0 to 1; the others match their default's type
+   * @param {string} key - Setting name
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the setting exists and accepts the value
+   */
+  static isValid(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(Settings.DEFAULTS, key)) return false;
+
+    const choices = Settings.choicesFor(key);
+    if (choices) return choices.includes(value);
+    if (typeof Settings.DEFAULTS[key] === 'number') {
+      return Number.isFinite(value) && value >= 0 && value <= 1;
+    }
+    return typeof value === typeof Settings.DEFAULTS[key];
+  }
+}
+
+// Settings format version, bumped whenever the stored data changes meaning
+Settings.VERSION = 1;
+
+// localStorage key for the settings
+Settings.STORAGE_KEY = 'tetrisnake.settings';
+
+// Key the ghost toggle was stored under before settings existed
+Settings.LEGACY_GHOST_KEY = 'tetrisnake.showGhost';
+
+// Every setting with its default value
+Settings.DEFAULTS = Object.freeze({
+  // Audio
+  sound: true,                          // Sound effects on
+  music: true,                          // Background music on
+  soundVolume: 1,                       // Sound effects volume (0 to 1)
+  musicVolume: 1,                       // Music volume (0 to 1)
+
+  // Controls
+  touchControls: 'auto',                // On-screen buttons: 'auto' (touch devices only), 'on' or 'off'
+  swipe: true,                          // Swiping on the board steers the snake
+  stickDeadZone: 0.35,                  // Gamepad stick deflection ignored as drift (0 to 1)
+
+  // Visuals
+  gridLines: true,                      // Draw the grid lines
+  ghost: true,                          // Draw the ghost projection under the snake
+  screenShake: true,                    // Shake the board on collisions and explosions
+  animations: true,                     // Glow and pulse effects
+
+  // Gameplay defaults, preselected on the main menu
+  mode: GameMode.DEFAULT_ID,
+  preset: Engine.DEFAULT_RULES.preset,
+  gravity: Engine.DEFAULT_RULES.gravity
+});
@@ -6,37 +6,43 @@
 class Snake {
   /**
    * Initializes a new Snake instance
+   * @param {Random} rng - Seeded random generator shared with the game
+   * @param {Object} rules - Rule options of the game (see Engine.normalizeRules())
    */
-  constructor() {
+  constructor(rng, rules) {
+    this.rng = rng;                     // Source of randomness for upcoming snakes
+    this.rules = rules;                 // Board size and speeds of the current game
     this.body = [];                     // Array of body segments (each with x,y)
     this.direction = { x: 0, y: 1 };    // Current movement direction
-    this.nextDirection = null;          // Buffered next direction change
-    this.activeDirectionKey = null;     // Currently held direction key
-    this.keyHoldStart = 0;              // Timestamp when key was first held
-    this.lastUpdateTime = 0;            // Timestamp of last movement update
-    this.directionChangeDelay = 16;     // Minimum delay between direction changes (1 frame at 60fps)
+  }
+
+  /**
+   * Rolls the attributes of an upcoming snake
+   * Specs are generated ahead of time so the next snakes can be previewed
+   * @returns {Object} Snake spec {length}
+   */
+  createSpec() {
+    return {
+      length: this.rng.nextInt(Math.min(4, Math.floor(this.rules.height / 2))) + 1
+    };
   }
 
   /**
    * Creates a new snake at the starting position
+   * @param {Object} spec - Attributes of the snake to spawn, from createSpec()
    */
-  spawn() {
+  spawn(spec) {
     this.body = [];
     const startY = 0;                   // Start at the top of the grid
-    const startX = Math.floor(config.GRID_WIDTH / 2); // Center horizontally
-    const initialLen = Math.floor(Math.random() * Math.min(4, Math.floor(config.GRID_HEIGHT / 2))) + 1;
+    const startX = Math.floor(this.rules.width / 2); // Center horizontally
     
-    // Create a vertical snake with random initial length
-    for (let i = 0; i < initialLen; i++) {
+    // Create a vertical snake of the spec's length
+    for (let i = 0; i < spec.length; i++) {
       this.body.push({ x: startX, y: startY - i });
     }
     
     // Reset movement properties
     this.direction = { x: 0, y: 1 };    // Start moving downward
-    this.nextDirection = null;
-    this.activeDirectionKey = null;
-    this.keyHoldStart = 0;
-    this.lastUpdateTime = 0;
   }
 
   /**
@@ -53,14 +59,6 @@ class Snake {
    * @returns {Object} The new head position
    */
   move(eatFood) {
-    const now = performance.now();
-    
-    // Apply any buffered direction change
-    if (this.nextDirection) {
-      this.direction = this.nextDirection;
-      this.nextDirection = null;
-    }
-    
     // Calculate new head position
     const head = this.getHead();
     const newHead = { x: head.x + this.direction.x, y: head.y + this.direction.y };
@@ -73,7 +71,6 @@ class Snake {
       this.body.pop();
     }
     
-    this.lastUpdateTime = now;
     return newHead;
   }
 
@@ -83,8 +80,6 @@ class Snake {
    * @returns {boolean} Whether the direction was changed
    */
   changeDirection(newDir) {
-    const now = performance.now();
-    
     // Prevent 180-degree turns (snake can't reverse into itself)
     if (newDir.x === -this.direction.x && newDir.y === -this.direction.y) {
       return false;
@@ -93,13 +88,6 @@ class Snake {
     // Check if this is actually a new direction
     const isNewDirection = newDir.x !== this.direction.x || newDir.y !== this.direction.y;
     
-    // Buffer direction change if too soon after last movement
-    if (isNewDirection && now - this.lastUpdateTime < this.directionChangeDelay) {
-      this.nextDirection = newDir;
-      return true;
-    }
-    
-    // Apply immediate direction change
     if (isNewDirection) {
       this.direction = newDir;
     }
@@ -109,10 +97,16 @@ class Snake {
 
   /**
    * Calculates the current movement delay based on level and input
+   * Holding down soft-drops: the delay is divided by the soft drop factor at
+   * once. Holding the direction the snake is already moving in auto-repeats:
+   * after the DAS delay the snake moves every ARR milliseconds (never slower
+   * than without holding). A held turn only steers.
    * @param {number} level - The current game level
+   * @param {number} holdTicks - Logical ticks the direction has been held before this one (0 on the first)
+   * @param {Object|null} held - Vector {x, y} of the direction held this tick, or null if none is held
    * @returns {number} The calculated delay in milliseconds
    */
-  computeDelay(level) {
+  computeDelay(level, holdTicks = 0, held = null) {
     // Adjust base speed based on level and snake length
     const extraSegments = this.body.length - 1;
     
@@ -126,43 +120,21 @@ class Snake {
     // Ensure a reasonable minimum speed (not too fast)
     const baseDelay = Math.max(
       60, // Slightly lower minimum delay
-      config.SPEEDS.MOVE_DELAY - levelSpeedReduction - lengthSpeedReduction
+      this.rules.moveDelay - levelSpeedReduction - lengthSpeedReduction
     );
     
-    // Apply acceleration when holding down a direction key
     let finalDelay = baseDelay;
-    if (this.activeDirectionKey && this.keyHoldStart) {
-      const holdTime = performance.now() - this.keyHoldStart;
-      const factor = Math.min(holdTime / config.SPEEDS.HOLD_SCALE, 1);
-      
-      // Calculate accelerated speed with a reasonable minimum
-      finalDelay = Math.max(
-        40, // Allow even faster speed with key held
-        baseDelay - (baseDelay - config.SPEEDS.FAST_MOVE_DELAY) * factor
-      );
+    if (held && held.x === 0 && held.y === 1) {
+      finalDelay = baseDelay / this.rules.softDropFactor;
+    } else if (held) {
+      const holdTime = holdTicks * 1000 / config.TICKS.RATE;
+      if (held.x === this.direction.x && held.y === this.direction.y && holdTime >= this.rules.das) {
+        finalDelay = Math.min(baseDelay, this.rules.arr);
+      }
     }
     
-    return finalDelay;
-  }
-
-  /**
-   * Sets the active direction key being held
-   * @param {string} key - The key identifier
-   * @param {number} timestamp - The time when the key was pressed
-   */
-  setActiveDirection(key, timestamp) {
-    if (this.activeDirectionKey !== key) {
-      this.activeDirectionKey = key;
-      this.keyHoldStart = timestamp;
-    }
-  }
-
-  /**
-   * Clears any active direction key state
-   */
-  clearActiveDirection() {
-    this.activeDirectionKey = null;
-    this.keyHoldStart = 0;
+    // The snake moves at most once per tick
+    return Math.max(finalDelay, 1000 / config.TICKS.RATE);
   }
 
   /**
@@ -0,0 +1,46 @@
+/**
+ * TickScheduler Class
+ * Converts variable frame deltas into a whole number of fixed-length logical
+ * ticks, so the simulation advances identically at any display refresh rate.
+ * Caps the ticks run per frame so a long frame or a backgrounded tab does not
+ * dump a burst of moves at once.
+ */
+class TickScheduler {
+  /**
+   * Creates a scheduler
+   * @param {number} tickRate - Logical ticks per second
+   * @param {number} maxTicksPerFrame - Most ticks returned for a single frame
+   */
+  constructor(tickRate = config.TICKS.RATE, maxTicksPerFrame = config.TICKS.MAX_CATCH_UP) {
+    this.tickDuration = 1000 / tickRate;    // Length of one tick in ms
+    this.maxTicksPerFrame = maxTicksPerFrame;
+    this.accumulator = 0;                   // Real time not yet turned into ticks
+  }
+
+  /**
+   * Adds elapsed real time and returns how many ticks are due
+   * @param {number} delta - Real time elapsed since the last frame in ms
+   * @returns {number} Number of ticks to simulate this frame
+   */
+  advance(delta) {
+    this.accumulator += Math.max(0, delta);
+    
+    let ticks = Math.floor(this.accumulator / this.tickDuration);
+    this.accumulator -= ticks * this.tickDuration;
+    
+    // Drop any backlog beyond the catch-up cap
+    if (ticks > this.maxTicksPerFrame) {
+      ticks = this.maxTicksPerFrame;
+      this.accumulator = 0;
+    }
+    
+    return ticks;
+  }
+
+  /**
+   * Discards any accumulated time
+   */
+  reset() {
+    this.accumulator = 0;
+  }
+}
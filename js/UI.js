@@ -14,17 +14,80 @@ class UI {
       mainMenu: document.getElementById(elementIds.mainMenu),
       paused: document.getElementById(elementIds.paused),
       gameOver: document.getElementById(elementIds.gameOver),
-      finalScore: document.getElementById(elementIds.finalScore),
-      finalLevel: document.getElementById(elementIds.finalLevel),
+      resultTitle: document.getElementById(elementIds.resultTitle),
+      resultDetails: document.getElementById(elementIds.resultDetails),
       startButton: document.getElementById(elementIds.startButton),
+      continueButton: document.getElementById('continueButton'),
+      versusButton: document.getElementById('versusButton'),
+      onlineButton: document.getElementById('onlineButton'),
+      online: document.getElementById('onlineOverlay'),
+      onlineConnect: document.getElementById('onlineConnect'),
+      onlineServer: document.getElementById('onlineServer'),
+      onlineName: document.getElementById('onlineName'),
+      onlineCreate: document.getElementById('onlineCreate'),
+      onlineRoomCode: document.getElementById('onlineRoomCode'),
+      onlineJoin: document.getElementById('onlineJoin'),
+      onlineLobby: document.getElementById('onlineLobby'),
+      onlineRoomLabel: document.getElementById('onlineRoomLabel'),
+      onlinePlayers: document.getElementById('onlinePlayers'),
+      onlineStart: document.getElementById('onlineStart'),
+      onlineMessage: document.getElementById('onlineMessage'),
+      onlineBack: document.getElementById('onlineBack'),
+      resultsMenuButton: document.getElementById('resultsMenuButton'),
+      replayButtons: document.getElementById('replayButtons'),
       restartButton: document.getElementById(elementIds.restartButton),
+      seedInput: document.getElementById(elementIds.seedInput),
+      modeSelect: document.getElementById(elementIds.modeSelect),
+      modeDescription: document.getElementById('modeDescription'),
+      gravitySelect: document.getElementById('gravitySelect'),
+      presetSelect: document.getElementById('presetSelect'),
+      endGameButton: document.getElementById('endGameButton'),
+      finalSeed: document.getElementById(elementIds.finalSeed),
       resumeButton: document.getElementById('resumeButton'),
       quitButton: document.getElementById('quitButton'),
       toggleSound: document.getElementById('toggleSound'),
       toggleSoundPaused: document.getElementById('toggleSoundPaused'),
       toggleMusic: document.getElementById('toggleMusic'),
       toggleMusicPaused: document.getElementById('toggleMusicPaused'),
-      mobileControls: document.getElementById('mobileControls')
+      toggleGhost: document.getElementById('toggleGhost'),
+      toggleGhostPaused: document.getElementById('toggleGhostPaused'),
+      settings: document.getElementById('settingsOverlay'),
+      settingsButton: document.getElementById('settingsButton'),
+      settingsButtonPaused: document.getElementById('settingsButtonPaused'),
+      settingsBack: document.getElementById('settingsBack'),
+      settingsReset: document.getElementById('settingsReset'),
+      settingsInputs: document.querySelectorAll('#settingsOverlay [data-setting]'),
+      handlingProfileSelect: document.getElementById('handlingProfileSelect'),
+      handlingProfileName: document.getElementById('handlingProfileName'),
+      handlingProfileCreate: document.getElementById('handlingProfileCreate'),
+      handlingProfileDelete: document.getElementById('handlingProfileDelete'),
+      handlingInputs: document.querySelectorAll('#settingsOverlay [data-handling]'),
+      keyBindings: document.getElementById('keyBindingsOverlay'),
+      keyBindingsButton: document.getElementById('keyBindingsButton'),
+      keyBindingsList: document.getElementById('keyBindingsList'),
+      keyBindingsMessage: document.getElementById('keyBindingsMessage'),
+      keyBindingsBack: document.getElementById('keyBindingsBack'),
+      keyPresetSelect: document.getElementById('keyPresetSelect'),
+      keyPresetApply: document.getElementById('keyPresetApply'),
+      gamepad: document.getElementById('gamepadOverlay'),
+      gamepadButton: document.getElementById('gamepadButton'),
+      gamepadStatus: document.getElementById('gamepadStatus'),
+      gamepadBindingsList: document.getElementById('gamepadBindingsList'),
+      gamepadBindingsMessage: document.getElementById('gamepadBindingsMessage'),
+      gamepadReset: document.getElementById('gamepadReset'),
+      gamepadBack: document.getElementById('gamepadBack'),
+      mobileControls: document.getElementById('mobileControls'),
+      menuMessage: document.getElementById('menuMessage'),
+      watchReplayButton: document.getElementById('watchReplayButton'),
+      saveReplayButton: document.getElementById('saveReplayButton'),
+      loadReplayButton: document.getElementById('loadReplayButton'),
+      replayFileInput: document.getElementById('replayFileInput'),
+      replayControls: document.getElementById('replayControls'),
+      replayPlayPause: document.getElementById('replayPlayPause'),
+      replaySeek: document.getElementById('replaySeek'),
+      replayTime: document.getElementById('replayTime'),
+      replaySpeed: document.getElementById('replaySpeed'),
+      replayExit: document.getElementById('replayExit')
     };
     
     // Initial audio settings
@@ -32,6 +95,9 @@ class UI {
     this.musicEnabled = true;
     this.soundToggleCallback = null;
     this.musicToggleCallback = null;
+    this.isDraggingSeek = false;        // Whether the replay seek bar is being dragged
+    this.settingsReturnTo = null;       // Overlay to show again when the settings close
+    this.stopKeyCapture = null;         // Cancels the key capture in progress, if any
     this.isMobile = this.detectMobile();
     
     // Initialize mobile controls visibility
@@ -61,6 +127,14 @@ class UI {
     }
   }
 
+  /**
+   * Chooses when the on-screen touch controls are shown during play
+   * @param {string} mode - 'auto' (touch devices only), 'on' or 'off'
+   */
+  setTouchControls(mode) {
+    this.isMobile = mode === 'on' || (mode === 'auto' && this.detectMobile());
+  }
+
   /**
    * Shows mobile controls during gameplay
    */
@@ -84,6 +158,7 @@ class UI {
    */
   showMainMenu() {
     this.hideAll();
+    this.showMenuMessage("");
     this.elements.mainMenu.classList.remove("hidden");
     this.hideMobileControls();
   }
@@ -128,17 +203,189 @@ class UI {
   }
 
   /**
-   * Displays the game over screen with final score and level
-   * @param {number} score - Final score
-   * @param {number} level - Final level reached
+   * Displays the results screen for a finished game
+   * @param {string} title - Heading, e.g. "Game Over" or "Sprint Complete!"
+   * @param {Array<Object>} results - Result fields as {label, value}
+   * @param {number} seed - Seed the game was played with
+   */
+  showGameOver(title, results, seed) {
+    this.elements.resultTitle.textContent = title;
+    this.elements.resultDetails.replaceChildren(...results.map(({ label, value }) => {
+      const line = document.createElement("p");
+      line.textContent = `${label}: ${value}`;
+      return line;
+    }));
+    this.elements.resultDetails.classList.remove("versus-results");
+    this.showResultsScreen(seed, false);
+    this.elements.restartButton.textContent = "Restart Game";
+  }
+
+  /**
+   * Displays the shared results screen for a finished versus match
+   * @param {Object} result - Match result (see VersusMatch.finish())
+   * @param {boolean} online - Whether the match was played online (restarting returns to the lobby)
    */
-  showGameOver(score, level) {
-    this.elements.finalScore.textContent = `Final Score: ${score}`;
-    this.elements.finalLevel.textContent = `Level Reached: ${level}`;
+  showVersusResults(result, online = false) {
+    this.elements.resultTitle.textContent = result.title;
+    this.elements.resultDetails.replaceChildren(...result.players.map(player => {
+      const column = document.createElement("div");
+      column.className = player.won ? "versus-result winner" : "versus-result";
+      const name = document.createElement("h2");
+      name.textContent = player.name;
+      column.append(name, ...player.results.map(({ label, value }) => {
+        const line = document.createElement("p");
+        line.textContent = `${label}: ${value}`;
+        return line;
+      }));
+      return column;
+    }));
+    this.elements.resultDetails.classList.add("versus-results");
+    this.showResultsScreen(result.seed, true);
+    this.elements.restartButton.textContent = online ? "Back to Lobby" : "Restart Game";
+  }
+
+  /**
+   * Shows the results overlay once its details are filled in
+   * Versus matches are not recorded, so they offer the main menu instead of the replay buttons.
+   * @param {number} seed - Seed the game was played with
+   * @param {boolean} versus - Whether the results are for a versus match
+   */
+  showResultsScreen(seed, versus) {
+    if (this.elements.finalSeed) {
+      this.elements.finalSeed.textContent = `Seed: ${seed}`;
+    }
+    if (this.elements.replayButtons) {
+      this.elements.replayButtons.hidden = versus;
+    }
+    if (this.elements.resultsMenuButton) {
+      this.elements.resultsMenuButton.hidden = !versus;
+    }
     this.elements.gameOver.classList.remove("hidden");
     this.hideMobileControls();
   }
 
+  /**
+   * Fills the main menu mode selector
+   * @param {Array<GameMode>} modes - Selectable modes
+   * @param {string} selectedId - Id of the mode selected initially
+   */
+  populateModes(modes, selectedId) {
+    const options = modes.map(mode => ({ value: mode.id, label: mode.name }));
+    this.fillSelect(this.getSettingInput("mode"), options, selectedId);
+    
+    const select = this.elements.modeSelect;
+    if (!select) return;
+    
+    this.modeDescriptions = {};
+    modes.forEach(mode => { this.modeDescriptions[mode.id] = mode.description; });
+    this.fillSelect(select, options, selectedId);
+    
+    const updateDescription = () => {
+      if (this.elements.modeDescription) {
+        this.elements.modeDescription.textContent = this.modeDescriptions[select.value] || "";
+      }
+    };
+    select.addEventListener("change", updateDescription);
+    updateDescription();
+  }
+
+  /**
+   * Fills the main menu board preset selector
+   * @param {Array<Object>} presets - Selectable presets (see RulePresets)
+   * @param {string} selectedId - Id of the preset selected initially
+   */
+  populatePresets(presets, selectedId) {
+    const label = preset => `${preset.name} (${preset.width}x${preset.height})`;
+    this.fillSelect(this.elements.presetSelect,
+      presets.map(preset => ({ value: preset.id, label: `Board: ${label(preset)}` })), selectedId);
+    this.fillSelect(this.getSettingInput("preset"),
+      presets.map(preset => ({ value: preset.id, label: label(preset) })), selectedId);
+  }
+
+  /**
+   * Replaces the options of a selector
+   * @param {HTMLSelectElement|null} select - Selector to fill (ignored when missing)
+   * @param {Array<Object>} options - Options as {value, label}
+   * @param {string} selectedId - Value selected initially
+   */
+  fillSelect(select, options, selectedId) {
+    if (!select) return;
+    
+    select.replaceChildren(...options.map(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      return option;
+    }));
+    select.value = selectedId;
+  }
+
+  /**
+   * Selects an option on one of the main menu selectors, as if the player had chosen it
+   * @param {string} name - Element name: 'modeSelect', 'presetSelect' or 'gravitySelect'
+   * @param {string} value - Option value to select
+   */
+  selectMenuOption(name, value) {
+    const select = this.elements[name];
+    if (!select) return;
+    
+    select.value = value;
+    select.dispatchEvent(new Event("change"));
+  }
+
+  /**
+   * Reads the mode chosen on the main menu
+   * @returns {string|undefined} Selected mode id, or undefined if there is no selector
+   */
+  getSelectedMode() {
+    return this.elements.modeSelect ? this.elements.modeSelect.value : undefined;
+  }
+
+  /**
+   * Reads the rule options chosen on the main menu
+   * @returns {Object} Rule options (only those with a selector on the menu)
+   */
+  getSelectedRules() {
+    const rules = {};
+    if (this.elements.presetSelect) {
+      rules.preset = this.elements.presetSelect.value;
+    }
+    if (this.elements.gravitySelect) {
+      rules.gravity = this.elements.gravitySelect.value;
+    }
+    return rules;
+  }
+
+  /**
+   * Binds the end game button in the pause menu
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onEndGame(callback) {
+    if (this.elements.endGameButton) {
+      this.elements.endGameButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Reads the seed entered on the main menu
+   * @returns {string|null} Trimmed seed text, or null when left empty
+   */
+  getSeedInput() {
+    if (!this.elements.seedInput) return null;
+    const value = this.elements.seedInput.value.trim();
+    return value === "" ? null : value;
+  }
+
+  /**
+   * Subscribes to game events that change the overlays
+   * @param {EventEmitter} events - The game event bus
+   */
+  subscribe(events) {
+    events.on('pause', () => this.togglePauseMenu(true));
+    events.on('resume', () => this.togglePauseMenu(false));
+    events.on('gameOver', event => this.showGameOver(event.title, event.results, event.seed));
+  }
+
   /**
    * Hides the game over screen
    */
@@ -153,6 +400,20 @@ class UI {
     this.elements.mainMenu.classList.add("hidden");
     this.elements.paused.classList.add("hidden");
     this.elements.gameOver.classList.add("hidden");
+    if (this.elements.settings) {
+      this.elements.settings.classList.add("hidden");
+      this.settingsReturnTo = null;
+    }
+    if (this.elements.keyBindings) {
+      if (this.stopKeyCapture) this.stopKeyCapture();
+      this.elements.keyBindings.classList.add("hidden");
+    }
+    if (this.elements.gamepad) {
+      this.elements.gamepad.classList.add("hidden");
+    }
+    if (this.elements.online) {
+      this.elements.online.classList.add("hidden");
+    }
   }
 
   /**
@@ -163,6 +424,46 @@ class UI {
     this.elements.startButton.addEventListener("click", callback);
   }
 
+  /**
+   * Binds the main menu's versus button
+   * @param {Function} callback - Function to call when versus is clicked
+   */
+  onStartVersus(callback) {
+    if (this.elements.versusButton) {
+      this.elements.versusButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the main menu button on the versus results screen
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onResultsMenu(callback) {
+    if (this.elements.resultsMenuButton) {
+      this.elements.resultsMenuButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the continue button on the main menu
+   * @param {Function} callback - Function to call when continue is clicked
+   */
+  onContinueGame(callback) {
+    if (this.elements.continueButton) {
+      this.elements.continueButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Shows or hides the continue button depending on whether a save exists
+   * @param {boolean} available - Whether a saved game can be continued
+   */
+  setContinueAvailable(available) {
+    if (this.elements.continueButton) {
+      this.elements.continueButton.hidden = !available;
+    }
+  }
+
   /**
    * Binds the restart game button click event
    * @param {Function} callback - Function to call when restart button is clicked
@@ -239,6 +540,40 @@ class UI {
     }
   }
 
+  /**
+   * Binds ghost projection toggle buttons across all menus
+   * @param {Function} callback - Function to call when ghost toggle is clicked, returns the new state
+   */
+  onGhostToggle(callback) {
+    const handleGhostToggle = () => {
+      this.updateGhostButtonText(callback());
+    };
+    
+    if (this.elements.toggleGhost) {
+      this.elements.toggleGhost.addEventListener("click", handleGhostToggle);
+    }
+    
+    if (this.elements.toggleGhostPaused) {
+      this.elements.toggleGhostPaused.addEventListener("click", handleGhostToggle);
+    }
+  }
+
+  /**
+   * Updates the text on all ghost toggle buttons
+   * @param {boolean} enabled - Whether the ghost projection is shown
+   */
+  updateGhostButtonText(enabled) {
+    const status = enabled ? "On" : "Off";
+    
+    if (this.elements.toggleGhost) {
+      this.elements.toggleGhost.textContent = `Ghost: ${status}`;
+    }
+    
+    if (this.elements.toggleGhostPaused) {
+      this.elements.toggleGhostPaused.textContent = `Ghost: ${status}`;
+    }
+  }
+
   /**
    * Updates the text on all sound toggle buttons
    */
@@ -270,4 +605,874 @@ class UI {
       this.elements.toggleMusicPaused.textContent = `Music: ${status}`;
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Binds the settings buttons in the main and pause menus
+   * @param {Function} callback - Function to call when either button is clicked
+   */
+  onOpenSettings(callback) {
+    [this.elements.settingsButton, this.elements.settingsButtonPaused].forEach(button => {
+      if (button) button.addEventListener("click", callback);
+    });
+  }
+
+  /**
+   * Binds the settings back button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onCloseSettings(callback) {
+    if (this.elements.settingsBack) {
+      this.elements.settingsBack.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the reset to defaults button in the settings
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onResetSettings(callback) {
+    if (this.elements.settingsReset) {
+      this.elements.settingsReset.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds every settings input
+   * Volume sliders report while dragging; checkboxes and selectors when changed
+   * @param {Function} callback - Called with (key, value) when the player changes a setting
+   */
+  onSettingChange(callback) {
+    this.elements.settingsInputs.forEach(input => {
+      const eventName = input.type === "range" ? "input" : "change";
+      input.addEventListener(eventName, () => callback(input.dataset.setting, this.readSettingInput(input)));
+    });
+  }
+
+  /**
+   * Finds the settings input for a setting
+   * @param {string} key - Setting name
+   * @returns {HTMLElement|null} The input, or null if the overlay has none
+   */
+  getSettingInput(key) {
+    return [...this.elements.settingsInputs].find(input => input.dataset.setting === key) || null;
+  }
+
+  /**
+   * Reads a settings input as a setting value
+   * @param {HTMLElement} input - Checkbox, volume slider (0 to 100) or selector
+   * @returns {boolean|number|string} The value
+   */
+  readSettingInput(input) {
+    if (input.type === "checkbox") return input.checked;
+    if (input.type === "range") return Number(input.value) / 100;
+    return input.value;
+  }
+
+  /**
+   * Syncs the settings inputs with the current settings
+   * @param {Object} values - Settings values by key
+   */
+  updateSettingsInputs(values) {
+    this.elements.settingsInputs.forEach(input => {
+      const value = values[input.dataset.setting];
+      if (input.type === "checkbox") {
+        input.checked = value;
+      } else if (input.type === "range") {
+        input.value = Math.round(value * 100);
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  /**
+   * Fills the handling profile selector
+   * @param {Array<Object>} profiles - Profiles as {id, name}
+   * @param {string} activeId - Id of the active profile
+   */
+  populateHandlingProfiles(profiles, activeId) {
+    this.fillSelect(this.elements.handlingProfileSelect,
+      profiles.map(profile => ({ value: profile.id, label: profile.name })), activeId);
+    if (this.elements.handlingProfileDelete) {
+      this.elements.handlingProfileDelete.disabled = profiles.length <= 1;
+    }
+  }
+
+  /**
+   * Syncs the handling sliders and their readouts with a profile
+   * @param {Object} profile - Profile with das, arr and softDropFactor
+   */
+  updateHandlingInputs(profile) {
+    this.elements.handlingInputs.forEach(input => {
+      input.value = profile[input.dataset.handling];
+      this.updateHandlingReadout(input);
+    });
+  }
+
+  /**
+   * Shows a handling slider's value next to it
+   * @param {HTMLInputElement} input - Handling slider
+   */
+  updateHandlingReadout(input) {
+    const key = input.dataset.handling;
+    const readout = document.querySelector(`#settingsOverlay [data-handling-value="${key}"]`);
+    if (readout) {
+      readout.textContent = key === "softDropFactor" ? `${input.value}x` : `${input.value} ms`;
+    }
+  }
+
+  /**
+   * Binds the handling sliders, which report while dragging
+   * @param {Function} callback - Called with (key, value) when the player moves a slider
+   */
+  onHandlingChange(callback) {
+    this.elements.handlingInputs.forEach(input => {
+      input.addEventListener("input", () => {
+        this.updateHandlingReadout(input);
+        callback(input.dataset.handling, Number(input.value));
+      });
+    });
+  }
+
+  /**
+   * Binds the handling profile selector
+   * @param {Function} callback - Called with the id of the chosen profile
+   */
+  onHandlingProfileSelect(callback) {
+    if (this.elements.handlingProfileSelect) {
+      this.elements.handlingProfileSelect.addEventListener("change", () => callback(this.elements.handlingProfileSelect.value));
+    }
+  }
+
+  /**
+   * Binds the new profile button, which clears the name field once read
+   * @param {Function} callback - Called with the name typed for the profile (possibly empty)
+   */
+  onHandlingProfileCreate(callback) {
+    if (!this.elements.handlingProfileCreate) return;
+    
+    this.elements.handlingProfileCreate.addEventListener("click", () => {
+      const name = this.elements.handlingProfileName ? this.elements.handlingProfileName.value : "";
+      if (this.elements.handlingProfileName) this.elements.handlingProfileName.value = "";
+      callback(name);
+    });
+  }
+
+  /**
+   * Binds the delete profile button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onHandlingProfileDelete(callback) {
+    if (this.elements.handlingProfileDelete) {
+      this.elements.handlingProfileDelete.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Opens the settings over the main or pause menu, which is shown again when they close
+   * @param {Object} values - Current settings values by key
+   */
+  showSettings(values) {
+    if (!this.elements.settings) return;
+    
+    this.settingsReturnTo = [this.elements.mainMenu, this.elements.paused]
+      .find(overlay => !overlay.classList.contains("hidden")) || null;
+    if (this.settingsReturnTo) {
+      this.settingsReturnTo.classList.add("hidden");
+    }
+    this.updateSettingsInputs(values);
+    this.elements.settings.classList.remove("hidden");
+  }
+
+  /**
+   * Closes the settings, returning to the menu they were opened from
+   */
+  hideSettings() {
+    if (!this.elements.settings) return;
+    
+    this.elements.settings.classList.add("hidden");
+    if (this.settingsReturnTo) {
+      this.settingsReturnTo.classList.remove("hidden");
+      this.settingsReturnTo = null;
+    }
+  }
+
+  /**
+   * Checks whether the settings are open
+   * @returns {boolean} True while the settings, key bindings or controller overlay is shown
+   */
+  isSettingsOpen() {
+    return [this.elements.settings, this.elements.keyBindings, this.elements.gamepad]
+      .some(overlay => overlay && !overlay.classList.contains("hidden"));
+  }
+
+  /**
+   * Binds the key bindings button in the settings
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onOpenKeyBindings(callback) {
+    if (this.elements.keyBindingsButton) {
+      this.elements.keyBindingsButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the key bindings back button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onCloseKeyBindings(callback) {
+    if (this.elements.keyBindingsBack) {
+      this.elements.keyBindingsBack.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the add buttons of the key binding rows
+   * @param {Function} callback - Called with the action id whose add button was clicked
+   */
+  onBindingAdd(callback) {
+    if (!this.elements.keyBindingsList) return;
+    
+    this.elements.keyBindingsList.addEventListener("click", e => {
+      const button = e.target.closest("[data-add]");
+      if (button) callback(button.dataset.add);
+    });
+  }
+
+  /**
+   * Binds the bound-key buttons of the key binding rows, which remove the key
+   * @param {Function} callback - Called with (action, key) for the clicked key
+   */
+  onBindingRemove(callback) {
+    if (!this.elements.keyBindingsList) return;
+    
+    this.elements.keyBindingsList.addEventListener("click", e => {
+      const button = e.target.closest("[data-key]");
+      if (button) callback(button.dataset.action, button.dataset.key);
+    });
+  }
+
+  /**
+   * Binds the apply preset button of the key bindings
+   * @param {Function} callback - Called with the id of the selected preset
+   */
+  onKeyPresetApply(callback) {
+    if (this.elements.keyPresetApply) {
+      this.elements.keyPresetApply.addEventListener("click", () => callback(this.elements.keyPresetSelect.value));
+    }
+  }
+
+  /**
+   * Fills the key binding preset selector
+   * @param {Object} presets - Presets by id, each with a name (see KeyBindings.PRESETS)
+   */
+  populateKeyPresets(presets) {
+    const options = Object.entries(presets).map(([id, preset]) => ({ value: id, label: preset.name }));
+    this.fillSelect(this.elements.keyPresetSelect, options, options[0].value);
+  }
+
+  /**
+   * Rebuilds the key binding rows: each action with its keys and an add button
+   * @param {Object} bindings - Keys bound to each action, by action id
+   */
+  renderKeyBindings(bindings) {
+    this.renderBindingRows(this.elements.keyBindingsList, bindings, KeyBindings, "key");
+  }
+
+  /**
+   * Rebuilds the controller binding rows: each action with its buttons and an add button
+   * @param {Object} bindings - Button indices bound to each action, by action id
+   */
+  renderGamepadBindings(bindings) {
+    this.renderBindingRows(this.elements.gamepadBindingsList, bindings, GamepadBindings, "button");
+  }
+
+  /**
+   * Fills a binding list with one row per action
+   * @param {HTMLElement} list - List element to fill
+   * @param {Object} bindings - Inputs bound to each action, by action id
+   * @param {Function} type - KeyBindings or a subclass, which names the actions and inputs
+   * @param {string} noun - What an input is called in the button labels, e.g. "key"
+   */
+  renderBindingRows(list, bindings, type, noun) {
+    if (!list) return;
+    
+    list.replaceChildren(...Object.entries(type.ACTIONS).map(([action, label]) => {
+      const row = document.createElement("div");
+      row.className = "key-binding-row";
+      
+      const name = document.createElement("span");
+      name.className = "key-binding-action";
+      name.textContent = label;
+      
+      const keys = document.createElement("span");
+      keys.className = "key-binding-keys";
+      const bound = bindings[action] || [];
+      keys.replaceChildren(...bound.map(key => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.dataset.action = action;
+        button.dataset.key = key;
+        button.textContent = `${type.keyLabel(key)} ✕`;
+        button.setAttribute("aria-label", `Remove ${type.keyLabel(key)} from ${label}`);
+        return button;
+      }));
+      if (bound.length === 0) {
+        const unbound = document.createElement("span");
+        unbound.className = "key-binding-unbound";
+        unbound.textContent = "Unbound";
+        keys.appendChild(unbound);
+      }
+      
+      const add = document.createElement("button");
+      add.type = "button";
+      add.dataset.add = action;
+      add.textContent = "+";
+      add.setAttribute("aria-label", `Add a ${noun} for ${label}`);
+      
+      row.append(name, keys, add);
+      return row;
+    }));
+  }
+
+  /**
+   * Opens the key bindings over the settings
+   */
+  showKeyBindings() {
+    if (!this.elements.keyBindings) return;
+    
+    this.showKeyBindingsMessage("");
+    this.elements.settings.classList.add("hidden");
+    this.elements.keyBindings.classList.remove("hidden");
+  }
+
+  /**
+   * Closes the key bindings, cancelling any key capture, and returns to the settings
+   */
+  hideKeyBindings() {
+    if (!this.elements.keyBindings) return;
+    
+    if (this.stopKeyCapture) this.stopKeyCapture();
+    this.elements.keyBindings.classList.add("hidden");
+    this.elements.settings.classList.remove("hidden");
+  }
+
+  /**
+   * Shows a message under the key bindings (a prompt or a conflict)
+   * @param {string} text - Message to show, or an empty string to clear it
+   */
+  showKeyBindingsMessage(text) {
+    if (this.elements.keyBindingsMessage) {
+      this.elements.keyBindingsMessage.textContent = text;
+    }
+  }
+
+  /**
+   * Waits for the next key press and reports it instead of letting the game see it
+   * Escape cancels the capture
+   * @param {Function} callback - Called with the KeyboardEvent.key value, or null when cancelled
+   */
+  captureKey(callback) {
+    if (this.stopKeyCapture) this.stopKeyCapture();
+    
+    const handleKey = e => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.stopKeyCapture();
+      callback(e.key === "Escape" ? null : e.key);
+    };
+    this.stopKeyCapture = () => {
+      window.removeEventListener("keydown", handleKey, { capture: true });
+      this.stopKeyCapture = null;
+    };
+    window.addEventListener("keydown", handleKey, { capture: true });
+  }
+
+  /**
+   * Binds the controller button in the settings
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onOpenGamepad(callback) {
+    if (this.elements.gamepadButton) {
+      this.elements.gamepadButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the controller back button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onCloseGamepad(callback) {
+    if (this.elements.gamepadBack) {
+      this.elements.gamepadBack.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the controller reset to default button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onResetGamepad(callback) {
+    if (this.elements.gamepadReset) {
+      this.elements.gamepadReset.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the add buttons of the controller binding rows
+   * @param {Function} callback - Called with the action id whose add button was clicked
+   */
+  onGamepadBindingAdd(callback) {
+    if (!this.elements.gamepadBindingsList) return;
+    
+    this.elements.gamepadBindingsList.addEventListener("click", e => {
+      const button = e.target.closest("[data-add]");
+      if (button) callback(button.dataset.add);
+    });
+  }
+
+  /**
+   * Binds the bound-button buttons of the controller binding rows, which remove the button
+   * @param {Function} callback - Called with (action, button index) for the clicked button
+   */
+  onGamepadBindingRemove(callback) {
+    if (!this.elements.gamepadBindingsList) return;
+    
+    this.elements.gamepadBindingsList.addEventListener("click", e => {
+      const button = e.target.closest("[data-key]");
+      if (button) callback(button.dataset.action, Number(button.dataset.key));
+    });
+  }
+
+  /**
+   * Opens the controller bindings over the settings
+   */
+  showGamepad() {
+    if (!this.elements.gamepad) return;
+    
+    this.showGamepadMessage("");
+    this.elements.settings.classList.add("hidden");
+    this.elements.gamepad.classList.remove("hidden");
+  }
+
+  /**
+   * Closes the controller bindings and returns to the settings
+   */
+  hideGamepad() {
+    if (!this.elements.gamepad) return;
+    
+    this.elements.gamepad.classList.add("hidden");
+    this.elements.settings.classList.remove("hidden");
+  }
+
+  /**
+   * Shows a message under the controller bindings (a prompt or a conflict)
+   * @param {string} text - Message to show, or an empty string to clear it
+   */
+  showGamepadMessage(text) {
+    if (this.elements.gamepadBindingsMessage) {
+      this.elements.gamepadBindingsMessage.textContent = text;
+    }
+  }
+
+  /**
+   * Lists the connected controllers on the controller screen
+   * @param {Array<string>} ids - Ids the browser reports for the connected gamepads
+   */
+  updateGamepadStatus(ids) {
+    if (!this.elements.gamepadStatus) return;
+    
+    this.elements.gamepadStatus.textContent = ids.length > 0
+      ? `Connected: ${ids.join(", ")}`
+      : "No controller connected. Press a button on the controller to connect it.";
+  }
+
+  /**
+   * Binds the main menu's online button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onOpenOnline(callback) {
+    if (this.elements.onlineButton) {
+      this.elements.onlineButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the online screen's leave button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onCloseOnline(callback) {
+    if (this.elements.onlineBack) {
+      this.elements.onlineBack.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the create room button
+   * @param {Function} callback - Called with the relay address and the player's name
+   */
+  onOnlineCreate(callback) {
+    if (this.elements.onlineCreate) {
+      this.elements.onlineCreate.addEventListener("click", () => {
+        callback(this.getOnlineServer(), this.elements.onlineName.value.trim());
+      });
+    }
+  }
+
+  /**
+   * Binds the join room button
+   * @param {Function} callback - Called with the relay address, the player's name and the room code
+   */
+  onOnlineJoin(callback) {
+    if (this.elements.onlineJoin) {
+      this.elements.onlineJoin.addEventListener("click", () => {
+        const code = this.elements.onlineRoomCode.value.trim();
+        if (code === "") {
+          this.showOnlineMessage("Enter the room code to join");
+          return;
+        }
+        callback(this.getOnlineServer(), this.elements.onlineName.value.trim(), code);
+      });
+    }
+  }
+
+  /**
+   * Binds the host's start match button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onOnlineStart(callback) {
+    if (this.elements.onlineStart) {
+      this.elements.onlineStart.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Gets the relay address, defaulting to a relay on this page's host
+   * @returns {string} WebSocket URL
+   */
+  getOnlineServer() {
+    const value = this.elements.onlineServer.value.trim();
+    return value || `ws://${location.hostname || "localhost"}:${UI.DEFAULT_RELAY_PORT}`;
+  }
+
+  /**
+   * Opens the online screen: the room form, or the lobby if already in a room
+   * @param {Object|null} lobby - Current lobby message, or null if not in a room
+   * @param {string|null} playerId - Our id in the room
+   */
+  showOnline(lobby = null, playerId = null) {
+    if (!this.elements.online) return;
+    
+    this.hideAll();
+    this.showOnlineMessage("");
+    if (lobby) {
+      this.showOnlineLobby(lobby, playerId);
+    } else {
+      this.elements.onlineConnect.hidden = false;
+      this.elements.onlineLobby.hidden = true;
+    }
+    this.elements.online.classList.remove("hidden");
+    this.hideMobileControls();
+  }
+
+  /**
+   * Shows who is in the room, and the start button to the host
+   * @param {Object} lobby - Lobby message {room, hostId, playing, players: [{id, name, connected}]}
+   * @param {string} playerId - Our id in the room
+   */
+  showOnlineLobby(lobby, playerId) {
+    if (!this.elements.online) return;
+    
+    this.elements.onlineConnect.hidden = true;
+    this.elements.onlineLobby.hidden = false;
+    this.elements.onlineRoomLabel.textContent = lobby.playing
+      ? `Room ${lobby.room} (match in progress)`
+      : `Room ${lobby.room}`;
+    this.elements.onlinePlayers.replaceChildren(...lobby.players.map(player => {
+      const item = document.createElement("li");
+      const notes = [];
+      if (player.id === lobby.hostId) notes.push("host");
+      if (player.id === playerId) notes.push("you");
+      if (!player.connected) notes.push("reconnecting");
+      item.textContent = notes.length > 0 ? `${player.name} (${notes.join(", ")})` : player.name;
+      return item;
+    }));
+    this.elements.onlineStart.hidden = lobby.hostId !== playerId || lobby.playing;
+  }
+
+  /**
+   * Shows a message on the online screen (a connection problem or a relay error)
+   * @param {string} text - Message to show, or an empty string to clear it
+   */
+  showOnlineMessage(text) {
+    if (this.elements.onlineMessage) {
+      this.elements.onlineMessage.textContent = text;
+    }
+  }
+
+  /**
+   * Describes the relay connection on the online screen
+   * @param {string} status - NetClient status
+   */
+  showOnlineStatus(status) {
+    this.showOnlineMessage(UI.ONLINE_STATUS_TEXT[status] || "");
+  }
+
+  /**
+   * Finds the overlay gamepad menu navigation applies to
+   * @returns {HTMLElement|null} The topmost visible overlay, or null during play
+   */
+  getActiveOverlay() {
+    const overlays = [this.elements.gamepad, this.elements.keyBindings, this.elements.settings,
+      this.elements.online, this.elements.paused, this.elements.gameOver, this.elements.mainMenu];
+    return overlays.find(overlay => overlay && !overlay.classList.contains("hidden")) || null;
+  }
+
+  /**
+   * Moves through the visible menu with a gamepad
+   * Up and down move the focus, left and right change a selector or slider
+   * (or move the focus), confirm activates and back leaves the overlay.
+   * @param {string} command - 'up', 'down', 'left', 'right', 'confirm' or 'back'
+   * @returns {boolean} True if a menu was visible to handle the command
+   */
+  navigateMenu(command) {
+    const overlay = this.getActiveOverlay();
+    if (!overlay) return false;
+    
+    const items = [...overlay.querySelectorAll("button, select, input")]
+      .filter(item => !item.disabled && item.offsetParent !== null);
+    const focused = items.indexOf(document.activeElement);
+    const current = focused >= 0 ? items[focused] : null;
+    
+    if (command === "back") {
+      const back = UI.BACK_BUTTONS[overlay.id];
+      if (back && this.elements[back]) this.elements[back].click();
+      return true;
+    }
+    if (!current) {
+      if (items.length > 0) items[0].focus();
+      return true;
+    }
+    
+    if (command === "confirm") {
+      current.click();
+    } else if ((command === "left" || command === "right") && current.tagName === "SELECT") {
+      const index = current.selectedIndex + (command === "right" ? 1 : -1);
+      if (index >= 0 && index < current.options.length) {
+        current.selectedIndex = index;
+        current.dispatchEvent(new Event("change"));
+      }
+    } else if ((command === "left" || command === "right") && current.type === "range") {
+      if (command === "right") current.stepUp(); else current.stepDown();
+      current.dispatchEvent(new Event("input"));
+    } else {
+      const step = command === "up" || command === "left" ? -1 : 1;
+      items[(focused + step + items.length) % items.length].focus();
+    }
+    return true;
+  }
+
+  /**
+   * Shows the current pause and quit keys on the pause menu buttons
+   * @param {Object} bindings - Keys bound to each action, by action id
+   */
+  updateKeyHints(bindings) {
+    const hint = action => bindings[action].length > 0 ? ` (${KeyBindings.keyLabel(bindings[action][0])})` : "";
+    
+    if (this.elements.resumeButton) {
+      this.elements.resumeButton.textContent = `Resume Game${hint('pause')}`;
+    }
+    if (this.elements.quitButton) {
+      this.elements.quitButton.textContent = `Quit to Menu${hint('quit')}`;
+    }
+  }
+
+  /**
+   * Shows a short message on the main menu (e.g. a failed replay load)
+   * @param {string} text - Message to show, or an empty string to clear it
+   */
+  showMenuMessage(text) {
+    if (this.elements.menuMessage) {
+      this.elements.menuMessage.textContent = text;
+    }
+  }
+
+  /**
+   * Binds the watch replay button on the game over screen
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onWatchReplay(callback) {
+    if (this.elements.watchReplayButton) {
+      this.elements.watchReplayButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the save replay button on the game over screen
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onSaveReplay(callback) {
+    if (this.elements.saveReplayButton) {
+      this.elements.saveReplayButton.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the load replay button on the main menu
+   * @param {Function} callback - Called with the parsed replay data once a file is chosen
+   */
+  onLoadReplay(callback) {
+    const { loadReplayButton, replayFileInput } = this.elements;
+    if (!loadReplayButton || !replayFileInput) return;
+    
+    loadReplayButton.addEventListener("click", () => replayFileInput.click());
+    
+    replayFileInput.addEventListener("change", () => {
+      const file = replayFileInput.files[0];
+      replayFileInput.value = ""; // Allow the same file to be chosen again
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        let data;
+        try {
+          data = JSON.parse(reader.result);
+        } catch (e) {
+          this.showMenuMessage("Could not load replay: file is not valid JSON");
+          return;
+        }
+        callback(data);
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Binds the replay play/pause button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onReplayPlayPause(callback) {
+    if (this.elements.replayPlayPause) {
+      this.elements.replayPlayPause.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Binds the replay speed selector
+   * @param {Function} callback - Called with the chosen speed multiplier
+   */
+  onReplaySpeed(callback) {
+    if (this.elements.replaySpeed) {
+      this.elements.replaySpeed.addEventListener("change", () => {
+        callback(Number(this.elements.replaySpeed.value));
+      });
+    }
+  }
+
+  /**
+   * Binds the replay seek bar
+   * @param {Function} callback - Called with the target time in ms while seeking
+   */
+  onReplaySeek(callback) {
+    const seek = this.elements.replaySeek;
+    if (!seek) return;
+    
+    seek.addEventListener("pointerdown", () => { this.isDraggingSeek = true; });
+    seek.addEventListener("pointerup", () => { this.isDraggingSeek = false; });
+    seek.addEventListener("input", () => callback(Number(seek.value)));
+  }
+
+  /**
+   * Binds the replay exit button
+   * @param {Function} callback - Function to call when the button is clicked
+   */
+  onReplayExit(callback) {
+    if (this.elements.replayExit) {
+      this.elements.replayExit.addEventListener("click", callback);
+    }
+  }
+
+  /**
+   * Shows the replay playback controls
+   * @param {ReplayPlayer} player - The player being controlled
+   */
+  showReplayControls(player) {
+    if (!this.elements.replayControls) return;
+    
+    this.elements.replaySeek.max = player.duration;
+    this.elements.replaySpeed.value = String(player.speed);
+    this.updateReplayControls(player);
+    this.elements.replayControls.classList.remove("hidden");
+  }
+
+  /**
+   * Hides the replay playback controls
+   */
+  hideReplayControls() {
+    if (this.elements.replayControls) {
+      this.elements.replayControls.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Syncs the replay controls with the player's position and state
+   * @param {ReplayPlayer} player - The player being controlled
+   */
+  updateReplayControls(player) {
+    if (!this.elements.replayControls) return;
+    
+    if (!this.isDraggingSeek) {
+      this.elements.replaySeek.value = player.time;
+    }
+    this.elements.replayTime.textContent = `${this.formatTime(player.time)} / ${this.formatTime(player.duration)}`;
+    this.elements.replayPlayPause.textContent = player.paused || player.isFinished() ? "▶" : "⏸";
+  }
+
+  /**
+   * Formats a duration as minutes and seconds
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Time formatted as m:ss
+   */
+  formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, "0")}`;
+  }
+
+  /**
+   * Offers a JSON object to the user as a file download
+   * @param {string} filename - Suggested file name
+   * @param {Object} data - Data to serialize
+   */
+  downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
+// Button the gamepad back command clicks in each overlay, by overlay id
+UI.BACK_BUTTONS = Object.freeze({
+  onlineOverlay: 'onlineBack',
+  gamepadOverlay: 'gamepadBack',
+  keyBindingsOverlay: 'keyBindingsBack',
+  settingsOverlay: 'settingsBack',
+  pausedOverlay: 'resumeButton'
+});
+
+// Port the reference relay (node/relay.js) listens on by default
+UI.DEFAULT_RELAY_PORT = 8787;
+
+// Online screen messages for the relay connection status
+UI.ONLINE_STATUS_TEXT = Object.freeze({
+  connecting: 'Connecting…',
+  open: '',
+  reconnecting: 'Connection lost; reconnecting…',
+  closed: 'Not connected to the relay'
+});
@@ -0,0 +1,190 @@
+/**
+ * VersusMatch Class
+ * A head-to-head match between players on separate boards. Each player has
+ * their own Engine (and so their own Snake, Grid and score) and event bus;
+ * all boards share the seed, so everyone gets the same food and snakes.
+ * Like the Engine it is headless and advanced one fixed tick at a time.
+ * Clearing lines attacks: the rows a lock sends (see GarbageAttack) first
+ * cancel garbage waiting for the sender, and the rest wait on the opponent's
+ * board until the opponent locks without clearing, when they rise from the
+ * bottom. Garbage gaps come from the match's own random source, so garbage
+ * does not change the food and snakes each board gets.
+ * The match ends when a player wins their mode's goal or at most one player
+ * is left standing; the winner is decided from the boards' outcomes.
+ */
+class VersusMatch {
+  /**
+   * Creates a match and starts every player's game
+   * @param {number|string|null} seed - Seed shared by all boards (a fresh random seed when omitted)
+   * @param {string} modeId - Game mode every player plays
+   * @param {Object} rules - Rule options every board is played with
+   * @param {number} playerCount - Number of players
+   * @param {Object} attackTable - Garbage attack table, merged over GarbageAttack.DEFAULT_TABLE
+   */
+  constructor(seed = null, modeId = GameMode.DEFAULT_ID, rules = Engine.DEFAULT_RULES, playerCount = 2,
+    attackTable = GarbageAttack.DEFAULT_TABLE) {
+    this.seed = seed === null ? Random.generateSeed() : seed;
+    this.attack = new GarbageAttack(attackTable);
+    this.rng = new Random(this.seed);   // Chooses garbage gaps
+    this.ticks = 0;                     // Ticks simulated this match
+    this.over = false;                  // Whether the match has been decided
+    this.result = null;                 // Outcome once over (see finish())
+    this.players = Array.from({ length: playerCount }, (_, index) => {
+      const events = new EventEmitter(Object.values(GameEvents));
+      const player = {
+        index,
+        name: `Player ${index + 1}`,
+        events,                         // The player's own event bus
+        engine: new Engine(this.seed, events, modeId, rules),
+        outcome: null,                  // {won, title} once the player's game ends
+        locks: [],                      // Locks this tick, as {lines, combo}, waiting to be resolved
+        incoming: 0,                    // Garbage rows waiting to rise on this board
+        sent: 0                         // Garbage rows sent this match, after cancelling
+      };
+      events.on('lock', event => {
+        player.locks.push({ lines: event.linesCleared, combo: player.engine.scoring.combo });
+      });
+      events.on('gameOver', event => {
+        player.outcome = { won: event.won, title: event.title };
+      });
+      return player;
+    });
+  }
+
+  /**
+   * Advances every board still in play by one tick, resolves the garbage its locks sent,
+   * then checks whether the match is decided
+   * @param {Array<string|null>} actions - Input held by each player this tick, by player index
+   */
+  tick(actions = []) {
+    if (this.over) return;
+
+    this.ticks++;
+    this.players.forEach((player, i) => {
+      if (!player.engine.gameOver) player.engine.tick(actions[i] || null);
+    });
+    this.players.forEach(player => this.resolveLocks(player));
+    this.checkEnd();
+  }
+
+  /**
+   * Applies a player's locks this tick: clears attack (cancelling incoming garbage first),
+   * and a lock that clears nothing lets the incoming garbage rise
+   * Garbage is resolved between ticks because the engine is mid-lock when it reports one.
+   * @param {Object} player - Player whose locks to resolve
+   */
+  resolveLocks(player) {
+    const locks = player.locks;
+    player.locks = [];
+
+    for (const { lines, combo } of locks) {
+      if (player.engine.gameOver) return;
+
+      if (lines > 0) {
+        const rows = this.attack.rowsFor(lines, combo);
+        const cancelled = Math.min(rows, player.incoming);
+        const target = this.targetOf(player);
+        const sent = target ? rows - cancelled : 0;
+        if (cancelled > 0) this.setIncoming(player, player.incoming - cancelled);
+        if (sent > 0) {
+          player.sent += sent;
+          this.sendGarbage(target, sent);
+        }
+        if (rows > 0) {
+          player.events.emit('garbageSent', { type: 'garbageSent', rows: sent, cancelled });
+        }
+      } else if (player.incoming > 0) {
+        this.raiseGarbage(player);
+      }
+    }
+  }
+
+  /**
+   * Adds attacking rows to a player's incoming garbage
+   * @param {Object} target - Player under attack
+   * @param {number} rows - Rows sent
+   */
+  sendGarbage(target, rows) {
+    this.setIncoming(target, target.incoming + rows);
+  }
+
+  /**
+   * Pushes all of a player's incoming garbage up from the bottom of their board
+   * @param {Object} player - Player whose garbage rises
+   * @param {number} gap - Column left empty in the rows (a random column when omitted)
+   */
+  raiseGarbage(player, gap = this.rng.nextInt(player.engine.rules.width)) {
+    const rows = player.incoming;
+    this.setIncoming(player, 0);
+    player.engine.receiveGarbage(rows, gap);
+  }
+
+  /**
+   * Picks who a player's garbage goes to: the next player in turn still in play
+   * @param {Object} player - Attacking player
+   * @returns {Object|null} Target player, or null if no one else is in play
+   */
+  targetOf(player) {
+    for (let step = 1; step < this.players.length; step++) {
+      const other = this.players[(player.index + step) % this.players.length];
+      if (!other.engine.gameOver) return other;
+    }
+    return null;
+  }
+
+  /**
+   * Changes the garbage waiting on a board and reports it on the player's event bus
+   * @param {Object} player - Player whose board to update
+   * @param {number} incoming - Rows now waiting
+   */
+  setIncoming(player, incoming) {
+    player.incoming = incoming;
+    player.events.emit('garbageIncoming', { type: 'garbageIncoming', incoming });
+  }
+
+  /**
+   * Ends the match if a player reached their goal or at most one player is left
+   */
+  checkEnd() {
+    const winners = this.players.filter(player => player.outcome && player.outcome.won);
+    const standing = this.players.filter(player => !player.engine.gameOver);
+
+    if (winners.length > 0) {
+      this.finish(winners);
+    } else if (standing.length === 1 && this.players.length > 1) {
+      this.finish(standing);
+    } else if (standing.length === 0) {
+      // Everyone left topped out on the same tick
+      this.finish(this.players.filter(player => player.engine.ticks === this.ticks));
+    }
+  }
+
+  /**
+   * Ends the match at the players' request; the highest score wins
+   */
+  resign() {
+    if (!this.over) this.finish(this.players);
+  }
+
+  /**
+   * Decides the match between the contenders: the highest score wins, a tie is a draw
+   * @param {Array<Object>} contenders - Players who can still win
+   */
+  finish(contenders) {
+    const best = Math.max(...contenders.map(player => player.engine.score));
+    const leaders = contenders.filter(player => player.engine.score === best);
+    const winner = leaders.length === 1 ? leaders[0] : null;
+
+    this.over = true;
+    this.result = {
+      winner: winner ? winner.index : null,
+      title: winner ? `${winner.name} Wins!` : 'Draw',
+      seed: this.seed,
+      players: this.players.map(player => ({
+        name: player.name,
+        won: player === winner,
+        results: [...player.engine.mode.results(player.engine), { label: 'Garbage Sent', value: player.sent }]
+      }))
+    };
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * AutopilotStrategy Class
+ * Base class for autopilot strategies. A strategy looks at the engine and
+ * picks the direction the snake should take on its next move, the same
+ * steering actions a player's keys produce, so it can drive the game in the
+ * browser (see Autopilot) or headless with engine.step().
+ */
+class AutopilotStrategy {
+  /**
+   * Creates a strategy
+   * @param {string} id - Unique identifier
+   * @param {string} name - Display name
+   * @param {string} description - One-line description
+   */
+  constructor(id, name, description) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * Registers a strategy class so it can be created by id
+   * @param {Function} StrategyClass - AutopilotStrategy subclass with a static ID
+   */
+  static register(StrategyClass) {
+    AutopilotStrategy.strategies.set(StrategyClass.ID, StrategyClass);
+  }
+
+  /**
+   * Creates a strategy by id
+   * @param {string} id - Registered strategy id
+   * @param {Object} options - Options for the strategy's constructor
+   * @returns {AutopilotStrategy} New strategy instance
+   * @throws {Error} If no strategy is registered under the id
+   */
+  static create(id, options = {}) {
+    const StrategyClass = AutopilotStrategy.strategies.get(id);
+    if (!StrategyClass) {
+      throw new Error(`Unknown autopilot strategy: ${id}`);
+    }
+    return new StrategyClass(options);
+  }
+
+  /**
+   * Lists every registered strategy, in registration order
+   * @returns {Array<AutopilotStrategy>} One instance of each strategy
+   */
+  static list() {
+    return [...AutopilotStrategy.strategies.keys()].map(id => AutopilotStrategy.create(id));
+  }
+
+  /**
+   * Forgets anything remembered about the previous game
+   */
+  reset() {}
+
+  /**
+   * Picks the direction for the snake's next move
+   * @param {Engine} engine - The running engine
+   * @returns {string|null} 'up', 'down', 'left' or 'right', or null to keep going straight
+   */
+  decide(engine) {
+    return null;
+  }
+
+  /**
+   * Checks whether steering a direction would move the snake without locking it
+   * @param {Engine} engine - The running engine
+   * @param {string} action - Direction to test
+   * @returns {boolean} True if the snake can turn that way and the cell ahead is free
+   */
+  isSafe(engine, action) {
+    const { grid, snake } = engine;
+    const direction = Engine.DIRECTIONS[action];
+    if (AutopilotStrategy.isReverse(snake, action)) return false;
+
+    const head = snake.getHead();
+    const x = head.x + direction.x;
+    const y = head.y + direction.y;
+    return !grid.isCollision(x, y) && !snake.isCollidingWith(x, y, true);
+  }
+
+  /**
+   * Checks whether a direction would turn the snake back on itself (which it ignores)
+   * @param {Snake} snake - The falling snake
+   * @param {string} action - Direction to test
+   * @returns {boolean} True if the direction is the opposite of the current one
+   */
+  static isReverse(snake, action) {
+    const direction = Engine.DIRECTIONS[action];
+    return direction.x === -snake.direction.x && direction.y === -snake.direction.y;
+  }
+
+  /**
+   * Names the direction the snake is moving in
+   * @param {Snake} snake - The falling snake
+   * @returns {string} 'up', 'down', 'left' or 'right'
+   */
+  static currentAction(snake) {
+    return AutopilotStrategy.ACTIONS.find(action => {
+      const direction = Engine.DIRECTIONS[action];
+      return direction.x === snake.direction.x && direction.y === snake.direction.y;
+    });
+  }
+}
+
+// Registered strategy classes by id
+AutopilotStrategy.strategies = new Map();
+
+// Strategy used when none is chosen
+AutopilotStrategy.DEFAULT_ID = 'planner';
+
+// Steering actions, in the order strategies prefer them when tied
+AutopilotStrategy.ACTIONS = Object.freeze(['down', 'left', 'right', 'up']);
@@ -0,0 +1,42 @@
+/**
+ * GreedyStrategy Class
+ * Chases the food: steers toward it along the shortest grid distance,
+ * never into a wall, a placed block or its own body. The snake only locks
+ * once it has boxed itself in.
+ */
+class GreedyStrategy extends AutopilotStrategy {
+  /**
+   * Creates the strategy
+   */
+  constructor() {
+    super(GreedyStrategy.ID, 'Greedy', 'Chases the food and avoids anything it would lock against.');
+  }
+
+  /**
+   * Picks the safe direction that brings the head closest to the food
+   * @param {Engine} engine - The running engine
+   * @returns {string|null} Direction to steer, or null if every way is blocked
+   */
+  decide(engine) {
+    const head = engine.snake.getHead();
+    const { food } = engine.grid;
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const action of AutopilotStrategy.ACTIONS) {
+      if (!this.isSafe(engine, action)) continue;
+
+      const direction = Engine.DIRECTIONS[action];
+      const distance = Math.abs(head.x + direction.x - food.x) + Math.abs(head.y + direction.y - food.y);
+      if (distance < bestDistance) {
+        best = action;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+}
+
+GreedyStrategy.ID = 'greedy';
+
+AutopilotStrategy.register(GreedyStrategy);
@@ -0,0 +1,220 @@
+/**
+ * PlacementStrategy Class
+ * Plans where each snake locks. For every column it traces a route across to
+ * the column, straight down onto the stack and optionally along it to the
+ * left or right, works out the cells the body covers when it locks at the
+ * end, and scores the board that leaves: completed lines against holes,
+ * stack height and bumpiness (see DEFAULT_WEIGHTS). The snake then follows
+ * the best route until it locks, and a new plan is made for the next one.
+ */
+class PlacementStrategy extends AutopilotStrategy {
+  /**
+   * Creates the strategy
+   * @param {Object} options - Strategy options {weights}
+   * @param {Object} options.weights - Evaluation weights, merged over PlacementStrategy.DEFAULT_WEIGHTS
+   */
+  constructor({ weights = {} } = {}) {
+    super(PlacementStrategy.ID, 'Planner', 'Plans where each snake locks, weighing line clears against holes and height.');
+    this.weights = { ...PlacementStrategy.DEFAULT_WEIGHTS, ...weights };
+    this.plan = null;                   // Route being followed: {landed, start, path, finish, score}
+  }
+
+  /**
+   * Drops the current plan
+   */
+  reset() {
+    this.plan = null;
+  }
+
+  /**
+   * Steers along the planned route, planning a new one for each new snake
+   * @param {Engine} engine - The running engine
+   * @returns {string|null} Direction to steer, or null if no route was found
+   */
+  decide(engine) {
+    const head = engine.snake.getHead();
+    let position = this.locate(engine, head);
+    if (position === null) {
+      this.plan = this.choosePlan(engine);
+      position = -1;
+    }
+    if (!this.plan) return null;
+
+    // Past the end of the route, keep pushing into whatever the snake locks against
+    const next = this.plan.path[position + 1];
+    return next ? PlacementStrategy.actionBetween(head, next) : this.plan.finish;
+  }
+
+  /**
+   * Finds how far along the current plan the snake's head is
+   * A lock since the plan was made, or a head off the route (e.g. lifted by
+   * garbage), means the plan no longer applies.
+   * @param {Engine} engine - The running engine
+   * @param {Object} head - The snake's head {x, y}
+   * @returns {number|null} Index of the head in the route (-1 at its start), or null to plan again
+   */
+  locate(engine, head) {
+    const { plan } = this;
+    if (!plan || plan.landed !== engine.grid.landedBlocks) return null;
+    if (head.x === plan.start.x && head.y === plan.start.y) return -1;
+
+    const index = plan.path.findIndex(cell => cell.x === head.x && cell.y === head.y);
+    return index >= 0 ? index : null;
+  }
+
+  /**
+   * Traces every candidate route for the falling snake and keeps the best
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Best plan, or null if the snake cannot move anywhere
+   */
+  choosePlan(engine) {
+    let best = null;
+    for (let column = 0; column < engine.rules.width; column++) {
+      for (const slide of PlacementStrategy.SLIDES) {
+        const plan = this.tracePath(engine, column, slide);
+        if (plan && (!best || plan.score > best.score)) best = plan;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Traces one route: across to a column, down onto the stack, then optionally along it
+   * @param {Engine} engine - The running engine
+   * @param {number} column - Column to drop down
+   * @param {string|null} slide - Direction to slide after landing ('left' or 'right'), or null
+   * @returns {Object|null} Scored plan, or null if the route is blocked
+   */
+  tracePath(engine, column, slide) {
+    const { grid, snake } = engine;
+    const start = snake.getHead();
+    const path = [];
+    const visited = new Set(snake.body.map(seg => `${seg.x},${seg.y}`));
+    let position = start;
+    let heading = snake.direction;
+
+    // Moves the head one cell, refusing blocked cells and turns back on itself
+    const advance = action => {
+      const direction = Engine.DIRECTIONS[action];
+      const x = position.x + direction.x;
+      const y = position.y + direction.y;
+      const reverse = direction.x === -heading.x && direction.y === -heading.y;
+      if (reverse || grid.isCollision(x, y) || visited.has(`${x},${y}`)) return false;
+
+      position = { x, y };
+      heading = direction;
+      path.push(position);
+      visited.add(`${x},${y}`);
+      return true;
+    };
+
+    while (position.x !== column) {
+      if (!advance(column < position.x ? 'left' : 'right')) return null;
+    }
+    while (advance('down'));
+    if (slide) {
+      while (advance(slide));
+    }
+
+    // The body locks over the last cells the head passed through
+    const length = snake.body.length;
+    const cells = [...snake.body].reverse().concat(path).slice(-length);
+    return {
+      landed: grid.landedBlocks,
+      start: { x: start.x, y: start.y },
+      path,
+      finish: slide || 'down',
+      score: this.evaluate(engine, cells)
+    };
+  }
+
+  /**
+   * Scores the board left by locking the snake over the given cells
+   * @param {Engine} engine - The running engine
+   * @param {Array<Object>} cells - Cells the body locks over {x, y}
+   * @returns {number} Weighted score; higher is better
+   */
+  evaluate(engine, cells) {
+    const { width, height } = engine.rules;
+    const filled = new Set(engine.grid.staticBlocks.keys());
+    let overflow = 0;
+    for (const { x, y } of cells) {
+      if (y < 0) {
+        overflow++;
+      } else {
+        filled.add(`${x},${y}`);
+      }
+    }
+
+    // Rows the lock completes
+    const full = new Set();
+    for (const { y } of cells) {
+      if (y < 0 || full.has(y)) continue;
+      let complete = true;
+      for (let x = 0; x < width && complete; x++) {
+        complete = filled.has(`${x},${y}`);
+      }
+      if (complete) full.add(y);
+    }
+
+    // Column heights and holes once the completed rows are gone
+    const heights = [];
+    let holes = 0;
+    for (let x = 0; x < width; x++) {
+      let row = 0;
+      let top = 0;
+      let blocks = 0;
+      for (let y = height - 1; y >= 0; y--) {
+        if (full.has(y)) continue;
+        row++;
+        if (filled.has(`${x},${y}`)) {
+          blocks++;
+          top = row;
+        }
+      }
+      heights.push(top);
+      holes += top - blocks;
+    }
+
+    let bumpiness = 0;
+    for (let x = 1; x < width; x++) {
+      bumpiness += Math.abs(heights[x] - heights[x - 1]);
+    }
+    const aggregateHeight = heights.reduce((sum, h) => sum + h, 0);
+
+    const { weights } = this;
+    return weights.lines * full.size +
+      weights.holes * holes +
+      weights.height * aggregateHeight +
+      weights.bumpiness * bumpiness +
+      weights.overflow * overflow;
+  }
+
+  /**
+   * Names the direction from one cell to a neighbouring one
+   * @param {Object} from - Cell {x, y}
+   * @param {Object} to - Adjacent cell {x, y}
+   * @returns {string} 'up', 'down', 'left' or 'right'
+   */
+  static actionBetween(from, to) {
+    if (to.x < from.x) return 'left';
+    if (to.x > from.x) return 'right';
+    return to.y < from.y ? 'up' : 'down';
+  }
+}
+
+PlacementStrategy.ID = 'planner';
+
+// How a route can end after dropping onto the stack
+PlacementStrategy.SLIDES = Object.freeze([null, 'left', 'right']);
+
+// Default evaluation weights; strategies can be created with their own
+PlacementStrategy.DEFAULT_WEIGHTS = {
+  lines: 0.76,                          // Per line the lock completes
+  holes: -0.36,                         // Per empty cell with a block above it
+  height: -0.51,                        // Per row of stack, summed over the columns
+  bumpiness: -0.18,                     // Per row of difference between neighbouring columns
+  overflow: -10                         // Per cell locked above the top of the grid
+};
+
+AutopilotStrategy.register(PlacementStrategy);
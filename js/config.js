@@ -3,10 +3,8 @@
  * Central configuration object containing all game parameters
  */
 const config = {
-  // Display dimensions (in pixels)
+  // Display dimensions (in pixels); the board size in cells comes from the rules (see RulePresets)
   CELL_SIZE: 30,        // Size of each game grid cell
-  GRID_WIDTH: 20,       // Number of cells horizontally
-  GRID_HEIGHT: 30,      // Number of cells vertically
   HUD_HEIGHT: 100,      // Height of the heads-up display
 
   // Color scheme
@@ -14,14 +12,26 @@ const config = {
     SNAKE: "#22cc22",   // Snake color (must be green)
     BLOCK: "#ff7700",   // Color of placed blocks
     FOOD: "#ff3377",    // Color of food items
+    GARBAGE: "#6b6b80", // Color of rising garbage blocks
     GRID: "#2a2a45"     // Color of grid lines
   },
   
-  // Movement timing (in milliseconds)
-  SPEEDS: {
-    MOVE_DELAY: 350,    // Base falling speed
-    FAST_MOVE_DELAY: 50, // Speed when down key is held
-    HOLD_SCALE: 500     // Scale for descent acceleration
+  // Upcoming snake preview
+  PREVIEW: {
+    COUNT: 3,           // Upcoming snakes shown in the HUD (1 to QUEUE_SIZE)
+    QUEUE_SIZE: 5       // Upcoming snakes generated ahead of time
+  },
+
+  // Collectible power-ups
+  POWER_UPS: {
+    SPAWN_CHANCE: 0.15, // Chance of a power-up appearing after each lock (when none is on the grid)
+    LIFETIME: 50        // Moves a power-up stays on the grid before disappearing
+  },
+
+  // Simulation clock
+  TICKS: {
+    RATE: 60,           // Logical ticks per second, independent of display refresh rate
+    MAX_CATCH_UP: 10    // Most ticks simulated in one frame; any older backlog is dropped
   },
 
   // Mobile-specific settings
@@ -34,7 +44,8 @@ const config = {
 }; 
 
 // Force snake color to be green across the application
-document.addEventListener('DOMContentLoaded', () => {
+// (skipped when the rules are loaded headless, e.g. in Node)
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
   // Ensure CSS variables match the config
   const style = document.createElement('style');
   style.textContent = `
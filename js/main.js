@@ -5,4 +5,7 @@
  */
 document.addEventListener('DOMContentLoaded', () => {
   const game = new Game('gameCanvas');
+  
+  // Exposed so plugins and the console can reach the running game
+  window.game = game;
 }); 
\ No newline at end of file
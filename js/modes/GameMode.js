@@ -0,0 +1,157 @@
+/**
+ * GameMode Class
+ * Base class for game modes. A mode decides when a game ends, what happens
+ * when the stack tops out, how the level is derived, and which fields the
+ * HUD and results screen show. Mode instances keep no state of their own;
+ * anything a mode must remember lives in engine.modeState (see initialState()),
+ * so snapshots can carry it and replays only need the id.
+ */
+class GameMode {
+  /**
+   * Creates a mode
+   * @param {string} id - Unique identifier stored in saves and replays
+   * @param {string} name - Display name
+   * @param {string} description - One-line description for the menu
+   */
+  constructor(id, name, description) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * Registers a mode class so it can be selected and created by id
+   * @param {Function} ModeClass - GameMode subclass with a static ID
+   */
+  static register(ModeClass) {
+    GameMode.modes.set(ModeClass.ID, ModeClass);
+  }
+
+  /**
+   * Creates a mode by id
+   * @param {string} id - Registered mode id
+   * @returns {GameMode} New mode instance
+   * @throws {Error} If no mode is registered under the id
+   */
+  static create(id) {
+    const ModeClass = GameMode.modes.get(id);
+    if (!ModeClass) {
+      throw new Error(`Unknown game mode: ${id}`);
+    }
+    return new ModeClass();
+  }
+
+  /**
+   * Lists every registered mode, in registration order
+   * @returns {Array<GameMode>} One instance of each mode
+   */
+  static list() {
+    return [...GameMode.modes.keys()].map(id => GameMode.create(id));
+  }
+
+  /**
+   * Formats a number of logical ticks as a clock
+   * @param {number} ticks - Duration in ticks
+   * @returns {string} Time formatted as m:ss.cc
+   */
+  static formatTime(ticks) {
+    const totalCentis = Math.floor(ticks * 100 / config.TICKS.RATE);
+    const minutes = Math.floor(totalCentis / 6000);
+    const seconds = Math.floor(totalCentis / 100) % 60;
+    const centis = totalCentis % 100;
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${String(centis).padStart(2, '0')}`;
+  }
+
+  /**
+   * Creates the mode's per-game state, kept in engine.modeState
+   * Must be plain JSON-safe data so it can be saved in snapshots
+   * @param {Engine} engine - The engine starting a game
+   * @returns {Object} Initial mode state
+   */
+  initialState(engine) {
+    return {};
+  }
+
+  /**
+   * Advances mode-specific rules by one tick
+   * Called after the snake has had its chance to move
+   * @param {Engine} engine - The running engine
+   */
+  update(engine) {}
+
+  /**
+   * Calculates the level from the game's progress
+   * Default: one level per 80 landed blocks
+   * @param {Engine} engine - The running engine
+   * @returns {number} Current level
+   */
+  levelFor(engine) {
+    return 1 + Math.floor(engine.grid.landedBlocks / 80);
+  }
+
+  /**
+   * Checks whether the mode's end condition has been met
+   * Called after every tick or step
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Outcome ({won, title}) when the game should end, otherwise null
+   */
+  checkEnd(engine) {
+    return null;
+  }
+
+  /**
+   * Handles a new snake spawning into occupied cells
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Outcome ({won, title}) to end the game, or null if the mode recovered
+   */
+  handleTopOut(engine) {
+    return { won: false, title: 'Game Over' };
+  }
+
+  /**
+   * Outcome when the player ends the game themselves from the pause menu
+   * @param {Engine} engine - The running engine
+   * @returns {Object} Outcome ({won, title})
+   */
+  resign(engine) {
+    return { won: false, title: 'Game Over' };
+  }
+
+  /**
+   * Scoring values for this mode, merged over Scoring.DEFAULT_TABLE
+   * @returns {Object} Scoring table overrides
+   */
+  scoringTable() {
+    return {};
+  }
+
+  /**
+   * Fields shown in the HUD during play
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Level', value: engine.level }
+    ];
+  }
+
+  /**
+   * Fields shown on the results screen when the game ends
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      { label: 'Final Score', value: engine.score },
+      { label: 'Level Reached', value: engine.level }
+    ];
+  }
+}
+
+// Registered mode classes by id
+GameMode.modes = new Map();
+
+// Mode used when none is chosen
+GameMode.DEFAULT_ID = 'marathon';
@@ -0,0 +1,82 @@
+/**
+ * GarbageMode Class
+ * Survival against a rising stack: on a timer, a garbage row with a single
+ * gap is pushed up from the bottom. Rows come faster as the level rises, and
+ * the game ends when blocks are pushed out of the top of the grid.
+ */
+class GarbageMode extends GameMode {
+  /**
+   * Creates the mode
+   */
+  constructor() {
+    super(GarbageMode.ID, 'Garbage', 'Survive as garbage rows rise from the bottom, faster every level.');
+  }
+
+  /**
+   * Ticks between garbage rows at a level
+   * @param {number} level - Current level
+   * @returns {number} Interval in ticks
+   */
+  intervalFor(level) {
+    const seconds = Math.max(GarbageMode.MIN_INTERVAL_SECONDS,
+      GarbageMode.BASE_INTERVAL_SECONDS - (level - 1) * GarbageMode.INTERVAL_STEP_SECONDS);
+    return Math.round(seconds * config.TICKS.RATE);
+  }
+
+  /**
+   * Schedules the first garbage row
+   * @param {Engine} engine - The engine starting a game
+   * @returns {Object} State {nextRowTick, rows}
+   */
+  initialState(engine) {
+    return { nextRowTick: this.intervalFor(1), rows: 0 };
+  }
+
+  /**
+   * Pushes a garbage row when its time comes and schedules the next one
+   * @param {Engine} engine - The running engine
+   */
+  update(engine) {
+    const state = engine.modeState;
+    if (engine.ticks < state.nextRowTick) return;
+
+    state.rows++;
+    state.nextRowTick = engine.ticks + this.intervalFor(engine.level);
+    engine.pushGarbageRow();
+  }
+
+  /**
+   * Score, level and time until the next row
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    const ticksLeft = Math.max(0, engine.modeState.nextRowTick - engine.ticks);
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Level', value: engine.level },
+      { label: 'Next Row', value: `${(ticksLeft / config.TICKS.RATE).toFixed(1)}s` }
+    ];
+  }
+
+  /**
+   * Final score, garbage rows survived and time
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      { label: 'Final Score', value: engine.score },
+      { label: 'Rows Survived', value: engine.modeState.rows },
+      { label: 'Level Reached', value: engine.level },
+      { label: 'Time', value: GameMode.formatTime(engine.ticks) }
+    ];
+  }
+}
+
+GarbageMode.ID = 'garbage';
+GarbageMode.BASE_INTERVAL_SECONDS = 12;     // Time between rows at level 1
+GarbageMode.INTERVAL_STEP_SECONDS = 1;      // Reduction per level
+GarbageMode.MIN_INTERVAL_SECONDS = 3;       // Fastest row rate
+
+GameMode.register(GarbageMode);
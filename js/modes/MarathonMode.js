@@ -0,0 +1,62 @@
+/**
+ * MarathonMode Class
+ * The classic rules: play on as the speed increases, until the level cap is
+ * reached (a win, the moment the level is reached) or the stack tops out.
+ */
+class MarathonMode extends GameMode {
+  /**
+   * Creates the mode
+   */
+  constructor() {
+    super(MarathonMode.ID, 'Marathon', `Classic rules. Reach level ${MarathonMode.LEVEL_CAP} to win.`);
+  }
+
+  /**
+   * Default leveling, capped at the winning level
+   * @param {Engine} engine - The running engine
+   * @returns {number} Current level
+   */
+  levelFor(engine) {
+    return Math.min(MarathonMode.LEVEL_CAP, super.levelFor(engine));
+  }
+
+  /**
+   * Wins as soon as the level cap is reached; the capped level is not played through
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Outcome, or null while still playing
+   */
+  checkEnd(engine) {
+    return engine.level >= MarathonMode.LEVEL_CAP ? { won: true, title: 'Marathon Complete!' } : null;
+  }
+
+  /**
+   * Score, level progress and lines
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Level', value: `${engine.level}/${MarathonMode.LEVEL_CAP}` },
+      { label: 'Lines', value: engine.linesCleared }
+    ];
+  }
+
+  /**
+   * Score, level, lines and time played
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      ...super.results(engine),
+      { label: 'Lines', value: engine.linesCleared },
+      { label: 'Time', value: GameMode.formatTime(engine.ticks) }
+    ];
+  }
+}
+
+MarathonMode.ID = 'marathon';
+MarathonMode.LEVEL_CAP = 15;                // Reaching this level wins the game
+
+GameMode.register(MarathonMode);
@@ -0,0 +1,51 @@
+/**
+ * SprintMode Class
+ * Race to clear a fixed number of lines as fast as possible.
+ */
+class SprintMode extends GameMode {
+  /**
+   * Creates the mode
+   */
+  constructor() {
+    super(SprintMode.ID, 'Sprint', `Clear ${SprintMode.LINE_GOAL} lines as fast as possible.`);
+  }
+
+  /**
+   * Ends with a win once the line goal is reached
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Outcome, or null while still playing
+   */
+  checkEnd(engine) {
+    return engine.linesCleared >= SprintMode.LINE_GOAL ? { won: true, title: 'Sprint Complete!' } : null;
+  }
+
+  /**
+   * Line progress and elapsed time
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    return [
+      { label: 'Lines', value: `${Math.min(engine.linesCleared, SprintMode.LINE_GOAL)}/${SprintMode.LINE_GOAL}` },
+      { label: 'Time', value: GameMode.formatTime(engine.ticks) }
+    ];
+  }
+
+  /**
+   * Finishing time (or lines reached when topped out)
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      { label: 'Time', value: GameMode.formatTime(engine.ticks) },
+      { label: 'Lines', value: `${Math.min(engine.linesCleared, SprintMode.LINE_GOAL)}/${SprintMode.LINE_GOAL}` },
+      { label: 'Score', value: engine.score }
+    ];
+  }
+}
+
+SprintMode.ID = 'sprint';
+SprintMode.LINE_GOAL = 40;                  // Lines to clear to finish
+
+GameMode.register(SprintMode);
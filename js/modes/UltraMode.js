@@ -0,0 +1,67 @@
+/**
+ * UltraMode Class
+ * Score as much as possible before the clock runs out.
+ */
+class UltraMode extends GameMode {
+  /**
+   * Creates the mode
+   */
+  constructor() {
+    super(UltraMode.ID, 'Ultra', `Score as much as you can in ${UltraMode.TIME_LIMIT_SECONDS / 60} minutes.`);
+  }
+
+  /**
+   * Time limit in logical ticks
+   * @returns {number} Ticks until the game ends
+   */
+  get timeLimit() {
+    return UltraMode.TIME_LIMIT_SECONDS * config.TICKS.RATE;
+  }
+
+  /**
+   * Ends when the time limit is reached
+   * @param {Engine} engine - The running engine
+   * @returns {Object|null} Outcome, or null while time remains
+   */
+  checkEnd(engine) {
+    return engine.ticks >= this.timeLimit ? { won: true, title: "Time's Up!" } : null;
+  }
+
+  /**
+   * Score attack: streaks are worth more than in the other modes
+   * @returns {Object} Scoring table overrides
+   */
+  scoringTable() {
+    return { combo: 50, backToBack: 1 };
+  }
+
+  /**
+   * Score and remaining time
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Time Left', value: GameMode.formatTime(Math.max(0, this.timeLimit - engine.ticks)) }
+    ];
+  }
+
+  /**
+   * Final score and lines
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      { label: 'Final Score', value: engine.score },
+      { label: 'Lines', value: engine.linesCleared },
+      { label: 'Level Reached', value: engine.level }
+    ];
+  }
+}
+
+UltraMode.ID = 'ultra';
+UltraMode.TIME_LIMIT_SECONDS = 180;         // Length of a game
+
+GameMode.register(UltraMode);
@@ -0,0 +1,66 @@
+/**
+ * ZenMode Class
+ * Relaxed endless play: topping out never ends the game, the stack is
+ * trimmed from the bottom instead until the new snake fits.
+ */
+class ZenMode extends GameMode {
+  /**
+   * Creates the mode
+   */
+  constructor() {
+    super(ZenMode.ID, 'Zen', 'No game over. The stack is trimmed when it reaches the top.');
+  }
+
+  /**
+   * Removes bottom rows until the spawned snake has room
+   * @param {Engine} engine - The running engine
+   * @returns {null} Zen never ends
+   */
+  handleTopOut(engine) {
+    let rows = 0;
+    while (engine.isSpawnBlocked() && engine.grid.staticBlocks.size > 0) {
+      engine.grid.removeLine(engine.rules.height - 1);
+      rows++;
+    }
+    engine.emit('stackTrimmed', { rows });
+    return null;
+  }
+
+  /**
+   * Ending a Zen session is the normal way to finish
+   * @param {Engine} engine - The running engine
+   * @returns {Object} Outcome ({won, title})
+   */
+  resign(engine) {
+    return { won: true, title: 'Session Complete' };
+  }
+
+  /**
+   * Score and lines
+   * @param {Engine} engine - The running engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  hudFields(engine) {
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Lines', value: engine.linesCleared }
+    ];
+  }
+
+  /**
+   * Session summary
+   * @param {Engine} engine - The finished engine
+   * @returns {Array<Object>} Fields as {label, value}
+   */
+  results(engine) {
+    return [
+      { label: 'Score', value: engine.score },
+      { label: 'Lines', value: engine.linesCleared },
+      { label: 'Time', value: GameMode.formatTime(engine.ticks) }
+    ];
+  }
+}
+
+ZenMode.ID = 'zen';
+
+GameMode.register(ZenMode);
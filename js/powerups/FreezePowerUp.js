@@ -0,0 +1,31 @@
+/**
+ * FreezePowerUp Class
+ * Stops the snake's descent for a few seconds; it only moves when steered.
+ */
+class FreezePowerUp extends PowerUp {
+  /**
+   * Creates the power-up
+   */
+  constructor() {
+    super(FreezePowerUp.ID, 'Freeze', {
+      duration: 4 * config.TICKS.RATE,
+      weight: 3,
+      color: '#a0d8ff',
+      symbol: 'F'
+    });
+  }
+
+  /**
+   * Skips every move the player did not steer
+   * @param {Engine} engine - The running engine
+   * @param {string|null} action - Steering input for the move, or null
+   * @returns {boolean} True when there is no steering input
+   */
+  holdsPosition(engine, action) {
+    return !action;
+  }
+}
+
+FreezePowerUp.ID = 'freeze';
+
+PowerUp.register(FreezePowerUp);
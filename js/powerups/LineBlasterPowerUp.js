@@ -0,0 +1,32 @@
+/**
+ * LineBlasterPowerUp Class
+ * Instantly removes the bottom row of blocks.
+ */
+class LineBlasterPowerUp extends PowerUp {
+  /**
+   * Creates the power-up
+   */
+  constructor() {
+    super(LineBlasterPowerUp.ID, 'Line Blaster', {
+      duration: 0,
+      weight: 2,
+      color: '#ffb347',
+      symbol: 'L'
+    });
+  }
+
+  /**
+   * Removes the bottom row and lets the blocks above settle
+   * @param {Engine} engine - The running engine
+   */
+  activate(engine) {
+    const bottom = engine.rules.height - 1;
+    engine.grid.removeLine(bottom);
+    engine.grid.settle();
+    engine.emit('lineBlasted', { y: bottom });
+  }
+}
+
+LineBlasterPowerUp.ID = 'lineBlaster';
+
+PowerUp.register(LineBlasterPowerUp);
@@ -0,0 +1,50 @@
+/**
+ * MagnetPowerUp Class
+ * Pulls the food one cell toward the snake's head after every move.
+ */
+class MagnetPowerUp extends PowerUp {
+  /**
+   * Creates the power-up
+   */
+  constructor() {
+    super(MagnetPowerUp.ID, 'Magnet', {
+      duration: 8 * config.TICKS.RATE,
+      weight: 3,
+      color: '#ff4f4f',
+      symbol: 'M'
+    });
+  }
+
+  /**
+   * Moves the food along the longer axis toward the head, or the shorter one if that is blocked
+   * It stops next to the head rather than under it; the snake eats it by moving onto it.
+   * @param {Engine} engine - The running engine
+   */
+  afterMove(engine) {
+    const { grid, snake } = engine;
+    const head = snake.getHead();
+    const food = grid.food;
+    const dx = Math.sign(head.x - food.x);
+    const dy = Math.sign(head.y - food.y);
+    const steps = Math.abs(head.x - food.x) >= Math.abs(head.y - food.y)
+      ? [{ x: dx, y: 0 }, { x: 0, y: dy }]
+      : [{ x: 0, y: dy }, { x: dx, y: 0 }];
+
+    for (const step of steps) {
+      const x = food.x + step.x;
+      const y = food.y + step.y;
+      // Food never enters the top row, blocks, the snake (head included) or a power-up
+      const isHead = x === head.x && y === head.y;
+      if ((step.x !== 0 || step.y !== 0) && y >= 1 && !grid.isCollision(x, y) &&
+          !isHead && !snake.isCollidingWith(x, y) && !grid.isPowerUpAt(x, y)) {
+        food.x = x;
+        food.y = y;
+        return;
+      }
+    }
+  }
+}
+
+MagnetPowerUp.ID = 'magnet';
+
+PowerUp.register(MagnetPowerUp);
@@ -0,0 +1,35 @@
+/**
+ * PhasePowerUp Class
+ * Lets the snake pass through one placed block instead of locking on it.
+ * Walls and the snake's own body still lock it.
+ */
+class PhasePowerUp extends PowerUp {
+  /**
+   * Creates the power-up
+   */
+  constructor() {
+    super(PhasePowerUp.ID, 'Phase', {
+      duration: 10 * config.TICKS.RATE,
+      weight: 3,
+      color: '#5ce1e6',
+      symbol: 'P'
+    });
+  }
+
+  /**
+   * Lets the head into a placed block once, using up the power-up
+   * @param {Engine} engine - The running engine
+   * @param {Object} cell - The blocked cell {x, y}
+   * @returns {boolean} True if the cell holds a placed block
+   */
+  allowsMoveInto(engine, cell) {
+    if (!engine.grid.isStaticBlock(cell.x, cell.y)) return false;
+
+    engine.endPowerUp(this.id);
+    return true;
+  }
+}
+
+PhasePowerUp.ID = 'phase';
+
+PowerUp.register(PhasePowerUp);
@@ -0,0 +1,96 @@
+/**
+ * PowerUp Class
+ * Base class for collectible power-ups. A power-up is picked up when the
+ * snake's head reaches it and then either acts once or stays active for a
+ * number of logical ticks, during which the Engine consults its hooks.
+ * Power-ups keep no state of their own; the Engine tracks the remaining time
+ * of each active one, so snapshots and replays only store ids and counters.
+ */
+class PowerUp {
+  /**
+   * Creates a power-up
+   * @param {string} id - Unique identifier stored in snapshots
+   * @param {string} name - Display name for the HUD
+   * @param {Object} options - Presentation and timing
+   * @param {number} options.duration - Ticks the effect lasts (0 for an instant effect)
+   * @param {number} options.weight - Relative spawn chance
+   * @param {string} options.color - Color for the grid item and HUD indicator
+   * @param {string} options.symbol - Single character drawn on the grid item
+   */
+  constructor(id, name, { duration, weight, color, symbol }) {
+    this.id = id;
+    this.name = name;
+    this.duration = duration;
+    this.weight = weight;
+    this.color = color;
+    this.symbol = symbol;
+  }
+
+  /**
+   * Registers a power-up class so it can spawn and be looked up by id
+   * @param {Function} PowerUpClass - PowerUp subclass with a static ID
+   */
+  static register(PowerUpClass) {
+    PowerUp.types.set(PowerUpClass.ID, new PowerUpClass());
+  }
+
+  /**
+   * Looks up a registered power-up
+   * @param {string} id - Registered power-up id
+   * @returns {PowerUp} The power-up
+   * @throws {Error} If no power-up is registered under the id
+   */
+  static get(id) {
+    const powerUp = PowerUp.types.get(id);
+    if (!powerUp) {
+      throw new Error(`Unknown power-up: ${id}`);
+    }
+    return powerUp;
+  }
+
+  /**
+   * Lists every registered power-up, in registration order
+   * @returns {Array<PowerUp>} The power-ups
+   */
+  static list() {
+    return [...PowerUp.types.values()];
+  }
+
+  /**
+   * Applies the power-up when it is collected
+   * Default: starts (or restarts) its timer
+   * @param {Engine} engine - The running engine
+   */
+  activate(engine) {
+    engine.activePowerUps[this.id] = this.duration;
+  }
+
+  /**
+   * Whether the snake may move into a blocked cell instead of locking
+   * @param {Engine} engine - The running engine
+   * @param {Object} cell - The blocked cell {x, y}
+   * @returns {boolean} True to let the move through
+   */
+  allowsMoveInto(engine, cell) {
+    return false;
+  }
+
+  /**
+   * Whether the snake should stay put when its move timer fires
+   * @param {Engine} engine - The running engine
+   * @param {string|null} action - Steering input for the move, or null
+   * @returns {boolean} True to skip the move
+   */
+  holdsPosition(engine, action) {
+    return false;
+  }
+
+  /**
+   * Called after every move while the power-up is active
+   * @param {Engine} engine - The running engine
+   */
+  afterMove(engine) {}
+}
+
+// Registered power-ups by id
+PowerUp.types = new Map();
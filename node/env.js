@@ -0,0 +1,277 @@
+/**
+ * Agent Environment
+ * A gym-style environment for training agents on the headless engine:
+ * reset(seed) starts an episode and step(action) advances it by one snake
+ * move, returning {observation, reward, done, info}. Each step runs the
+ * game clock for as long as the move takes (see Engine.step()), so modes,
+ * power-ups and timed effects play out as in the game. Observations are a grid
+ * tensor with one channel each for the placed blocks, the snake's body, its
+ * head and the food. Run as a script, it serves the same API as JSON lines
+ * over stdin/stdout so it can be driven from another process (the protocol
+ * is described in the README).
+ *
+ * Usage: node node/env.js
+ */
+const readline = require('readline');
+const { loadEngine } = require('./loadEngine');
+
+const { Engine } = loadEngine();
+
+// Actions by index; null keeps the snake going straight
+const ACTIONS = Object.freeze([null, 'up', 'down', 'left', 'right', 'hold', 'hardDrop']);
+
+// Observation channels, in tensor order
+const CHANNELS = Object.freeze(['blocks', 'snake', 'head', 'food']);
+
+// Default reward weights; environments can override any of these values
+const DEFAULT_REWARD = Object.freeze({
+  score: 0,                             // Per point scored
+  lines: 1,                             // Per line cleared
+  food: 0.1,                            // Per food eaten
+  lock: 0,                              // Per snake locked
+  step: 0,                              // Per step taken
+  gameOver: -1                          // Once, when the game is lost
+});
+
+/**
+ * One environment wrapping one engine
+ */
+class TetrisnakeEnv {
+  /**
+   * Creates an environment; call reset() to start the first episode
+   * @param {Object} options - Environment options
+   * @param {string} options.mode - Game mode id (the default mode when omitted)
+   * @param {Object} options.rules - Rule options, e.g. {preset: 'narrow'} (see Engine.normalizeRules())
+   * @param {Object|Function} options.reward - Reward weights merged over DEFAULT_REWARD, or a function
+   *   ({events, before, after, engine}) => number called after every step
+   * @param {number} options.maxSteps - Steps after which an episode is cut short (a positive integer)
+   * @throws {Error} If the mode, rules, reward weights or step limit are invalid
+   */
+  constructor({ mode = undefined, rules = undefined, reward = {}, maxSteps = 10000 } = {}) {
+    if (!Number.isInteger(maxSteps) || maxSteps <= 0) {
+      throw new Error(`maxSteps must be a positive integer, got ${JSON.stringify(maxSteps)}`);
+    }
+    this.engine = new Engine(null, undefined, mode, rules);
+    this.reward = typeof reward === 'function' ? reward : TetrisnakeEnv.rewardWeights(reward);
+    this.maxSteps = maxSteps;
+    this.steps = 0;                     // Steps taken in the current episode
+    this.done = true;                   // Whether the episode is over (no episode until reset())
+  }
+
+  /**
+   * Starts a new episode
+   * @param {number|string|null} seed - Seed to play (a fresh random seed when omitted)
+   * @returns {Object} {observation, info}
+   */
+  reset(seed = null) {
+    this.engine.reset(seed);
+    this.steps = 0;
+    this.done = false;
+    return { observation: this.observe(), info: this.info() };
+  }
+
+  /**
+   * Advances the episode by one action: one snake move, with the clock running until it happens
+   * @param {number|string|null} action - Index into ACTIONS, or the action itself
+   * @returns {Object} {observation, reward, done, info}; info.truncated is set when maxSteps cut the episode short
+   * @throws {Error} If the action is unknown or the episode is over
+   */
+  step(action) {
+    if (this.done) {
+      throw new Error('The episode is over; call reset() to start a new one');
+    }
+    const resolved = TetrisnakeEnv.resolveAction(action);
+
+    const before = this.stats();
+    const events = this.engine.step(resolved);
+    const after = this.stats();
+    this.steps++;
+
+    const truncated = !this.engine.gameOver && this.steps >= this.maxSteps;
+    this.done = this.engine.gameOver || truncated;
+    return {
+      observation: this.observe(),
+      reward: this.computeReward(events, before, after),
+      done: this.done,
+      info: { ...this.info(), truncated, events: events.map(event => event.type) }
+    };
+  }
+
+  /**
+   * Scores a step with the reward function or weights
+   * @param {Array<Object>} events - Events the engine emitted during the step
+   * @param {Object} before - Statistics before the step (see stats())
+   * @param {Object} after - Statistics after the step
+   * @returns {number} Reward for the step
+   */
+  computeReward(events, before, after) {
+    if (typeof this.reward === 'function') {
+      return this.reward({ events, before, after, engine: this.engine });
+    }
+
+    const weights = this.reward;
+    const count = type => events.filter(event => event.type === type).length;
+    const lost = events.some(event => event.type === 'gameOver' && !event.won);
+    return weights.score * (after.score - before.score) +
+      weights.lines * (after.lines - before.lines) +
+      weights.food * count('foodEaten') +
+      weights.lock * count('lock') +
+      weights.step +
+      (lost ? weights.gameOver : 0);
+  }
+
+  /**
+   * Builds the observation tensor
+   * @returns {Array<Array<Array<number>>>} One height x width grid of 0/1 per channel (see CHANNELS)
+   */
+  observe() {
+    const { grid, snake, rules } = this.engine;
+    const planes = CHANNELS.map(() => Array.from({ length: rules.height }, () => new Array(rules.width).fill(0)));
+    const [blocks, body, head, food] = planes;
+
+    // Cells above the top of the grid (a freshly spawned snake's tail) are left out
+    const mark = (plane, x, y) => {
+      if (x >= 0 && x < rules.width && y >= 0 && y < rules.height) plane[y][x] = 1;
+    };
+    for (const key of grid.staticBlocks.keys()) {
+      const [x, y] = key.split(',').map(Number);
+      mark(blocks, x, y);
+    }
+    snake.body.forEach(seg => mark(body, seg.x, seg.y));
+    mark(head, snake.getHead().x, snake.getHead().y);
+    mark(food, grid.food.x, grid.food.y);
+    return planes;
+  }
+
+  /**
+   * Progress figures the reward is computed from
+   * @returns {Object} {score, lines, level, length}
+   */
+  stats() {
+    const { engine } = this;
+    return {
+      score: engine.score,
+      lines: engine.linesCleared,
+      level: engine.level,
+      length: engine.snake.body.length
+    };
+  }
+
+  /**
+   * Extra information returned with every observation
+   * @returns {Object} Statistics plus {seed, steps, gameOver}
+   */
+  info() {
+    return {
+      ...this.stats(),
+      seed: this.engine.rng.seed,
+      steps: this.steps,
+      gameOver: this.engine.gameOver
+    };
+  }
+
+  /**
+   * Describes the action and observation spaces
+   * @returns {Object} {actions, channels, shape, mode, rules}
+   */
+  spec() {
+    const { rules, mode } = this.engine;
+    return {
+      actions: ACTIONS,
+      channels: CHANNELS,
+      shape: [CHANNELS.length, rules.height, rules.width],
+      mode: mode.id,
+      rules
+    };
+  }
+
+  /**
+   * Turns an action index or name into an engine action
+   * @param {number|string|null} action - Index into ACTIONS, or the action itself
+   * @returns {string|null} Engine action
+   * @throws {Error} If the action is unknown, including inherited object keys such as 'toString' (see Engine.isAction())
+   */
+  static resolveAction(action) {
+    const resolved = Number.isInteger(action) ? ACTIONS[action] : action;
+    if (resolved === undefined || !Engine.isAction(resolved)) {
+      throw new Error(`Unknown action: ${JSON.stringify(action)}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Merges reward weights over the defaults
+   * @param {Object} weights - Weights to override
+   * @returns {Object} Complete weights
+   * @throws {Error} If a weight is unknown or not a number
+   */
+  static rewardWeights(weights) {
+    for (const [key, value] of Object.entries(weights)) {
+      if (!(key in DEFAULT_REWARD)) throw new Error(`Unknown reward weight: ${key}`);
+      if (!Number.isFinite(value)) throw new Error(`Reward weight ${key} must be a number`);
+    }
+    return { ...DEFAULT_REWARD, ...weights };
+  }
+}
+
+/**
+ * Answers one JSON-lines command
+ * @param {Object} session - Server state {env}; 'make' replaces the environment
+ * @param {Object} message - Command {type, ...}
+ * @returns {Object} Reply to write back
+ * @throws {Error} If the command is unknown or fails
+ */
+function handleCommand(session, message) {
+  switch (message.type) {
+    case 'make':
+      session.env = new TetrisnakeEnv({
+        mode: message.mode,
+        rules: message.rules,
+        reward: message.reward || {},
+        maxSteps: message.maxSteps
+      });
+      return { type: 'spec', ...session.env.spec() };
+    case 'spec':
+      return { type: 'spec', ...session.env.spec() };
+    case 'reset':
+      return { type: 'reset', ...session.env.reset(message.seed) };
+    case 'step':
+      return { type: 'step', ...session.env.step(message.action === undefined ? null : message.action) };
+    default:
+      throw new Error(`Unknown command: ${message.type}`);
+  }
+}
+
+/**
+ * Serves the environment over stdin/stdout, one JSON message per line
+ */
+function main() {
+  const session = { env: new TetrisnakeEnv() };
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  let closed = false;
+
+  input.on('line', line => {
+    // Lines already read when 'close' arrived are dropped
+    if (closed || line.trim() === '') return;
+
+    let reply;
+    try {
+      const message = JSON.parse(line);
+      if (message && message.type === 'close') {
+        closed = true;
+        input.close();
+        return;
+      }
+      reply = handleCommand(session, message || {});
+    } catch (e) {
+      reply = { type: 'error', message: e.message };
+    }
+    process.stdout.write(JSON.stringify(reply) + '\n');
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { TetrisnakeEnv, ACTIONS, CHANNELS, DEFAULT_REWARD };
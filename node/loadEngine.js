@@ -0,0 +1,61 @@
+/**
+ * Headless Engine Loader
+ * Loads the browser game scripts that make up the rules into an isolated
+ * Node VM context, in the same order index.html loads them, so the exact
+ * same code runs in the browser and in Node.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Rule scripts in dependency order (no DOM, canvas or audio)
+const CORE_SCRIPTS = [
+  'config.js',
+  'Random.js',
+  'EventEmitter.js',
+  'GameEvents.js',
+  'FoodTypes.js',
+  'RulePresets.js',
+  'Snake.js',
+  'Grid.js',
+  'Scoring.js',
+  'powerups/PowerUp.js',
+  'powerups/PhasePowerUp.js',
+  'powerups/FreezePowerUp.js',
+  'powerups/MagnetPowerUp.js',
+  'powerups/LineBlasterPowerUp.js',
+  'modes/GameMode.js',
+  'modes/MarathonMode.js',
+  'modes/SprintMode.js',
+  'modes/UltraMode.js',
+  'modes/ZenMode.js',
+  'modes/GarbageMode.js',
+  'Engine.js',
+  'TickScheduler.js',
+  'ReplayRecorder.js',
+  'ReplayPlayer.js',
+  'GarbageAttack.js',
+  'VersusMatch.js',
+  'OnlineMatch.js',
+  'autopilot/AutopilotStrategy.js',
+  'autopilot/GreedyStrategy.js',
+  'autopilot/PlacementStrategy.js',
+  'Autopilot.js'
+];
+
+/**
+ * Evaluates the rule scripts and returns the classes they define
+ * @returns {Object} The loaded globals ({config, Random, EventEmitter, GameEvents, FoodTypes, RulePresets, Snake, Grid, Scoring, PowerUp, GameMode, Engine, TickScheduler, ReplayRecorder, ReplayPlayer, GarbageAttack, VersusMatch, OnlineMatch, AutopilotStrategy, Autopilot})
+ */
+function loadEngine() {
+  const context = vm.createContext({ console });
+  
+  for (const file of CORE_SCRIPTS) {
+    const filename = path.join(__dirname, '..', 'js', file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  }
+  
+  return vm.runInContext('({ config, Random, EventEmitter, GameEvents, FoodTypes, RulePresets, Snake, Grid, Scoring, PowerUp, GameMode, Engine, TickScheduler, ReplayRecorder, ReplayPlayer, GarbageAttack, VersusMatch, OnlineMatch, AutopilotStrategy, Autopilot })', context);
+}
+
+module.exports = { loadEngine, CORE_SCRIPTS };
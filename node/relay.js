@@ -0,0 +1,648 @@
+/**
+ * Reference Relay Server
+ * A small WebSocket relay for online matches, using only Node built-ins.
+ * Players create or join rooms by code; once the host starts a match the
+ * relay forwards each player's match messages to the others. It never runs
+ * the game itself: every client simulates the boards (see js/OnlineMatch.js).
+ * It only loads the game's rules to check a match's mode and rules before
+ * starting it, so every client can set it up.
+ * Players who drop keep their place for a while and get the messages they
+ * missed when they reconnect. The JSON protocol is described in the README.
+ *
+ * Usage: node node/relay.js [port=8787]
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { loadEngine } = require('./loadEngine');
+
+const { Engine, GameMode } = loadEngine();
+
+// Protocol version; clients must send the same one when creating or joining a room
+const PROTOCOL_VERSION = 1;
+
+// Key suffix from the WebSocket handshake (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Characters used in room codes (no 0/O or 1/I to mix up)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+const MAX_PLAYERS = 4;                  // Players per room
+const MAX_NAME_LENGTH = 16;             // Characters kept of a player name
+const MAX_MESSAGE_BYTES = 1 << 20;      // Largest message accepted (snapshots are the big ones)
+const MAX_PENDING = 10000;              // Messages kept for a disconnected player
+const RECONNECT_GRACE_MS = 30000;       // How long a disconnected player keeps their place
+const HEARTBEAT_MS = 15000;             // Interval between pings to detect dead connections
+
+// Match messages forwarded between players while a match is running
+const RELAYED_TYPES = new Set(['frame', 'attack', 'resync', 'snapshot']);
+
+/**
+ * One WebSocket connection on an upgraded socket
+ * Handles framing, masking, fragmentation, ping/pong and the closing handshake
+ * for text messages. Emits 'message' with each text message and 'close' once.
+ */
+class WebSocketConnection extends EventEmitter {
+  /**
+   * Wraps an upgraded socket
+   * @param {net.Socket} socket - Socket the handshake was completed on
+   * @param {Buffer} head - Bytes the client sent after its handshake, already read from the socket
+   */
+  constructor(socket, head = Buffer.alloc(0)) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.from(head);    // Received bytes not yet parsed into frames
+    this.fragments = [];                // Payloads of a fragmented message so far
+    this.closed = false;
+    this.alive = true;                  // Whether a pong (or any data) arrived since the last ping
+
+    // Frames in the head are parsed once the owner has had a chance to listen for them
+    if (head.length > 0) process.nextTick(() => this.receive(Buffer.alloc(0)));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  /**
+   * Parses as many complete frames as the received bytes hold
+   * @param {Buffer} chunk - Bytes just received
+   */
+  receive(chunk) {
+    this.alive = true;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (!this.closed && this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        const longLength = this.buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+        offset = 10;
+      }
+      if (!(second & 0x80)) {
+        this.close(1002, 'Client frames must be masked');
+        return;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        this.close(1009, 'Message too big');
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame((first & 0x80) !== 0, first & 0x0f, payload);
+    }
+  }
+
+  /**
+   * Acts on one unmasked frame
+   * @param {boolean} fin - Whether this is the last frame of its message
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Frame payload
+   */
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0: // Continuation
+      case 0x1: // Text
+        if ((opcode === 0x1) !== (this.fragments.length === 0)) {
+          this.close(1002, 'Unexpected continuation frame');
+          return;
+        }
+        this.fragments.push(payload);
+        if (this.fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too big');
+          return;
+        }
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', text);
+        }
+        break;
+      case 0x8: // Close
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      case 0x9: // Ping
+        this.writeFrame(0xa, payload);
+        break;
+      case 0xa: // Pong
+        break;
+      default:
+        this.close(1003, 'Only text messages are supported');
+    }
+  }
+
+  /**
+   * Sends a text message
+   * @param {string} text - Message to send
+   */
+  send(text) {
+    this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * Pings the client, closing the connection if the previous ping went unanswered
+   */
+  ping() {
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    this.writeFrame(0x9, Buffer.alloc(0));
+  }
+
+  /**
+   * Writes one unmasked, unfragmented frame
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Frame payload
+   */
+  writeFrame(opcode, payload) {
+    if (this.closed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  /**
+   * Starts the closing handshake and ends the socket
+   * @param {number} code - Close status code
+   * @param {string} reason - Short explanation for the client
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed) return;
+
+    const reasonBytes = Buffer.from(reason, 'utf8');
+    const payload = Buffer.alloc(2 + reasonBytes.length);
+    payload.writeUInt16BE(code, 0);
+    reasonBytes.copy(payload, 2);
+    this.writeFrame(0x8, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  /**
+   * Marks the connection closed and notifies listeners (once)
+   */
+  finish() {
+    if (this.closed) return;
+
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * The rooms and players, and the rules for moving messages between them
+ * Transport-agnostic: connections only need send(text), close() and the
+ * 'message' and 'close' events, so tests can drive it without sockets.
+ */
+class Relay {
+  /**
+   * Creates an empty relay
+   * @param {Object} options - Options
+   * @param {number} options.reconnectGrace - How long a disconnected player keeps their place, in ms
+   */
+  constructor({ reconnectGrace = RECONNECT_GRACE_MS } = {}) {
+    this.reconnectGrace = reconnectGrace;
+    this.rooms = new Map();             // Rooms by code
+    this.connections = new Set();       // Open connections, for the heartbeat
+  }
+
+  /**
+   * Starts serving a new connection
+   * @param {WebSocketConnection} connection - The client's connection
+   */
+  connect(connection) {
+    const client = { connection, room: null, player: null };
+    this.connections.add(connection);
+    connection.on('message', text => this.handleMessage(client, text));
+    connection.on('close', () => {
+      this.connections.delete(connection);
+      this.handleDisconnect(client);
+    });
+  }
+
+  /**
+   * Dispatches one message from a client
+   * @param {Object} client - Connection state {connection, room, player}
+   * @param {string} text - Raw JSON message
+   */
+  handleMessage(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      this.sendError(client.connection, 'Malformed message');
+      return;
+    }
+    if (!message || typeof message.type !== 'string') {
+      this.sendError(client.connection, 'Message has no type');
+      return;
+    }
+
+    switch (message.type) {
+      case 'create':
+        this.createRoom(client, message);
+        break;
+      case 'join':
+        this.joinRoom(client, message);
+        break;
+      case 'rejoin':
+        this.rejoinRoom(client, message);
+        break;
+      case 'leave':
+        if (client.player) this.removePlayer(client.room, client.player);
+        client.room = null;
+        client.player = null;
+        break;
+      case 'start':
+        this.startMatch(client, message);
+        break;
+      default:
+        if (RELAYED_TYPES.has(message.type)) {
+          this.relay(client, message);
+        } else {
+          this.sendError(client.connection, `Unknown message type: ${message.type}`);
+        }
+    }
+  }
+
+  /**
+   * Creates a room with the client as its host
+   * @param {Object} client - Connection state
+   * @param {Object} message - Create message {version, name, handling}
+   */
+  createRoom(client, message) {
+    if (!this.checkEntry(client, message)) return;
+
+    let code;
+    do {
+      code = Array.from({ length: ROOM_CODE_LENGTH },
+        () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+    } while (this.rooms.has(code));
+
+    const room = { code, players: [], hostId: null, playing: false, finished: new Set(), nextId: 1 };
+    this.rooms.set(code, room);
+    this.addPlayer(client, room, message);
+  }
+
+  /**
+   * Adds the client to an existing room's lobby
+   * @param {Object} client - Connection state
+   * @param {Object} message - Join message {version, room, name, handling}
+   */
+  joinRoom(client, message) {
+    if (!this.checkEntry(client, message)) return;
+
+    const room = this.rooms.get(String(message.room || '').toUpperCase());
+    if (!room) {
+      this.sendError(client.connection, 'No room with that code');
+    } else if (room.playing) {
+      this.sendError(client.connection, 'That room is in a match');
+    } else if (room.players.length >= MAX_PLAYERS) {
+      this.sendError(client.connection, 'That room is full');
+    } else {
+      this.addPlayer(client, room, message);
+    }
+  }
+
+  /**
+   * Reattaches a player who lost their connection, then sends what they missed
+   * @param {Object} client - Connection state
+   * @param {Object} message - Rejoin message {room, token}
+   */
+  rejoinRoom(client, message) {
+    const room = this.rooms.get(message.room);
+    const player = room && room.players.find(other => other.token === message.token);
+    if (!player) {
+      this.sendError(client.connection, 'Could not rejoin the room', 'rejoin');
+      return;
+    }
+    // Like create and join (see checkEntry()), a connection plays only one player
+    if (client.player && client.player !== player) {
+      this.sendError(client.connection, 'Already in a room');
+      return;
+    }
+
+    if (player.connection && player.connection !== client.connection) {
+      player.connection.close(4000, 'Replaced by a new connection');
+    }
+    clearTimeout(player.graceTimer);
+    player.connection = client.connection;
+    client.room = room;
+    client.player = player;
+
+    this.send(player, { type: 'joined', room: room.code, playerId: player.id, token: player.token, resumed: true });
+    const pending = player.pending;
+    player.pending = [];
+    pending.forEach(queued => this.send(player, queued));
+    this.broadcastLobby(room);
+  }
+
+  /**
+   * Adds a new player to a room and tells everyone
+   * @param {Object} client - Connection state
+   * @param {Object} room - Room to join
+   * @param {Object} message - Create or join message {name, handling}
+   */
+  addPlayer(client, room, message) {
+    const id = `p${room.nextId++}`;
+    const name = String(message.name || '').trim().slice(0, MAX_NAME_LENGTH) || `Player ${room.players.length + 1}`;
+    const player = {
+      id,
+      name,
+      handling: Engine.validateHandling(message.handling),
+      token: crypto.randomBytes(16).toString('hex'),
+      connection: client.connection,
+      pending: [],
+      graceTimer: null
+    };
+    room.players.push(player);
+    if (!room.hostId) room.hostId = id;
+    client.room = room;
+    client.player = player;
+
+    this.send(player, { type: 'joined', room: room.code, playerId: id, token: player.token, resumed: false });
+    this.broadcastLobby(room);
+  }
+
+  /**
+   * Starts a match in the client's room; only the host can start one
+   * @param {Object} client - Connection state
+   * @param {Object} message - Start message {seed, mode, rules}
+   */
+  startMatch(client, message) {
+    const { room, player } = client;
+    if (!room || room.hostId !== player.id) {
+      this.sendError(client.connection, 'Only the host can start the match');
+      return;
+    }
+    if (room.playing) {
+      this.sendError(client.connection, 'The match has already started');
+      return;
+    }
+    if (room.players.length < 2) {
+      this.sendError(client.connection, 'Waiting for another player');
+      return;
+    }
+    const problem = this.checkMatchSettings(room, message);
+    if (problem) {
+      this.sendError(client.connection, `Cannot start the match: ${problem}`, 'start');
+      return;
+    }
+
+    room.playing = true;
+    room.finished = new Set();
+    const start = {
+      type: 'start',
+      seed: Number.isInteger(message.seed) || typeof message.seed === 'string' ? message.seed : crypto.randomInt(2 ** 31),
+      mode: message.mode,
+      rules: message.rules,
+      players: room.players.map(({ id, name, handling }) => ({ id, name, handling }))
+    };
+    room.players.forEach(other => this.send(other, start));
+    this.broadcastLobby(room);
+  }
+
+  /**
+   * Checks that every client will be able to set up a match with the given settings
+   * Each player plays the shared rules with their own handling, so each combination is checked.
+   * @param {Object} room - Room about to start
+   * @param {Object} message - Start message {mode, rules}
+   * @returns {string|null} What is wrong, or null if the match can start
+   */
+  checkMatchSettings(room, message) {
+    const { mode, rules } = message;
+    if (rules !== undefined && (rules === null || typeof rules !== 'object' || Array.isArray(rules))) {
+      return 'rules must be an object';
+    }
+    try {
+      GameMode.create(mode === undefined ? GameMode.DEFAULT_ID : mode);
+      room.players.forEach(player => Engine.normalizeRules({ ...rules, ...player.handling }));
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+
+  /**
+   * Forwards a match message from a player to its addressee, or to everyone else in the room
+   * A frame that resigns or tops out counts the sender as finished; the room
+   * returns to its lobby when every player has finished or left.
+   * @param {Object} client - Connection state
+   * @param {Object} message - Match message; to addresses one player
+   */
+  relay(client, message) {
+    const { room, player } = client;
+    if (!room || !room.playing) {
+      this.sendError(client.connection, 'No match is running');
+      return;
+    }
+
+    const forwarded = { ...message, from: player.id };
+    room.players
+      .filter(other => other !== player && (message.to === undefined || other.id === message.to))
+      .forEach(other => this.send(other, forwarded));
+
+    if (message.type === 'frame' && message.finished === true) {
+      room.finished.add(player.id);
+      this.checkMatchOver(room);
+    }
+  }
+
+  /**
+   * Returns a room to its lobby once nobody is still playing
+   * @param {Object} room - Room to check
+   */
+  checkMatchOver(room) {
+    if (room.playing && room.players.every(player => room.finished.has(player.id))) {
+      room.playing = false;
+      this.broadcastLobby(room);
+    }
+  }
+
+  /**
+   * Keeps a dropped player's place for the reconnect grace period
+   * @param {Object} client - Connection state of the closed connection
+   */
+  handleDisconnect(client) {
+    const { room, player } = client;
+    if (!player || player.connection !== client.connection) return;
+
+    player.connection = null;
+    player.graceTimer = setTimeout(() => this.removePlayer(room, player), this.reconnectGrace);
+    this.broadcastLobby(room);
+  }
+
+  /**
+   * Removes a player from a room, handing over the host role and closing empty rooms
+   * @param {Object} room - Room the player is in
+   * @param {Object} player - Player to remove
+   */
+  removePlayer(room, player) {
+    if (!room.players.includes(player)) return;
+
+    clearTimeout(player.graceTimer);
+    room.players = room.players.filter(other => other !== player);
+    if (room.players.length === 0) {
+      this.rooms.delete(room.code);
+      return;
+    }
+    if (room.hostId === player.id) room.hostId = room.players[0].id;
+
+    room.players.forEach(other => this.send(other, { type: 'left', id: player.id }));
+    this.checkMatchOver(room);
+    this.broadcastLobby(room);
+  }
+
+  /**
+   * Sends the room's lobby state to all of its players
+   * @param {Object} room - Room to describe
+   */
+  broadcastLobby(room) {
+    const lobby = {
+      type: 'lobby',
+      room: room.code,
+      hostId: room.hostId,
+      playing: room.playing,
+      players: room.players.map(player => ({ id: player.id, name: player.name, connected: player.connection !== null }))
+    };
+    room.players.forEach(player => this.send(player, lobby));
+  }
+
+  /**
+   * Sends a message to a player, or keeps it until they reconnect
+   * @param {Object} player - Addressee
+   * @param {Object} message - Message to send
+   */
+  send(player, message) {
+    if (player.connection) {
+      player.connection.send(JSON.stringify(message));
+    } else if (player.pending.length < MAX_PENDING) {
+      player.pending.push(message);
+    }
+  }
+
+  /**
+   * Tells a client their request failed
+   * @param {WebSocketConnection} connection - Client's connection
+   * @param {string} message - What went wrong
+   * @param {string} request - Type of the failed request, when the client needs to tell
+   */
+  sendError(connection, message, request = undefined) {
+    connection.send(JSON.stringify({ type: 'error', message, request }));
+  }
+
+  /**
+   * Checks that a client can create or join a room, telling it why not
+   * It must not be in a room already, must speak this relay's protocol
+   * version and may only choose handling options (see Engine.validateHandling()).
+   * @param {Object} client - Connection state
+   * @param {Object} message - Create or join message {version, handling}
+   * @returns {boolean} True if the client may enter a room
+   */
+  checkEntry(client, message) {
+    if (client.player) {
+      this.sendError(client.connection, 'Already in a room');
+      return false;
+    }
+    if (message.version !== PROTOCOL_VERSION) {
+      this.sendError(client.connection, `Unsupported protocol version: ${message.version} (this relay speaks ${PROTOCOL_VERSION})`);
+      return false;
+    }
+    try {
+      Engine.validateHandling(message.handling);
+    } catch (e) {
+      this.sendError(client.connection, `Invalid handling: ${e.message}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pings every connection, dropping the ones that stopped answering
+   */
+  heartbeat() {
+    this.connections.forEach(connection => connection.ping());
+  }
+}
+
+/**
+ * Creates an HTTP server that upgrades WebSocket requests into relay connections
+ * @param {Relay} relay - Relay to serve
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(relay) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Tetrisnake relay: connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    relay.connect(new WebSocketConnection(socket, head));
+  });
+
+  return server;
+}
+
+/**
+ * Runs the relay on the port given on the command line
+ */
+function main() {
+  const port = Number(process.argv[2]) || 8787;
+  const relay = new Relay();
+  const server = createServer(relay);
+  setInterval(() => relay.heartbeat(), HEARTBEAT_MS);
+  server.listen(port, () => {
+    console.log(`Tetrisnake relay listening on ws://localhost:${port}`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { Relay, WebSocketConnection, createServer, PROTOCOL_VERSION };
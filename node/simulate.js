@@ -0,0 +1,73 @@
+/**
+ * Batch Simulator
+ * Runs many headless games with a simple random steering policy, or one of
+ * the autopilot strategies, and prints aggregate statistics, for balancing
+ * and regression checks.
+ *
+ * Usage: node node/simulate.js [games=1000] [baseSeed=1] [maxSteps=20000] [policy=random]
+ * where policy is 'random' or an autopilot strategy id ('greedy', 'planner').
+ */
+const { loadEngine } = require('./loadEngine');
+
+const { Engine, Random, Autopilot } = loadEngine();
+
+// Steering choices for the random policy (null keeps the current direction)
+const POLICY_ACTIONS = [null, null, 'down', 'left', 'right'];
+
+/**
+ * Plays one game to completion (or until the step cap)
+ * @param {Engine} engine - Engine to play on
+ * @param {number} seed - Game seed
+ * @param {number} maxSteps - Step cap for games that never end
+ * @param {Autopilot|null} autopilot - Autopilot to steer with, or null for the random policy
+ * @returns {Object} Final statistics for the game
+ */
+function playGame(engine, seed, maxSteps, autopilot) {
+  const policy = new Random(seed);
+  engine.reset(seed);
+  if (autopilot) autopilot.reset();
+  
+  while (!engine.gameOver && engine.steps < maxSteps) {
+    engine.step(autopilot
+      ? autopilot.decide(engine)
+      : POLICY_ACTIONS[policy.nextInt(POLICY_ACTIONS.length)]);
+  }
+  
+  return {
+    score: engine.score,
+    level: engine.level,
+    lines: engine.linesCleared,
+    steps: engine.steps,
+    finished: engine.gameOver
+  };
+}
+
+/**
+ * Runs the batch and prints averages and extremes
+ */
+function main() {
+  const games = Number(process.argv[2]) || 1000;
+  const baseSeed = Number(process.argv[3]) || 1;
+  const maxSteps = Number(process.argv[4]) || 20000;
+  const policy = process.argv[5] || 'random';
+  const autopilot = policy === 'random' ? null : new Autopilot(policy);
+  const engine = new Engine(baseSeed);
+  const results = [];
+  
+  for (let i = 0; i < games; i++) {
+    results.push(playGame(engine, baseSeed + i, maxSteps, autopilot));
+  }
+  
+  const average = key => results.reduce((sum, r) => sum + r[key], 0) / results.length;
+  const best = results.reduce((a, b) => (b.score > a.score ? b : a));
+  
+  console.log(`Games:         ${games} (seeds ${baseSeed}-${baseSeed + games - 1}, ${policy} policy)`);
+  console.log(`Avg score:     ${average('score').toFixed(1)}`);
+  console.log(`Avg level:     ${average('level').toFixed(2)}`);
+  console.log(`Avg lines:     ${average('lines').toFixed(2)}`);
+  console.log(`Avg steps:     ${average('steps').toFixed(1)}`);
+  console.log(`Best score:    ${best.score} (seed ${baseSeed + results.indexOf(best)})`);
+  console.log(`Hit step cap:  ${results.filter(r => !r.finished).length}`);
+}
+
+main();
@@ -0,0 +1,122 @@
+/**
+ * Engine tests
+ * Run with: node --test node/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEngine } = require('../loadEngine');
+
+const { Engine, PowerUp, ReplayRecorder } = loadEngine();
+
+test('timed power-ups run out under step()', () => {
+  for (const powerUp of PowerUp.list().filter(item => item.duration > 0)) {
+    const engine = new Engine(1);
+    powerUp.activate(engine);
+
+    let calls = 0;
+    while (powerUp.id in engine.activePowerUps && !engine.gameOver && calls < 1000) {
+      engine.step(null);
+      calls++;
+    }
+
+    assert.ok(!(powerUp.id in engine.activePowerUps), `${powerUp.id} still active after ${calls} steps`);
+    assert.ok(engine.ticks >= powerUp.duration || engine.gameOver, `${powerUp.id} ended early`);
+    assert.ok(engine.steps > 0, `${powerUp.id} held the snake in place`);
+  }
+});
+
+test('slow food runs out under step()', () => {
+  const engine = new Engine(1);
+  engine.slowTicks = 120;
+
+  for (let i = 0; i < 100 && engine.slowTicks > 0 && !engine.gameOver; i++) {
+    engine.step(null);
+  }
+  assert.strictEqual(engine.slowTicks, 0);
+});
+
+test('step() makes exactly one move per call', () => {
+  const engine = new Engine(7);
+  for (let i = 1; i <= 20 && !engine.gameOver; i++) {
+    engine.step(i % 2 ? 'left' : 'down');
+    assert.strictEqual(engine.steps, i);
+  }
+});
+
+test('DAS/ARR only speeds up a held direction the snake is moving in', () => {
+  const engine = new Engine(1);
+  const { snake } = engine;
+  const base = snake.computeDelay(1);
+  assert.ok(engine.rules.arr < base, 'ARR must be faster than the base delay for this test');
+
+  // Well past DAS: a held turn steers but does not repeat
+  snake.direction = Engine.DIRECTIONS.down;
+  assert.strictEqual(snake.computeDelay(1, 1000, Engine.DIRECTIONS.left), base);
+  assert.strictEqual(snake.computeDelay(1, 1000, Engine.DIRECTIONS.up), base);
+
+  snake.direction = Engine.DIRECTIONS.left;
+  assert.strictEqual(snake.computeDelay(1, 1000, Engine.DIRECTIONS.left), engine.rules.arr);
+  assert.strictEqual(snake.computeDelay(1, 0, Engine.DIRECTIONS.left), base);
+
+  // Down soft-drops at once, whichever way the snake is moving
+  const softDrop = Math.max(base / engine.rules.softDropFactor, Engine.TICK_MS);
+  assert.strictEqual(snake.computeDelay(1, 0, Engine.DIRECTIONS.down), softDrop);
+});
+
+test('inherited object keys are not actions', () => {
+  for (const action of [null, 'up', 'down', 'left', 'right', 'hold', 'hardDrop']) {
+    assert.ok(Engine.isAction(action), `${action} should be an action`);
+  }
+  for (const action of ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'valueOf', '', 'jump', 1]) {
+    assert.ok(!Engine.isAction(action), `${action} should not be an action`);
+  }
+
+  const engine = new Engine(1);
+  const snapshot = JSON.parse(JSON.stringify(engine.serialize()));
+  snapshot.queuedAction = 'constructor';
+  assert.throws(() => engine.restore(snapshot), /invalid timing or input state/);
+
+  const recorder = new ReplayRecorder();
+  recorder.start(1, 'marathon');
+  recorder.recordTick(1, 'toString');
+  assert.throws(() => ReplayRecorder.validate(recorder.finish(engine)), /invalid input/);
+});
+
+test('the magnet never pulls the food under the head', () => {
+  const engine = new Engine(1);
+  const { snake, grid } = engine;
+  snake.body = [{ x: 10, y: 5 }, { x: 9, y: 5 }, { x: 8, y: 5 }];
+  snake.direction = Engine.DIRECTIONS.right;
+  grid.powerUp = null;
+  grid.food.x = 11;
+  grid.food.y = 6;
+  PowerUp.get('magnet').activate(engine);
+
+  for (let i = 0; i < 3; i++) {
+    const types = engine.step(null).map(event => event.type);
+    assert.ok(!types.includes('foodEaten'));
+    const head = snake.getHead();
+    assert.ok(grid.food.x !== head.x || grid.food.y !== head.y, `food under the head at ${head.x},${head.y}`);
+  }
+
+  // The food waits beside the head, so turning into it eats it
+  assert.strictEqual(grid.food.x, snake.getHead().x);
+  assert.strictEqual(grid.food.y, snake.getHead().y + 1);
+  assert.ok(engine.step('down').some(event => event.type === 'foodEaten'));
+});
+
+test('Marathon is won as soon as level 15 is reached', () => {
+  const engine = new Engine(1, undefined, 'marathon');
+  const { mode } = engine;
+
+  engine.grid.landedBlocks = 14 * 80 - 1;
+  engine.level = mode.levelFor(engine);
+  assert.strictEqual(engine.level, 14);
+  assert.strictEqual(mode.checkEnd(engine), null);
+
+  engine.grid.landedBlocks = 14 * 80;
+  engine.level = mode.levelFor(engine);
+  assert.strictEqual(engine.level, 15);
+  assert.strictEqual(mode.checkEnd(engine).won, true);
+  assert.match(mode.description, /Reach level 15 to win/);
+});
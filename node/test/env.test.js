@@ -0,0 +1,57 @@
+/**
+ * Agent environment tests
+ * Run with: node --test node/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { loadEngine } = require('../loadEngine');
+const { TetrisnakeEnv } = require('../env');
+
+const { Autopilot } = loadEngine();
+
+test('an Ultra episode ends when time runs out', () => {
+  const env = new TetrisnakeEnv({ mode: 'ultra', maxSteps: 100000 });
+  const autopilot = new Autopilot('planner');
+  env.reset(3);
+
+  let result;
+  do {
+    result = env.step(autopilot.decide(env.engine));
+  } while (!result.done);
+
+  assert.strictEqual(result.info.truncated, false);
+  assert.ok(result.info.events.includes('gameOver'));
+  assert.ok(env.engine.ticks >= env.engine.mode.timeLimit, `ended after ${env.engine.ticks} ticks`);
+});
+
+test('maxSteps must be a positive integer', () => {
+  for (const maxSteps of ['100', NaN, -5, 0, 2.5, null]) {
+    assert.throws(() => new TetrisnakeEnv({ maxSteps }), /maxSteps must be a positive integer/);
+  }
+  const env = new TetrisnakeEnv({ maxSteps: 3 });
+  env.reset(1);
+  env.step(null);
+  env.step(null);
+  assert.strictEqual(env.step(null).info.truncated, true);
+});
+
+test('inherited object keys are refused as actions', () => {
+  const env = new TetrisnakeEnv();
+  env.reset(1);
+  const { x, y } = env.engine.snake.getHead();
+  for (const action of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => env.step(action), /Unknown action/);
+  }
+  assert.strictEqual(env.engine.snake.getHead().x, x);
+  assert.strictEqual(env.engine.snake.getHead().y, y);
+  assert.strictEqual(env.steps, 0);
+
+  // Over the JSON-lines protocol the same step gets an error reply
+  const input = ['{"type":"reset","seed":1}', '{"type":"step","action":"toString"}', '{"type":"close"}'].join('\n') + '\n';
+  const { stdout } = spawnSync(process.execPath, [path.join(__dirname, '..', 'env.js')], { input, timeout: 30000 });
+  const replies = stdout.toString().trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(replies[1].type, 'error');
+  assert.match(replies[1].message, /Unknown action: "toString"/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Online match tests
+ * Run with: node --test node/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEngine } = require('../loadEngine');
+
+const { OnlineMatch } = loadEngine();
+
+/**
+ * Creates a two-player match as seen from p1's client
+ * @param {Object} handling - p2's handling
+ * @returns {OnlineMatch} The match
+ */
+function createMatch(handling = {}) {
+  const start = {
+    seed: 1,
+    mode: 'marathon',
+    rules: { preset: 'classic' },
+    players: [{ id: 'p1', name: 'Ann', handling: {} }, { id: 'p2', name: 'Bob', handling }]
+  };
+  return new OnlineMatch(start, 'p1', () => {});
+}
+
+/**
+ * Builds a frame from p2
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Frame message
+ */
+function frame(fields) {
+  return {
+    type: 'frame', from: 'p2', tick: 10, changes: [], garbage: [], hashes: [],
+    resigned: null, incoming: 0, sent: 0, finished: false, ...fields
+  };
+}
+
+test('handling cannot change the shared rules', () => {
+  for (const handling of [{ preset: 'huge' }, { width: 40 }, { gravity: 'cascade' }, { das: 9999 }]) {
+    assert.throws(() => createMatch(handling), /handling option|must be from/);
+  }
+  const match = createMatch({ das: 100, arr: 0 });
+  const copy = match.players[1].engine;
+  assert.strictEqual(copy.rules.width, match.local.engine.rules.width);
+  assert.strictEqual(copy.rules.das, 100);
+  assert.strictEqual(copy.rules.arr, 0);
+});
+
+test('malformed frames are refused', () => {
+  const match = createMatch();
+  const copy = match.players[1].engine;
+  const width = copy.rules.width;
+
+  for (const bad of [
+    { changes: [[0, 'constructor']] },
+    { changes: [[0, 'toString', 'extra']] },
+    { garbage: [[1, 2, width]] },
+    { garbage: [[1, 2, -1]] },
+    { garbage: [[1, OnlineMatch.MAX_INCOMING + 1, 0]] },
+    { garbage: [[1, 0, 0]] },
+    { incoming: 1e9 },
+    { tick: OnlineMatch.MAX_LEAD + 1 },
+    { tick: 1e12 }
+  ]) {
+    match.receive(frame(bad));
+    assert.strictEqual(copy.ticks, 0, `accepted ${JSON.stringify(bad)}`);
+  }
+
+  match.receive(frame({ changes: [[0, 'left']], garbage: [[5, 2, width - 1]] }));
+  assert.strictEqual(copy.ticks, 10);
+  assert.ok(Number.isInteger(copy.snake.getHead().x));
+});
+
+test('other boards may run at most MAX_LEAD ticks ahead of the match clock', () => {
+  const match = createMatch();
+  for (let i = 0; i < 100; i++) match.tick(null);
+  const copy = match.players[1].engine;
+
+  match.receive(frame({ tick: 100 + OnlineMatch.MAX_LEAD + 1 }));
+  assert.strictEqual(copy.ticks, 0);
+  match.receive(frame({ tick: 100 + OnlineMatch.MAX_LEAD }));
+  assert.ok(copy.ticks > 0);
+});
@@ -0,0 +1,259 @@
+/**
+ * Relay server tests
+ * Run with: node --test node/test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('node:net');
+const { EventEmitter } = require('node:events');
+const { Relay, WebSocketConnection, createServer, PROTOCOL_VERSION } = require('../relay');
+
+/**
+ * Stands in for a WebSocketConnection, recording what the relay sends
+ */
+class FakeConnection extends EventEmitter {
+  constructor() {
+    super();
+    this.received = [];
+    this.closedWith = null;
+  }
+
+  send(text) {
+    this.received.push(JSON.parse(text));
+  }
+
+  close(code, reason) {
+    this.closedWith = { code, reason };
+    this.emit('close');
+  }
+
+  /**
+   * Delivers a message from the client to the relay
+   * @param {Object} message - Protocol message
+   */
+  message(message) {
+    this.emit('message', JSON.stringify(message));
+  }
+
+  /**
+   * The last message the relay sent
+   * @returns {Object} Protocol message
+   */
+  last() {
+    return this.received[this.received.length - 1];
+  }
+}
+
+/**
+ * Stands in for the socket under a WebSocketConnection, recording what is written
+ */
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.ended = false;
+  }
+
+  write(bytes) {
+    this.written.push(bytes);
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  destroy() {}
+
+  /**
+   * The frames written so far, as {opcode, payload}; servers never mask and these tests send short payloads
+   * @returns {Array<Object>} Written frames
+   */
+  frames() {
+    return this.written.map(bytes => ({ opcode: bytes[0] & 0x0f, payload: bytes.subarray(2) }));
+  }
+}
+
+/**
+ * Encodes one client frame
+ * @param {number} opcode - Frame opcode
+ * @param {string} text - Payload
+ * @param {Object} options - {fin, masked}
+ * @returns {Buffer} The frame
+ */
+function clientFrame(opcode, text, { fin = true, masked = true } = {}) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  const header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+  if (!masked) return Buffer.concat([header, payload]);
+  return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+/**
+ * Connects a fake client and has it create or join a room
+ * @param {Relay} relay - Relay to connect to
+ * @param {Object} message - Create or join message, without the version
+ * @returns {FakeConnection} The client's connection
+ */
+function enter(relay, message) {
+  const connection = new FakeConnection();
+  relay.connect(connection);
+  connection.message({ version: PROTOCOL_VERSION, handling: {}, ...message });
+  return connection;
+}
+
+test('a frame sent in the same packet as the upgrade request is handled', async () => {
+  const server = createServer(new Relay());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const socket = net.connect(server.address().port, '127.0.0.1');
+  const handshake = [
+    'GET / HTTP/1.1',
+    'Host: localhost',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+    'Sec-WebSocket-Version: 13',
+    '',
+    ''
+  ].join('\r\n');
+  socket.write(Buffer.concat([Buffer.from(handshake), clientFrame(0x1, '{"type":"ping-me"}')]));
+
+  try {
+    const reply = await new Promise((resolve, reject) => {
+      let received = '';
+      const timer = setTimeout(() => reject(new Error(`No reply after: ${JSON.stringify(received)}`)), 5000);
+      socket.on('data', chunk => {
+        received += chunk.toString('latin1');
+        const start = received.indexOf('{');
+        if (start >= 0 && received.endsWith('}')) {
+          clearTimeout(timer);
+          resolve(JSON.parse(received.slice(start)));
+        }
+      });
+    });
+    assert.deepStrictEqual(reply, { type: 'error', message: 'Unknown message type: ping-me' });
+  } finally {
+    // The upgraded socket is no longer the HTTP server's, so closing the server does not wait for it
+    socket.destroy();
+    server.close();
+  }
+});
+
+test('the upgrade head is parsed once listeners are attached, before later data', async () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket, clientFrame(0x1, 'first'));
+  const messages = [];
+  connection.on('message', text => messages.push(text));
+  socket.emit('data', clientFrame(0x1, 'second'));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepStrictEqual(messages, ['first', 'second']);
+});
+
+test('unmasked client frames close the connection', () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket);
+  const messages = [];
+  connection.on('message', text => messages.push(text));
+  socket.emit('data', clientFrame(0x1, 'hello', { masked: false }));
+
+  assert.deepStrictEqual(messages, []);
+  const [close] = socket.frames();
+  assert.strictEqual(close.opcode, 0x8);
+  assert.strictEqual(close.payload.readUInt16BE(0), 1002);
+  assert.ok(socket.ended && connection.closed);
+});
+
+test('fragmented messages are reassembled, with control frames between the fragments', () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket);
+  const messages = [];
+  connection.on('message', text => messages.push(text));
+
+  const bytes = Buffer.concat([
+    clientFrame(0x1, 'hel', { fin: false }),
+    clientFrame(0x9, 'are you there'),
+    clientFrame(0x0, 'lo ', { fin: false }),
+    clientFrame(0x0, 'wörld')
+  ]);
+  // A byte at a time, so frames also straddle reads
+  for (const byte of bytes) socket.emit('data', Buffer.from([byte]));
+
+  assert.deepStrictEqual(messages, ['hello wörld']);
+  const [pong] = socket.frames();
+  assert.strictEqual(pong.opcode, 0xa);
+  assert.strictEqual(pong.payload.toString(), 'are you there');
+  assert.ok(!connection.closed);
+});
+
+test('a continuation frame with no message to continue closes the connection', () => {
+  const socket = new FakeSocket();
+  const connection = new WebSocketConnection(socket);
+  socket.emit('data', clientFrame(0x0, 'orphan'));
+
+  const [close] = socket.frames();
+  assert.strictEqual(close.payload.readUInt16BE(0), 1002);
+  assert.ok(connection.closed);
+});
+
+test('a rejoin from a connection already playing another player is refused', () => {
+  const relay = new Relay({ reconnectGrace: 60000 });
+  const ann = enter(relay, { type: 'create', name: 'Ann' });
+  const first = ann.last().room;
+  const bob = enter(relay, { type: 'join', room: first, name: 'Bob' });
+  const cat = enter(relay, { type: 'create', name: 'Cat' });
+  const second = cat.received.find(message => message.type === 'joined');
+  cat.close();
+
+  bob.message({ type: 'rejoin', room: second.room, token: second.token });
+  assert.deepStrictEqual(bob.last(), { type: 'error', message: 'Already in a room' });
+  assert.deepStrictEqual(relay.rooms.get(first).players.map(player => player.name), ['Ann', 'Bob']);
+  assert.strictEqual(relay.rooms.get(second.room).players[0].connection, null);
+
+  // Rejoining its own place keeps the connection open
+  const bobJoined = bob.received.find(message => message.type === 'joined');
+  bob.message({ type: 'rejoin', room: first, token: bobJoined.token });
+  assert.strictEqual(bob.closedWith, null);
+  assert.strictEqual(bob.received.filter(message => message.type === 'joined').length, 2);
+
+  // A fresh connection can take Cat's place back
+  const catAgain = new FakeConnection();
+  relay.connect(catAgain);
+  catAgain.message({ type: 'rejoin', room: second.room, token: second.token });
+  assert.strictEqual(catAgain.received[0].type, 'joined');
+  assert.strictEqual(catAgain.received[0].resumed, true);
+});
+
+test('handling that changes the shared rules is refused', () => {
+  const relay = new Relay();
+  for (const handling of [{ preset: 'huge' }, { width: 40 }, { gravity: 'cascade' }, { arr: -1 }, 'fast']) {
+    const connection = enter(relay, { type: 'create', name: 'Ann', handling });
+    assert.strictEqual(connection.last().type, 'error');
+    assert.match(connection.last().message, /^Invalid handling/);
+  }
+  assert.strictEqual(relay.rooms.size, 0);
+});
+
+test('a match with invalid settings is not started', () => {
+  const relay = new Relay();
+  const ann = enter(relay, { type: 'create', name: 'Ann' });
+  const bob = enter(relay, { type: 'join', room: ann.last().room, name: 'Bob', handling: { das: 100 } });
+
+  for (const [settings, problem] of [
+    [{ mode: 'bogus' }, /Unknown game mode/],
+    [{ rules: 'narrow' }, /rules must be an object/],
+    [{ rules: { preset: 'giant' } }, /Unknown rule preset/],
+    [{ rules: { width: 1000 } }, /Board width/]
+  ]) {
+    ann.message({ type: 'start', ...settings });
+    assert.strictEqual(ann.last().type, 'error');
+    assert.strictEqual(ann.last().request, 'start');
+    assert.match(ann.last().message, problem);
+  }
+  assert.ok(!bob.received.some(message => message.type === 'start'));
+
+  ann.message({ type: 'start', seed: 5, mode: 'marathon', rules: { preset: 'narrow' } });
+  const start = bob.received.find(message => message.type === 'start');
+  assert.strictEqual(start.seed, 5);
+  assert.deepStrictEqual(start.players.map(player => player.handling), [{}, { das: 100 }]);
+});